@@ -0,0 +1,287 @@
+/**
+ * OpenAPI document for the REST API (GET /openapi.json)
+ * For Postman, code generators and low-code platforms. Built from the tool registry on every request,
+ * so it always matches the registered tools: each tool's name, description and inputSchema become an
+ * operation, and its outputSchema (when the tool declares one) the shape of the envelope's data.
+ */
+import roomPool from '../shared/roomPool.js';
+import policy from '../shared/policy.js';
+import { requiresConfirmation } from '../shared/confirmations.js';
+import { getTool, getMcpToolDefinitions } from '../tools/index.js';
+import { API_VERSION, roomResourceRoutes } from './rest.js';
+
+const BASE = `/api/${API_VERSION}`;
+
+const ERROR_CODES = [
+  'bad_request', 'invalid_arguments', 'forbidden', 'not_found', 'component_missing', 'conflict',
+  'confirmation_failed', 'rate_limited', 'tool_failed', 'command_failed', 'unavailable',
+  'vision_unavailable', 'timeout', 'server_error'
+];
+
+// Error responses: status -> [component name, description]
+const ERRORS = {
+  400: ['BadRequest', 'Malformed JSON, a body that is not an object, or arguments that do not match the input schema'],
+  401: ['Unauthorized', 'Missing or invalid credentials'],
+  403: ['Forbidden', 'Invalid API key, or the policy denies the tool or the arguments'],
+  404: ['NotFound', 'Unknown tool, room, route or item, or a component the room does not have'],
+  409: ['Conflict', 'Invalid, expired or mismatched confirmation token, or a conflicting state'],
+  429: ['RateLimited', 'Rate limit exceeded'],
+  500: ['ToolFailed', 'The tool failed'],
+  502: ['CommandFailed', 'The controller rejected the command'],
+  503: ['Unavailable', 'The room\'s controller is not connected, or vision is not configured'],
+  504: ['Timeout', 'The controller did not answer in time']
+};
+
+const ref = (kind, name) => ({ $ref: `#/components/${kind}/${name}` });
+
+// First sentence of a description, for the operation summary
+function summarize(description) {
+  const match = description.match(/^.*?[.!?](\s|$)/);
+  return (match ? match[0] : description).trim();
+}
+
+function errorResponses(statuses) {
+  return Object.fromEntries(statuses.map(status => [status, ref('responses', ERRORS[status][0])]));
+}
+
+// 200 (and 202 for two-phase tools) with the tool's result shape
+function toolResponses(name) {
+  const output = getTool(name)?.outputSchema;
+  const result = output
+    ? { allOf: [ref('schemas', 'Result'), { type: 'object', properties: { data: output } }] }
+    : ref('schemas', 'Result');
+
+  const responses = {
+    200: { description: 'The tool ran', content: { 'application/json': { schema: result } } }
+  };
+  if (requiresConfirmation(name)) {
+    responses[202] = {
+      description: 'Nothing changed yet: call again with the same arguments and the confirmationToken to apply',
+      content: { 'application/json': { schema: ref('schemas', 'ConfirmationRequired') } }
+    };
+  }
+  return { ...responses, ...errorResponses([401, 403, 404, 409, 429, 500, 502, 503, 504]) };
+}
+
+function toolOperation(tool, { summary, operationId, tags, body = true }) {
+  const operation = {
+    operationId,
+    summary: summary || summarize(tool.description),
+    description: tool.description,
+    tags,
+    parameters: [ref('parameters', 'RoomHeader'), ref('parameters', 'RoomQuery')],
+    responses: toolResponses(tool.name)
+  };
+  if (body) {
+    operation.requestBody = {
+      required: false,
+      content: { 'application/json': { schema: tool.inputSchema } }
+    };
+    operation.responses = { ...operation.responses, ...errorResponses([400]) };
+  }
+  return operation;
+}
+
+// Authentication failures come from the shared auth middleware, which answers without the envelope
+function errorSchema(name) {
+  if (name === 'Unauthorized') return ref('schemas', 'AuthError');
+  if (name === 'Forbidden') return { oneOf: [ref('schemas', 'Error'), ref('schemas', 'AuthError')] };
+  return ref('schemas', 'Error');
+}
+
+function components(baseUrl) {
+  const scopes = Object.fromEntries(
+    ['claudeai', ...Object.keys(policy.rules?.scopes || {})].map(s => [s, `Scope ${s}`])
+  );
+
+  return {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'API key (also accepted as ?apiKey=)' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'API key or OAuth access token' },
+      oauth2: {
+        type: 'oauth2',
+        description: 'OAuth 2.0 (OAUTH_ENABLED=true). Authorization code requires PKCE (S256).',
+        flows: {
+          authorizationCode: {
+            authorizationUrl: `${baseUrl}/authorize`,
+            tokenUrl: `${baseUrl}/oauth/token`,
+            scopes
+          },
+          clientCredentials: {
+            tokenUrl: `${baseUrl}/oauth/token`,
+            scopes
+          }
+        }
+      }
+    },
+    parameters: {
+      RoomHeader: {
+        name: 'x-room',
+        in: 'header',
+        required: false,
+        description: `Room to use (default: the caller's room). Rooms: ${roomPool.names().join(', ')}`,
+        schema: { type: 'string' }
+      },
+      RoomQuery: {
+        name: 'room',
+        in: 'query',
+        required: false,
+        description: 'Room to use, when the x-room header is not set',
+        schema: { type: 'string' }
+      }
+    },
+    schemas: {
+      Result: {
+        type: 'object',
+        required: ['ok', 'tool', 'room', 'data'],
+        properties: {
+          ok: { type: 'boolean', const: true },
+          tool: { type: 'string' },
+          room: { type: 'string', description: 'Room the tool ran in, or "all"' },
+          data: { description: 'Tool result' }
+        }
+      },
+      ConfirmationRequired: {
+        allOf: [ref('schemas', 'Result'), {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'object',
+              required: ['confirmationRequired', 'confirmationToken'],
+              properties: {
+                confirmationRequired: { type: 'boolean', const: true },
+                tool: { type: 'string' },
+                room: { type: 'string' },
+                preview: { description: 'What the call would change' },
+                confirmationToken: { type: 'string' },
+                expiresAt: { type: 'string', format: 'date-time' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }]
+      },
+      Error: {
+        type: 'object',
+        required: ['ok', 'error'],
+        properties: {
+          ok: { type: 'boolean', const: false },
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { type: 'string', enum: ERROR_CODES },
+              message: { type: 'string' },
+              errors: {
+                type: 'array',
+                description: 'Field errors (invalid_arguments)',
+                items: {
+                  type: 'object',
+                  properties: { field: { type: 'string' }, message: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      },
+      AuthError: {
+        type: 'object',
+        properties: { error: { type: 'string' }, message: { type: 'string' } }
+      },
+      ToolDefinition: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          inputSchema: { type: 'object', description: 'JSON Schema of the arguments' }
+        }
+      }
+    },
+    responses: Object.fromEntries(Object.values(ERRORS).map(([name, description]) => (
+      [name, { description, content: { 'application/json': { schema: errorSchema(name) } } }]
+    )))
+  };
+}
+
+/**
+ * Build the OpenAPI 3.1 document
+ * @param {object} options
+ * @param {string} options.baseUrl - Public URL of the server, e.g. https://bucontrol.example.com
+ */
+export function buildOpenApiDocument({ baseUrl }) {
+  const tools = getMcpToolDefinitions();
+  const byName = new Map(tools.map(t => [t.name, t]));
+  const paths = {};
+
+  paths[`${BASE}/tools`] = {
+    get: {
+      operationId: 'listTools',
+      summary: 'Tools the caller may use',
+      tags: ['registry'],
+      responses: {
+        200: {
+          description: 'Tool definitions',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  ok: { type: 'boolean', const: true },
+                  data: { type: 'object', properties: { tools: { type: 'array', items: ref('schemas', 'ToolDefinition') } } }
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses([401, 403, 429])
+      }
+    }
+  };
+
+  if (byName.has('room_status')) {
+    paths[`${BASE}/room`] = {
+      get: toolOperation(byName.get('room_status'), {
+        operationId: 'getRoom',
+        summary: 'Room status (room=all for every room)',
+        tags: ['room'],
+        body: false
+      })
+    };
+  }
+
+  for (const route of roomResourceRoutes()) {
+    const getter = byName.get(route.get);
+    const setter = byName.get(route.put);
+    if (!getter || !setter) continue;
+    paths[`${BASE}${route.path}`] = {
+      get: toolOperation(getter, { operationId: `read_${route.get}`, tags: ['room'], body: false }),
+      put: toolOperation(setter, { operationId: `write_${route.put}`, tags: ['room'] })
+    };
+  }
+
+  for (const tool of tools) {
+    paths[`${BASE}/tools/${tool.name}`] = {
+      post: toolOperation(tool, { operationId: tool.name, tags: ['tools'] })
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'BUControl Room API',
+      version: API_VERSION,
+      description: 'Room control over HTTP. Every response is an envelope: { ok, tool, room, data } on success, { ok: false, error: { code, message } } on failure. Requests from the local network and Tailscale need no credentials.'
+    },
+    servers: [{ url: baseUrl }],
+    security: [{ apiKey: [] }, { bearer: [] }, { oauth2: [] }],
+    tags: [
+      { name: 'room', description: 'Room status and getter/setter resources' },
+      { name: 'tools', description: 'Every registered tool; the JSON body holds its arguments' },
+      { name: 'registry', description: 'Tool definitions' }
+    ],
+    paths,
+    components: components(baseUrl)
+  };
+}
+
+export default { buildOpenApiDocument };
@@ -0,0 +1,148 @@
+/**
+ * REST API (v1)
+ * Plain HTTP access to the tool registry for integrators without MCP or VAPI. Routes are generated
+ * from the registered tools and run through executeTool like every other transport:
+ *
+ *   GET  /api/v1                      Route index
+ *   GET  /api/v1/tools                Tools the caller may use (name, description, input schema)
+ *   GET  /api/v1/tools/{name}         One tool
+ *   POST /api/v1/tools/{name}         Run a tool (JSON body = arguments)
+ *   GET  /api/v1/room                 room_status
+ *   GET  /api/v1/room/{resource}      get_<resource>, e.g. GET /api/v1/room/lights -> get_lights
+ *   PUT  /api/v1/room/{resource}      The matching setter, e.g. PUT /api/v1/room/lights -> set_lights
+ *
+ * The room comes from the x-room header, ?room= or the caller's credentials ("all" for room_status).
+ * Every response is an envelope:
+ *   { "ok": true, "tool": "set_lights", "room": "boardroom", "data": { ... } }
+ *   { "ok": false, "error": { "code": "forbidden", "message": "Not allowed: ..." } }
+ * Invalid arguments (400 invalid_arguments) also list each field:
+ *   { "ok": false, "error": { "code": "invalid_arguments", "message": "...", "errors": [{ "field": "level", "message": "is required" }] } }
+ */
+import express from 'express';
+import roomPool from '../shared/roomPool.js';
+import { describeError } from '../shared/errors.js';
+import { getAllTools, getTool, getMcpToolDefinitions, executeTool } from '../tools/index.js';
+
+export const API_VERSION = 'v1';
+
+/**
+ * Getter/setter pairs of the registry as room resources
+ * get_<name> with set_<name> or <name> -> /room/<name-with-dashes>
+ */
+export function roomResourceRoutes(tools = getAllTools()) {
+  const names = new Set(tools.map(t => t.name));
+  return tools
+    .filter(t => t.name.startsWith('get_'))
+    .map(t => {
+      const resource = t.name.slice('get_'.length);
+      const setter = [`set_${resource}`, resource].find(name => names.has(name));
+      return setter ? { path: `/room/${resource.replace(/_/g, '-')}`, get: t.name, put: setter } : null;
+    })
+    .filter(Boolean);
+}
+
+function sendError(res, status, code, message, errors) {
+  res.status(status).json({ ok: false, error: { code, message, ...(errors && { errors }) } });
+}
+
+/**
+ * Build the /api/v1 router
+ * @param {object} options
+ * @param {Function} options.authMiddleware - Same authentication as the MCP and voice routes
+ * @param {Function} options.requestRoom - Caller's room from headers, query or credentials
+ * @param {Function} [options.toolContext] - Extra executeTool context (AI model, frame grabber)
+ */
+export function createRestApi({ authMiddleware, requestRoom, toolContext = () => ({}) }) {
+  const router = express.Router();
+  router.use(authMiddleware);
+
+  // Run a tool and answer with the envelope
+  async function run(req, res, name, body = {}) {
+    const selected = requestRoom(req);
+    const args = selected === 'all' ? { ...body, room: 'all' } : body;
+
+    try {
+      const result = await executeTool(name, args, {
+        ...toolContext(),
+        transport: 'rest',
+        room: selected === 'all' ? undefined : selected,
+        auth: req.auth
+      });
+
+      // Two-phase tools: nothing changed yet, the preview holds the confirmation token
+      const status = result?.confirmationRequired ? 202 : 200;
+      const room = selected === 'all' ? 'all' : roomPool.resolve(selected).name;
+      res.status(status).json({ ok: true, tool: name, room, data: result });
+    } catch (e) {
+      // Status and code come from the error type (shared/errors.js)
+      const { status, code, message, errors } = describeError(e);
+      sendError(res, status, code, message, errors);
+    }
+  }
+
+  const definitions = (req) => getMcpToolDefinitions({ room: requestRoom(req), auth: req.auth });
+
+  router.get('/', (req, res) => {
+    res.json({
+      ok: true,
+      data: {
+        version: API_VERSION,
+        routes: [
+          { method: 'GET', path: `/api/${API_VERSION}/tools` },
+          { method: 'POST', path: `/api/${API_VERSION}/tools/{name}` },
+          { method: 'GET', path: `/api/${API_VERSION}/room`, tool: 'room_status' },
+          ...roomResourceRoutes().flatMap(r => [
+            { method: 'GET', path: `/api/${API_VERSION}${r.path}`, tool: r.get },
+            { method: 'PUT', path: `/api/${API_VERSION}${r.path}`, tool: r.put }
+          ])
+        ]
+      }
+    });
+  });
+
+  router.get('/tools', (req, res) => {
+    res.json({ ok: true, data: { tools: definitions(req) } });
+  });
+
+  router.get('/tools/:name', (req, res) => {
+    const tool = definitions(req).find(t => t.name === req.params.name);
+    if (!tool) return sendError(res, 404, 'not_found', `Unknown tool: ${req.params.name}`);
+    res.json({ ok: true, data: tool });
+  });
+
+  router.post('/tools/:name', (req, res) => {
+    if (!getTool(req.params.name)) {
+      return sendError(res, 404, 'not_found', `Unknown tool: ${req.params.name}`);
+    }
+    if (req.body !== undefined && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+      return sendError(res, 400, 'bad_request', 'Body must be a JSON object of tool arguments');
+    }
+    return run(req, res, req.params.name, req.body || {});
+  });
+
+  router.get('/room', (req, res) => run(req, res, 'room_status'));
+
+  // Resource routes are built when the router is created (after initializeTools)
+  for (const route of roomResourceRoutes()) {
+    router.get(route.path, (req, res) => run(req, res, route.get));
+    router.put(route.path, (req, res) => run(req, res, route.put, req.body || {}));
+  }
+
+  router.use((req, res) => {
+    sendError(res, 404, 'not_found', `No route ${req.method} ${req.baseUrl}${req.path}`);
+  });
+
+  return router;
+}
+
+/**
+ * Error handler for the API mount point - malformed JSON bodies fail in the app's body parser,
+ * before the router runs
+ */
+export function restErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  sendError(res, status, status < 500 ? 'bad_request' : 'server_error', err.message);
+}
+
+export default { createRestApi, restErrorHandler, roomResourceRoutes, API_VERSION };
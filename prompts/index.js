@@ -0,0 +1,157 @@
+/**
+ * MCP Prompts
+ * One-click starting points for common meeting workflows. Each prompt embeds the session room's
+ * current state and the guidance of the tools it uses (from the tool registry, filtered by the
+ * caller's policy, with the room's sources filled in).
+ */
+import { getMcpToolDefinitions } from '../tools/index.js';
+import { readResourceData } from '../resources/index.js';
+import { NotFound, InvalidArgument } from '../shared/errors.js';
+
+const prompts = [
+  {
+    name: 'start-meeting',
+    description: 'Get the room ready for a meeting: screen on, the presenter\'s source on the video wall, lights and volume set',
+    arguments: [
+      { name: 'presenterSource', description: 'Source to show, e.g. "laptop" or "clickshare" (default: ask)', required: false },
+      { name: 'lighting', description: 'Lighting preference, e.g. "bright", "dim", "presentation" or a level 0-100 (default 80)', required: false }
+    ],
+    tools: ['room_status', 'screen_power', 'set_source', 'apply_layout', 'set_lights', 'set_volume', 'privacy_glass'],
+    resources: ['bucontrol://room/state'],
+    build: (args) => [
+      'Start the meeting in this room.',
+      '',
+      '1. Turn the screen on if it is off.',
+      args.presenterSource
+        ? `2. Show "${args.presenterSource}" full screen on the video wall.`
+        : '2. Ask which source the presenter uses, then show it full screen on the video wall.',
+      `3. Set the lights: ${args.lighting || '80%'}. "Bright" is 100%, "presentation" about 40%, "dim" about 20%.`,
+      '4. Set the volume to medium unless it is already set.',
+      '',
+      'Skip steps that are already done according to the state below. Finish with one sentence on what changed.'
+    ]
+  },
+  {
+    name: 'end-meeting',
+    description: 'Shut the room down after a meeting: screen off, lights off, privacy glass clear, volume muted',
+    arguments: [],
+    tools: ['room_status', 'screen_power', 'set_lights', 'set_volume', 'privacy_glass'],
+    resources: ['bucontrol://room/state'],
+    build: () => [
+      'End the meeting in this room.',
+      '',
+      '1. Turn the screen off.',
+      '2. Turn the lights off.',
+      '3. Mute the volume.',
+      '4. Clear the privacy glass.',
+      '',
+      'Skip steps that are already done according to the state below. Finish with one sentence on what changed.'
+    ]
+  },
+  {
+    name: 'troubleshoot-display',
+    description: 'Work out why the video wall or screen does not show what it should',
+    arguments: [
+      { name: 'symptom', description: 'What is wrong, e.g. "black screen" or "laptop not showing"', required: false }
+    ],
+    tools: ['get_connection_status', 'get_screen_power', 'get_videowall_status', 'list_sources', 'describe_source', 'screen_power', 'set_source', 'reconnect'],
+    resources: ['bucontrol://room/state', 'bucontrol://videowall/layout'],
+    build: (args) => [
+      `Troubleshoot the display in this room.${args.symptom ? ` Reported problem: ${args.symptom}.` : ''}`,
+      '',
+      'Check, in order, and stop at the first cause you find:',
+      '1. Connection: is the server connected to the controller, and does the room profile report missing components?',
+      '2. Screen power: is the screen on?',
+      '3. Video wall: which sources are in which windows? Is a window covering the expected source?',
+      '4. Sources: is the expected source connected? Use describe_source to see what it shows.',
+      '',
+      'Only fix what you found (turn the screen on, switch the source). Reconnect only if the connection is down. Explain the cause in plain words.'
+    ]
+  },
+  {
+    name: 'present-file',
+    description: 'Open a presentation from OneDrive on the video wall',
+    arguments: [
+      { name: 'file', description: 'File name or part of it, e.g. "Q3 review" (default: choose from recent files)', required: false }
+    ],
+    tools: ['get_recent_presentations', 'list_presentations', 'open_presentation', 'screen_power'],
+    resources: ['bucontrol://room/state'],
+    build: (args) => [
+      'Put a presentation on the video wall.',
+      '',
+      args.file
+        ? `1. Find the presentation matching "${args.file}" in the recent presentations. If several match, ask which one.`
+        : '1. List the recent presentations and ask which one to open.',
+      '2. Turn the screen on if it is off.',
+      '3. Open the file with open_presentation and give the user the shortcut link it returns.',
+      '',
+      'If the user is not signed in to Microsoft, say so and stop.'
+    ]
+  }
+];
+
+/**
+ * Prompt definitions for prompts/list
+ */
+export function listPrompts() {
+  return prompts.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+// "- name: description (arguments: a, b)" for each tool the caller may use
+function toolGuidance(names, { room, auth }) {
+  return getMcpToolDefinitions({ room, auth })
+    .filter(t => names.includes(t.name))
+    .map(t => {
+      const args = Object.keys(t.inputSchema?.properties || {}).filter(a => a !== 'room');
+      return `- ${t.name}: ${t.description}${args.length > 0 ? ` (arguments: ${args.join(', ')})` : ''}`;
+    });
+}
+
+// Current content of the prompt's resources (or why it is unavailable)
+function roomContext(uris, { room }) {
+  return uris.map(uri => {
+    try {
+      return `${uri}:\n${JSON.stringify(readResourceData(uri, { room }), null, 2)}`;
+    } catch (e) {
+      return `${uri}: unavailable (${e.message})`;
+    }
+  });
+}
+
+/**
+ * Render a prompt for prompts/get
+ * @param {string} name - Prompt name
+ * @param {object} [args] - Prompt arguments (strings)
+ * @param {object} [options] - { room, auth } of the session
+ * @throws {NotFound|InvalidArgument} for an unknown prompt or a missing required argument
+ */
+export function getPrompt(name, args = {}, { room, auth } = {}) {
+  const prompt = prompts.find(p => p.name === name);
+  if (!prompt) {
+    throw new NotFound(`Unknown prompt: ${name}. Prompts: ${prompts.map(p => p.name).join(', ')}`);
+  }
+
+  const missing = prompt.arguments.filter(a => a.required && !args[a.name]);
+  if (missing.length > 0) {
+    throw new InvalidArgument(`Missing argument: ${missing.map(a => a.name).join(', ')}`, {
+      errors: missing.map(a => ({ field: a.name, message: 'is required' }))
+    });
+  }
+
+  const text = [
+    ...prompt.build(args),
+    '',
+    'Tools to use:',
+    ...toolGuidance(prompt.tools, { room, auth }),
+    '',
+    'Current room state:',
+    ...roomContext(prompt.resources, { room })
+  ].join('\n');
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
+
+export default { listPrompts, getPrompt };
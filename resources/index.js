@@ -0,0 +1,191 @@
+/**
+ * MCP Resources
+ * Live room state as readable, subscribable resources (backed by the room's WebSocket manager):
+ *   bucontrol://room/state          - Screen, source, lights, volume, glass, connection
+ *   bucontrol://videowall/layout    - Video wall windows with sources, positions and opacity
+ *   bucontrol://sources             - Source catalog (names, aliases, connection status)
+ *   bucontrol://components/{name}   - A discovered component and its control values
+ * URIs refer to the session's room.
+ */
+import roomPool from '../shared/roomPool.js';
+import { tryParseWindowCommand } from '../shared/windowCommand.js';
+import { NotFound } from '../shared/errors.js';
+import { summarizeState } from '../tools/status.js';
+import { describeLayout } from '../tools/video.js';
+
+const COMPONENT_PREFIX = 'bucontrol://components/';
+
+const MIME_TYPE = 'application/json';
+
+/**
+ * Fixed resources - read(ws, room) returns the JSON content
+ */
+const staticResources = [
+  {
+    uri: 'bucontrol://room/state',
+    name: 'Room state',
+    description: 'Current room state: screen, source, lights, volume, privacy glass, DIDO output and connection',
+    read: (ws, room) => ({
+      room: room.name,
+      displayName: room.displayName,
+      connected: ws.isConnected && ws.isIdentified,
+      controller: ws.controllerStatus,
+      ...summarizeState(ws.state, ws.getSourceCatalog())
+    })
+  },
+  {
+    uri: 'bucontrol://videowall/layout',
+    name: 'Video wall layout',
+    description: 'Windows on the video wall with their source, position, size and opacity',
+    read: (ws) => {
+      const layout = tryParseWindowCommand(ws.state.hardwareState);
+      return {
+        hardwareState: ws.state.hardwareState,
+        layout: layout ? describeLayout(layout, ws.getSourceCatalog()) : null
+      };
+    }
+  },
+  {
+    uri: 'bucontrol://sources',
+    name: 'Sources',
+    description: 'Video wall sources: number, name, aliases and connection status',
+    read: (ws) => ({ sources: ws.getSourceCatalog().sources })
+  }
+];
+
+const componentTemplate = {
+  uriTemplate: `${COMPONENT_PREFIX}{name}`,
+  name: 'Component',
+  description: 'A discovered Q-SYS component (by name) with its control values',
+  mimeType: MIME_TYPE
+};
+
+function componentUri(name) {
+  return COMPONENT_PREFIX + encodeURIComponent(name);
+}
+
+// Exact component name first, then the first name containing it
+function findComponent(ws, uri) {
+  const name = decodeURIComponent(uri.slice(COMPONENT_PREFIX.length));
+  return ws.discoveredComponents.list[name] || ws.findComponent(name);
+}
+
+/**
+ * Resources of a room (fixed ones plus one per discovered component)
+ */
+export function listResources({ room } = {}) {
+  const { ws } = roomPool.resolve(room);
+  return [
+    ...staticResources.map(({ uri, name, description }) => ({ uri, name, description, mimeType: MIME_TYPE })),
+    ...Object.values(ws.discoveredComponents.list).map(c => ({
+      uri: componentUri(c.name),
+      name: c.name,
+      description: `Component ${c.name} (${c.id}) and its control values`,
+      mimeType: MIME_TYPE
+    }))
+  ];
+}
+
+export function listResourceTemplates() {
+  return [componentTemplate];
+}
+
+/**
+ * Current content of a resource
+ * @throws {NotFound} for an unknown resource or component
+ */
+export function readResourceData(uri, { room } = {}) {
+  const target = roomPool.resolve(room);
+
+  const resource = staticResources.find(r => r.uri === uri);
+  if (resource) return resource.read(target.ws, target);
+
+  if (uri.startsWith(COMPONENT_PREFIX)) {
+    const component = findComponent(target.ws, uri);
+    if (!component) throw new NotFound(`Unknown component: ${decodeURIComponent(uri.slice(COMPONENT_PREFIX.length))}`);
+    return { id: component.id, name: component.name, controls: component.controls };
+  }
+
+  throw new NotFound(`Unknown resource: ${uri}`);
+}
+
+/**
+ * Read a resource as an MCP resources/read result
+ */
+export function readResource(uri, options) {
+  const data = readResourceData(uri, options);
+  return { contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) }] };
+}
+
+/**
+ * Resource subscriptions of one MCP session
+ * Watches the room's state changes and calls notify(uri) when a subscribed resource's content changes.
+ */
+export class ResourceSubscriptions {
+  /**
+   * @param {Function} notify - Called with the URI of a changed resource
+   */
+  constructor(notify) {
+    this.notify = notify;
+    // uri -> { room, content } (last content sent, to skip unchanged updates)
+    this.subscriptions = new Map();
+    // room name -> unsubscribe from the room's state changes
+    this.watchers = new Map();
+  }
+
+  /**
+   * Subscribe to a resource (validates it can be read)
+   */
+  subscribe(uri, { room } = {}) {
+    const target = roomPool.resolve(room);
+    const content = JSON.stringify(readResourceData(uri, { room: target.name }));
+    this.subscriptions.set(uri, { room: target.name, content });
+
+    if (!this.watchers.has(target.name)) {
+      this.watchers.set(target.name, target.ws.onStateChange(() => this.check(target.name)));
+    }
+  }
+
+  unsubscribe(uri) {
+    const subscription = this.subscriptions.get(uri);
+    if (!subscription) return;
+    this.subscriptions.delete(uri);
+
+    // Stop watching a room nothing is subscribed to any more
+    const watched = [...this.subscriptions.values()].some(s => s.room === subscription.room);
+    if (!watched) {
+      this.watchers.get(subscription.room)?.();
+      this.watchers.delete(subscription.room);
+    }
+  }
+
+  // Notify subscribed resources of a room whose content changed
+  check(room) {
+    for (const [uri, subscription] of this.subscriptions) {
+      if (subscription.room !== room) continue;
+
+      let content;
+      try {
+        content = JSON.stringify(readResourceData(uri, { room }));
+      } catch (e) {
+        // Component gone (e.g. rediscovery) - report it once, reading now fails
+        content = null;
+      }
+      if (content === subscription.content) continue;
+
+      subscription.content = content;
+      this.notify(uri);
+    }
+  }
+
+  /**
+   * Drop all subscriptions (session closed)
+   */
+  close() {
+    for (const unwatch of this.watchers.values()) unwatch();
+    this.watchers.clear();
+    this.subscriptions.clear();
+  }
+}
+
+export default { listResources, listResourceTemplates, readResource, readResourceData, ResourceSubscriptions };
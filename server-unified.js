@@ -13,7 +13,17 @@ import rateLimit from 'express-rate-limit';
 import pino from 'pino';
 import { randomUUID, createHash } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -28,14 +38,31 @@ import { SocksProxyAgent } from 'socks-proxy-agent';
 
 // Shared modules
 import wsManager from './shared/clientWebSocketForV2.js';
+import roomPool from './shared/roomPool.js';
+import scheduler from './shared/scheduler.js';
+import rulesEngine from './shared/rules.js';
+import roomEvents from './shared/roomEvents.js';
+import actionHistory from './shared/actionHistory.js';
+import stateHistory from './shared/stateHistory.js';
+import { buildUsageReport, usageReportCsv } from './shared/usageReport.js';
+import { recordExecution, prune as pruneAuditLog, flush as flushAuditLog, queryAudit } from './shared/auditLog.js';
+import policy from './shared/policy.js';
+import { describeError } from './shared/errors.js';
 import {
   initializeTools,
+  getTool,
   getMcpToolDefinitions,
   getVapiToolDefinitions,
   executeTool,
+  onToolExecuted,
   formatMcpResult
 } from './tools/index.js';
 import { setTokenStorage } from './tools/user.js';
+import { summarizeState } from './tools/status.js';
+import { listResources, listResourceTemplates, readResource, ResourceSubscriptions } from './resources/index.js';
+import { listPrompts, getPrompt } from './prompts/index.js';
+import { createRestApi, restErrorHandler } from './api/rest.js';
+import { buildOpenApiDocument } from './api/openapi.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TOKEN_FILE = join(__dirname, '.ms-graph-token.json');
@@ -67,12 +94,17 @@ const CONFIG = {
   connectionTimeout: parseInt(process.env.CONNECTION_TIMEOUT || '20000'),
   identifyTimeout: parseInt(process.env.IDENTIFY_TIMEOUT || '5000'),
   commandTimeout: parseInt(process.env.COMMAND_TIMEOUT || '10000'),
-  discoveryTimeout: parseInt(process.env.DISCOVERY_TIMEOUT || '10000')
+  discoveryTimeout: parseInt(process.env.DISCOVERY_TIMEOUT || '10000'),
+  // Bridge traffic capture and replay (see shared/bridgeCapture.js)
+  recordFile: process.env.BRIDGE_RECORD_FILE || null,
+  replayFile: process.env.BRIDGE_REPLAY_FILE || null,
+  replaySpeed: parseFloat(process.env.BRIDGE_REPLAY_SPEED || '0')
 };
 
 // Security - Full parity with server-http.js
 const SECURITY = {
   apiKeys: new Map(),
+  apiKeyRooms: new Map(),
   oauthClients: new Map(),
   requireApiKey: process.env.REQUIRE_API_KEY !== 'false',
   corsOrigins: process.env.CORS_ORIGINS || '*',
@@ -99,20 +131,31 @@ const SECURITY = {
   }
 };
 
-// Parse API keys (format: key:tier)
+// Parse API keys (format: key:tier[:room])
 (process.env.API_KEYS || '').split(',').filter(k => k.length > 0).forEach(entry => {
-  const [key, tier] = entry.split(':');
+  const [key, tier, room] = entry.split(':');
   SECURITY.apiKeys.set(key.trim(), tier?.trim() || 'basic');
+  if (room?.trim()) SECURITY.apiKeyRooms.set(key.trim(), room.trim());
 });
 
-// Parse OAuth clients (format: clientId:clientSecret:tier)
+// Parse OAuth clients (format: clientId:clientSecret:tier[:room])
 (process.env.OAUTH_CLIENTS || '').split(',').filter(c => c.length > 0).forEach(entry => {
-  const [clientId, clientSecret, tier] = entry.split(':');
+  const [clientId, clientSecret, tier, room] = entry.split(':');
   if (clientId && clientSecret) {
-    SECURITY.oauthClients.set(clientId.trim(), { secret: clientSecret.trim(), tier: tier?.trim() || 'basic' });
+    SECURITY.oauthClients.set(clientId.trim(), {
+      secret: clientSecret.trim(),
+      tier: tier?.trim() || 'basic',
+      room: room?.trim() || undefined
+    });
   }
 });
 
+// Rooms - one WebSocket manager per room (rooms.json), default room uses CONFIG
+roomPool.configure(CONFIG);
+
+// Authorization policy (policy.json) - which tools each tier, scope and identity may use
+policy.load();
+
 // Initialize JWKS client for OAuth token validation
 let jwksClient = null;
 if (SECURITY.oauth.enabled && SECURITY.oauth.jwksUri) {
@@ -298,6 +341,16 @@ loadPersistedToken();
 // Initialize tools
 initializeTools();
 
+// Audit log - every tool execution, whatever the transport
+pruneAuditLog().catch(e => logger.error({ error: e.message }, 'Failed to prune audit log'));
+onToolExecuted(recordExecution);
+
+// Live event stream (GET /events) - tool executions along with room state
+onToolExecuted(execution => roomEvents.toolExecuted(execution));
+
+// Action history - previous control values for undo_last_action
+onToolExecuted(execution => actionHistory.record(execution));
+
 // Session Manager - Full parity with server-http.js
 class SessionManager {
   constructor() {
@@ -374,6 +427,7 @@ const metrics = {
   toolErrors: new Map(),
   activeSessions: new Map(),
   totalSessions: 0,
+  activeEventStreams: 0,
   rateLimitHits: 0,
   // Tailscale status cache (updated periodically)
   tailscale: {
@@ -418,37 +472,98 @@ if (metrics.tailscale.enabled) {
   setTimeout(updateTailscaleStatus, 5000);
 }
 
-// MCP Server
-const server = new Server(
-  { name: 'bucontrol-unified', version: '2.0.0' },
-  { capabilities: { tools: {} } }
-);
+// Default room per MCP session (from x-room / ?room= / credentials at initialization)
+const sessionRooms = new Map();
 
-// List tools handler
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: getMcpToolDefinitions()
-}));
+const sessionRoom = (extra) => sessionRooms.get(extra?.sessionId) || extra?.authInfo?.room;
 
-// Call tool handler
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  metrics.toolCalls.set(name, (metrics.toolCalls.get(name) || 0) + 1);
-
-  try {
-    const result = await executeTool(name, args, {
-      transport: 'mcp',
-      geminiModel: getGeminiModel(),
-      grabMjpegFrame
+/**
+ * MCP Server - one per session, so resource subscriptions and their notifications stay with
+ * the session that made them
+ * @param {object} [options]
+ * @param {Function} [options.onclose] - Called when the session's transport closes
+ */
+function createMcpServer({ onclose } = {}) {
+  const server = new Server(
+    { name: 'bucontrol-unified', version: '2.0.0' },
+    { capabilities: { tools: {}, resources: { subscribe: true }, prompts: {} } }
+  );
+
+  // Resource subscriptions of this session (notifications/resources/updated on state changes)
+  const subscriptions = new ResourceSubscriptions((uri) => {
+    server.sendResourceUpdated({ uri }).catch(e => {
+      logger.debug({ uri, error: e.message }, 'Resource update notification failed');
     });
-    return formatMcpResult(result);
-  } catch (e) {
-    metrics.errorCount++;
-    return {
-      content: [{ type: 'text', text: JSON.stringify({ error: e.message }) }],
-      isError: true
-    };
-  }
-});
+  });
+  server.onclose = () => {
+    subscriptions.close();
+    onclose?.();
+  };
+
+  // List tools handler
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => ({
+    tools: getMcpToolDefinitions({ room: sessionRoom(extra), auth: extra?.authInfo })
+  }));
+
+  // Call tool handler
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    metrics.toolCalls.set(name, (metrics.toolCalls.get(name) || 0) + 1);
+
+    try {
+      const result = await executeTool(name, args, {
+        transport: 'mcp',
+        room: sessionRoom(extra),
+        auth: extra?.authInfo,
+        sessionId: extra?.sessionId,
+        geminiModel: getGeminiModel(),
+        grabMjpegFrame
+      });
+      return formatMcpResult(result);
+    } catch (e) {
+      metrics.errorCount++;
+      const { code, message, errors } = describeError(e);
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ error: message, code, ...(errors && { errors }) }) }],
+        isError: true
+      };
+    }
+  });
+
+  // Resources - live room state
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => ({
+    resources: listResources({ room: sessionRoom(extra) })
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: listResourceTemplates()
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) =>
+    readResource(request.params.uri, { room: sessionRoom(extra) })
+  );
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    subscriptions.subscribe(request.params.uri, { room: sessionRoom(extra) });
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  // Prompts - meeting workflows with the room's state
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: listPrompts()
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) =>
+    getPrompt(request.params.name, request.params.arguments, { room: sessionRoom(extra), auth: extra?.authInfo })
+  );
+
+  return server;
+}
 
 // Express App
 const app = express();
@@ -538,12 +653,26 @@ function isLocalRequest(req) {
     /^100\.\d+\.\d+\.\d+$/.test(ip) || /^::ffff:100\.\d+\.\d+\.\d+$/.test(ip);
 }
 
+// OAuth scopes from a token: "scope" (space-separated string) or "scp" (list)
+function tokenScopes(decoded) {
+  const scopes = decoded.scope ?? decoded.scp ?? [];
+  return Array.isArray(scopes) ? scopes : String(scopes).split(' ').filter(Boolean);
+}
+
+// Identifies an API key in logs without revealing it
+function apiKeyId(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
 async function authMiddleware(req, res, next) {
-  if (!SECURITY.requireApiKey && !SECURITY.oauth.enabled) return next();
+  if (!SECURITY.requireApiKey && !SECURITY.oauth.enabled) {
+    req.auth = { type: 'anonymous', tier: 'basic', ip: req.ip };
+    return next();
+  }
 
   // Skip auth for local network requests (kiosk displays)
   if (isLocalRequest(req)) {
-    req.auth = { type: 'local', tier: 'basic' };
+    req.auth = { type: 'local', tier: 'basic', ip: req.ip };
     return next();
   }
 
@@ -554,7 +683,13 @@ async function authMiddleware(req, res, next) {
 
     // First check if it's a valid API key (VAPI sends server secret as Bearer token)
     if (SECURITY.apiKeys.has(token)) {
-      req.auth = { type: 'apikey', tier: SECURITY.apiKeys.get(token) };
+      req.auth = {
+        type: 'apikey',
+        tier: SECURITY.apiKeys.get(token),
+        room: SECURITY.apiKeyRooms.get(token),
+        keyId: apiKeyId(token),
+        ip: req.ip
+      };
       req.apiKeyTier = req.auth.tier;
       logger.debug({ tier: req.auth.tier }, 'Bearer token matched API key (VAPI compatible)');
       return next();
@@ -567,7 +702,11 @@ async function authMiddleware(req, res, next) {
         req.auth = {
           type: 'oauth',
           user: decoded,
-          tier: decoded.tier || decoded.scope?.includes('premium') ? 'premium' : 'basic'
+          sub: decoded.sub,
+          scopes: tokenScopes(decoded),
+          tier: decoded.tier || (tokenScopes(decoded).includes('premium') ? 'premium' : 'basic'),
+          room: decoded.room,
+          ip: req.ip
         };
         logger.debug({ sub: decoded.sub }, 'OAuth token validated');
         return next();
@@ -584,7 +723,10 @@ async function authMiddleware(req, res, next) {
   }
 
   // Fall back to API key authentication
-  if (!SECURITY.requireApiKey) return next();
+  if (!SECURITY.requireApiKey) {
+    req.auth = { type: 'anonymous', tier: 'basic', ip: req.ip };
+    return next();
+  }
 
   const key = req.headers['x-api-key'] || req.headers['x-vapi-secret'] || req.query.apiKey;
   if (!key) {
@@ -601,16 +743,47 @@ async function authMiddleware(req, res, next) {
     return res.status(403).json({ error: 'Invalid API key' });
   }
 
-  req.auth = { type: 'apikey', tier: SECURITY.apiKeys.get(key) };
+  req.auth = {
+    type: 'apikey',
+    tier: SECURITY.apiKeys.get(key),
+    room: SECURITY.apiKeyRooms.get(key),
+    keyId: apiKeyId(key),
+    ip: req.ip
+  };
   req.apiKeyTier = req.auth.tier;
   next();
 }
 
+// Default room for a request: x-room header or ?room=, then the API key / token's room
+function requestRoom(req) {
+  return req.headers['x-room'] || req.query.room || req.auth?.room || undefined;
+}
+
+/**
+ * Routes that answer what a tool answers are held to that tool's policy for the caller
+ * Refusals get the REST API envelope (403 forbidden). Returns false when refused (response sent).
+ */
+function allowTool(req, res, tool, args) {
+  try {
+    policy.check(tool, args, req.auth);
+    return true;
+  } catch (e) {
+    const { status, code, message } = describeError(e);
+    res.status(status).json({ ok: false, error: { code, message } });
+    return false;
+  }
+}
+
 // Health endpoints
 app.get('/health', (req, res) => res.json({
   status: wsManager.isConnected && wsManager.isIdentified ? 'healthy' : 'degraded',
   websocket: { connected: wsManager.isConnected, identified: wsManager.isIdentified },
   components: Object.keys(wsManager.discoveredComponents.list).length,
+  rooms: Object.fromEntries(roomPool.list().map(room => [room.name, {
+    connected: room.ws.isConnected,
+    identified: room.ws.isIdentified,
+    default: room.name === roomPool.defaultRoom
+  }])),
   uptime: Math.floor((Date.now() - metrics.startTime) / 1000)
 }));
 app.get('/ready', (req, res) => wsManager.isConnected && wsManager.isIdentified
@@ -657,18 +830,153 @@ app.get('/health/tailscale', (req, res) => {
 // Debug endpoint - expose raw state for troubleshooting
 app.get('/debug/state', authMiddleware, async (req, res) => {
   try {
-    const state = await wsManager.getState();
+    const room = roomPool.resolve(requestRoom(req));
+    const state = await room.ws.getState();
     res.json({
+      room: room.name,
       state,
-      components: wsManager.components,
-      discoveredComponents: Object.keys(wsManager.discoveredComponents.list),
-      controllerStatus: wsManager.controllerStatus
+      components: room.ws.components,
+      discoveredComponents: Object.keys(room.ws.discoveredComponents.list),
+      profile: room.ws.profileReport,
+      controllerStatus: room.ws.controllerStatus
     });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    const { status, message } = describeError(e);
+    res.status(status).json({ error: message });
+  }
+});
+
+// Live event stream (Server-Sent Events) for dashboards and panels
+// ?room=name[,name] or all (default: the caller's room if bound, else all rooms)
+// Room state needs room_status; tool events are audit data and need get_audit_log for their room
+app.get('/events', authMiddleware, (req, res) => {
+  if (!allowTool(req, res, 'room_status', {})) return;
+
+  let rooms;
+  try {
+    const selected = requestRoom(req);
+    rooms = !selected || selected === 'all'
+      ? null
+      : String(selected).split(',').map(name => roomPool.resolve(name.trim()).name);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = ({ id, type, ...event }) => {
+    if (type === 'tool' && !policy.allows('get_audit_log', { auditRoom: event.room || undefined }, req.auth)) return;
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({ type: 'snapshot', time: new Date().toISOString(), rooms: roomEvents.snapshot(rooms) });
+  const unsubscribe = roomEvents.subscribe(send, { rooms });
+
+  // Comment line keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  metrics.activeEventStreams++;
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    metrics.activeEventStreams--;
+  });
+});
+
+// Audit log query - newest first
+// ?since=&until= (ISO), ?tool=, ?transport=, ?identity= (key id, OAuth sub or IP), ?room=, ?status=, ?limit=, ?offset=
+app.get('/audit', authMiddleware, async (req, res) => {
+  const { since, until, tool, transport, identity, room, status, limit, offset } = req.query;
+  const args = { tool, transport, identity, auditRoom: room, status, since, until, limit, offset };
+  if (!allowTool(req, res, 'get_audit_log', args)) return;
+
+  try {
+    res.json(await queryAudit({ since, until, tool, transport, identity, room, status, limit, offset }));
+  } catch (e) {
+    const error = describeError(e);
+    res.status(error.status).json({ error: error.message });
+  }
+});
+
+// Room state history - changes newest first, or the state at a moment
+// ?room= (default: the caller's room), ?key=, ?value= (JSON or text), ?since=&until= (ISO), ?limit=, ?offset=
+// ?at= (ISO) - values at that moment instead, with a summary
+app.get('/state-history', authMiddleware, async (req, res) => {
+  const { key, value, since, until, limit, offset, at } = req.query;
+  if (!allowTool(req, res, 'get_state_history', { key, value, at, since, until, limit, offset })) return;
+
+  try {
+    const room = roomPool.resolve(requestRoom(req));
+    if (at) {
+      const result = await stateHistory.valuesAt({ room: room.name, at });
+      return res.json({ room: room.name, ...result, summary: summarizeState(result.values, room.ws.getSourceCatalog()) });
+    }
+
+    let expected;
+    if (value !== undefined) {
+      try {
+        expected = JSON.parse(value);
+      } catch (e) {
+        expected = value;
+      }
+    }
+    res.json({ room: room.name, ...(await stateHistory.query({ room: room.name, key, value: expected, since, until, limit, offset })) });
+  } catch (e) {
+    const { status, message } = describeError(e);
+    res.status(status).json({ error: message });
   }
 });
 
+// Usage report of a day or week - JSON, or CSV with ?format=csv
+// ?period=day|week, ?date=YYYY-MM-DD (default: today), ?room= (name or all; default: the caller's room)
+app.get('/reports/usage', authMiddleware, async (req, res) => {
+  const { period = 'day', date, format = 'json' } = req.query;
+  if (!allowTool(req, res, 'get_usage_report', { period, date })) return;
+
+  try {
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+    const selected = requestRoom(req);
+    const rooms = selected === 'all' ? roomPool.list() : [roomPool.resolve(selected)];
+    const reports = await Promise.all(rooms.map(room =>
+      buildUsageReport({ room: room.name, period, date, catalog: room.ws.getSourceCatalog() })));
+
+    if (format === 'csv') {
+      const name = `usage-${selected === 'all' ? 'all' : rooms[0].name}-${period}-${reports[0].date}.csv`;
+      res.type('text/csv').attachment(name).send(usageReportCsv(reports));
+    } else {
+      res.json(selected === 'all' ? { reports } : reports[0]);
+    }
+  } catch (e) {
+    const { status, message } = describeError(e);
+    res.status(status).json({ error: message });
+  }
+});
+
+// REST API - tool registry over plain HTTP (see api/rest.js)
+const apiLimiter = rateLimit({
+  windowMs: SECURITY.defaultRateLimit.windowMs,
+  max: SECURITY.defaultRateLimit.max,
+  message: { ok: false, error: { code: 'rate_limited', message: 'Rate limit exceeded' } }
+});
+app.use('/api/v1', apiLimiter, createRestApi({
+  authMiddleware,
+  requestRoom,
+  toolContext: () => ({ geminiModel: getGeminiModel(), grabMjpegFrame })
+}), restErrorHandler);
+
+// OpenAPI document of the REST API - built from the tool registry on each request
+app.get('/openapi.json', (req, res) => {
+  const protocol = req.get('X-Forwarded-Proto') || req.protocol;
+  res.json(buildOpenApiDocument({ baseUrl: `${protocol}://${req.get('host')}` }));
+});
+
 // Metrics endpoint - Full parity with server-http.js
 app.get('/metrics', (req, res) => {
   const toolCallsStr = Array.from(metrics.toolCalls.entries())
@@ -683,6 +991,8 @@ mcp_websocket_connected ${wsManager.isConnected ? 1 : 0}
 mcp_components_discovered ${Object.keys(wsManager.discoveredComponents.list).length}
 # HELP mcp_sessions_active Active sessions
 mcp_sessions_active ${sessionManager.sessions.size}
+# HELP mcp_event_streams_active Open /events streams
+mcp_event_streams_active ${metrics.activeEventStreams}
 # HELP mcp_uptime_seconds Uptime
 mcp_uptime_seconds ${Math.floor((Date.now() - metrics.startTime) / 1000)}
 # HELP tailscale_enabled Tailscale is configured
@@ -799,7 +1109,7 @@ app.post('/oauth/token', (req, res) => {
     const tier = client?.tier || 'basic';
 
     const token = jwt.sign(
-      { sub: authCode.client_id, tier, type: 'access_token', scope: authCode.scope },
+      { sub: authCode.client_id, tier, room: client?.room, type: 'access_token', scope: authCode.scope },
       SECURITY.oauth.secret,
       { algorithm: 'HS256', expiresIn: SECURITY.oauth.tokenExpiry }
     );
@@ -822,7 +1132,7 @@ app.post('/oauth/token', (req, res) => {
     }
 
     const token = jwt.sign(
-      { sub: client_id, tier: client.tier, type: 'access_token' },
+      { sub: client_id, tier: client.tier, room: client.room, type: 'access_token' },
       SECURITY.oauth.secret,
       { algorithm: 'HS256', expiresIn: SECURITY.oauth.tokenExpiry }
     );
@@ -982,20 +1292,6 @@ app.get('/files/:fileId/download', async (req, res) => {
   }
 });
 
-// Smart error mapping for voice responses (user-friendly messages)
-function mapErrorToVoice(error) {
-  if (error.message.includes('Timeout') || error.message.includes('timeout')) {
-    return 'System not responding.';
-  }
-  if (error.message.includes('Not connected') || error.message.includes('not connected')) {
-    return 'Connection lost.';
-  }
-  if (error.message.includes('Component not found')) {
-    return 'Device not available.';
-  }
-  return 'Command failed.';
-}
-
 // Voice webhook
 app.post('/voice/webhook', authMiddleware, async (req, res) => {
   const { message } = req.body;
@@ -1034,14 +1330,18 @@ app.post('/voice/webhook', authMiddleware, async (req, res) => {
     try {
       const result = await executeTool(toolName, args, {
         transport: 'voice',
+        room: requestRoom(req),
+        auth: req.auth,
+        // Undo history is per call
+        sessionId: message.call?.id || req.headers['x-call-id'],
         geminiModel: getGeminiModel(),
         grabMjpegFrame
       });
       results.push({ toolCallId: toolId, result });
       logger.info({ tool: toolName, result }, 'Tool executed');
     } catch (error) {
-      // Use smart error mapping for user-friendly voice responses
-      const errorMsg = mapErrorToVoice(error);
+      // Each error type has a short spoken phrase (shared/errors.js)
+      const errorMsg = describeError(error).voice;
       results.push({ toolCallId: toolId, error: errorMsg });
       logger.error({ tool: toolName, error: error.message }, 'Tool error');
     }
@@ -1051,7 +1351,7 @@ app.post('/voice/webhook', authMiddleware, async (req, res) => {
 });
 
 app.get('/voice/tools', authMiddleware, (req, res) => {
-  res.json(getVapiToolDefinitions());
+  res.json(getVapiToolDefinitions({ room: requestRoom(req), auth: req.auth }));
 });
 
 app.get('/voice/health', (req, res) => {
@@ -1091,13 +1391,19 @@ app.post('/mcp', authMiddleware, async (req, res) => {
       sessionIdGenerator: () => randomUUID(),
       onsessioninitialized: (newSessionId) => {
         transports.set(newSessionId, transport);
-        logger.info({ sessionId: newSessionId }, 'MCP session initialized');
+        const room = requestRoom(req);
+        if (room) sessionRooms.set(newSessionId, room);
+        logger.info({ sessionId: newSessionId, room }, 'MCP session initialized');
       }
     });
-    await server.connect(transport);
-    transport.onclose = () => {
-      if (transport.sessionId) transports.delete(transport.sessionId);
-    };
+    await createMcpServer({
+      onclose: () => {
+        if (transport.sessionId) {
+          transports.delete(transport.sessionId);
+          sessionRooms.delete(transport.sessionId);
+        }
+      }
+    }).connect(transport);
   }
 
   try {
@@ -1116,13 +1422,21 @@ app.get('/mcp', authMiddleware, async (req, res) => {
 
 app.delete('/mcp', authMiddleware, async (req, res) => {
   const transport = transports.get(req.headers['mcp-session-id']);
-  if (transport) { await transport.close(); transports.delete(req.headers['mcp-session-id']); }
+  if (transport) {
+    await transport.close();
+    transports.delete(req.headers['mcp-session-id']);
+    sessionRooms.delete(req.headers['mcp-session-id']);
+  }
   res.json({ success: true });
 });
 
 // Main
 async function main() {
-  logger.info({ config: { port: CONFIG.httpPort, wsHost: CONFIG.websocketHost, wsPort: CONFIG.websocketPort } }, 'Starting BUControl Unified MCP Server');
+  logger.info({
+    config: { port: CONFIG.httpPort, wsHost: CONFIG.websocketHost, wsPort: CONFIG.websocketPort },
+    rooms: roomPool.names(),
+    defaultRoom: roomPool.defaultRoom
+  }, 'Starting BUControl Unified MCP Server');
 
   // Validate configuration
   if (SECURITY.requireApiKey && SECURITY.apiKeys.size === 0) {
@@ -1162,31 +1476,42 @@ async function main() {
   }
 
   // Connect WebSocket with retry and proper backoff
-  async function connectWithRetry(maxRetries = 10) {
+  async function connectWithRetry(room, maxRetries = 10) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        await wsManager.init(CONFIG);
-        logger.info('WebSocket initialized successfully');
+        await room.ws.init(room.config);
+        logger.info({ room: room.name }, 'WebSocket initialized successfully');
         metrics.websocketConnections++;
         return;
       } catch (e) {
         metrics.websocketErrors++;
         const delay = calculateBackoff(attempt);
-        logger.warn({ error: e.message, attempt, maxRetries, nextRetryMs: delay }, 'WebSocket init failed, retrying...');
+        logger.warn({ room: room.name, error: e.message, attempt, maxRetries, nextRetryMs: delay }, 'WebSocket init failed, retrying...');
         if (attempt < maxRetries) await new Promise(r => setTimeout(r, delay));
       }
     }
-    logger.error({ maxRetries }, 'WebSocket init failed after all retries - will rely on manual reconnect');
+    logger.error({ room: room.name, maxRetries }, 'WebSocket init failed after all retries - will rely on manual reconnect');
   }
 
-  await connectWithRetry();
+  // Event stream watches the rooms from the start, so dashboards see them connect
+  roomEvents.start({ rooms: roomPool });
+  await stateHistory.start({ rooms: roomPool });
+
+  await Promise.all(roomPool.list().map(room => connectWithRetry(room)));
+
+  // Scheduled actions and automation rules run through the same tool registry as MCP and voice calls
+  const runTool = (name, args, ctx) => executeTool(name, args, { ...ctx, geminiModel: getGeminiModel(), grabMjpegFrame });
+  scheduler.start({ executeTool: runTool, getTool });
+  rulesEngine.start({ rooms: roomPool, executeTool: runTool, getTool });
 
   // Periodic health check - reconnect if disconnected
   setInterval(() => {
-    if (!wsManager.isConnected && wsManager.socket) {
-      logger.info('Health check: WebSocket disconnected, attempting reconnect...');
-      wsManager.socket.connect();
-      metrics.websocketReconnections++;
+    for (const room of roomPool.list()) {
+      if (!room.ws.isConnected && room.ws.socket) {
+        logger.info({ room: room.name }, 'Health check: WebSocket disconnected, attempting reconnect...');
+        room.ws.socket.connect();
+        metrics.websocketReconnections++;
+      }
     }
   }, 30000);
 
@@ -1194,8 +1519,14 @@ async function main() {
   const shutdown = async (signal) => {
     logger.info({ signal }, 'Shutting down');
     sessionManager.close();
-    wsManager.disconnect();
-    httpServer.close(() => { logger.info('Server closed'); process.exit(0); });
+    scheduler.stop();
+    rulesEngine.stop();
+    roomPool.list().forEach(room => room.ws.disconnect());
+    httpServer.close(async () => {
+      await Promise.all([flushAuditLog(), stateHistory.flush()]);
+      logger.info('Server closed');
+      process.exit(0);
+    });
     setTimeout(() => process.exit(1), 10000);
   };
   process.on('SIGTERM', () => shutdown('SIGTERM'));
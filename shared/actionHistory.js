@@ -0,0 +1,112 @@
+/**
+ * Action History
+ * The controls each tool call changed, with the values they had before, so "no, put it back"
+ * can be undone exactly instead of guessed (undo_last_action, get_action_history).
+ *
+ * History is per session (MCP session, voice call) with a room-wide fallback: a caller without
+ * actions of its own in the room undoes the room's latest action it could have made itself.
+ * Kept in memory, ACTION_HISTORY_SIZE (default 50) actions per room - a restart clears it.
+ */
+import { randomUUID } from 'crypto';
+
+// Calls that read or replay history are not actions themselves
+const HISTORY_TOOLS = ['undo_last_action', 'get_action_history'];
+
+// Read on use: the server loads .env after its imports
+function historySize() {
+  return parseInt(process.env.ACTION_HISTORY_SIZE) || 50;
+}
+
+const controlKey = (change) => `${change.componentId}\u0000${change.controlId}`;
+
+/**
+ * Name of a changed control for reports: "lights", "videoWall" or "Mixer_8x8_2 output.2.gain"
+ */
+export function controlLabel(change) {
+  return change.function || `${change.component || change.componentId} ${change.controlId}`;
+}
+
+// One entry per control: the value before the call's first write and after its last
+export function compact(changes) {
+  const byControl = new Map();
+  for (const change of changes) {
+    const key = controlKey(change);
+    const first = byControl.get(key);
+    byControl.set(key, first ? { ...change, previous: first.previous } : change);
+  }
+  return [...byControl.values()];
+}
+
+class ActionHistory {
+  constructor() {
+    // room name -> actions, oldest first
+    this.rooms = new Map();
+  }
+
+  /**
+   * Tool execution listener (register with onToolExecuted)
+   * Records successful top-level calls that changed controls. Steps of a sequence are recorded
+   * as part of the sequence, so one undo reverts all of it.
+   */
+  record({ name, args, ctx, room, status, startedAt, changes, nested }) {
+    if (nested || HISTORY_TOOLS.includes(name)) return;
+    if (status !== 'success' && status !== 'partial') return;
+    if (!room || room === 'all' || !changes?.length) return;
+
+    const actions = this.rooms.get(room) || [];
+    const { room: _room, confirmationToken, ...toolArgs } = args || {};
+    actions.push({
+      id: randomUUID(),
+      tool: name,
+      args: toolArgs,
+      room,
+      session: ctx?.sessionId || null,
+      transport: ctx?.transport || null,
+      time: new Date(startedAt).toISOString(),
+      changes: compact(changes),
+      undone: false
+    });
+    this.rooms.set(room, actions.slice(-historySize()));
+  }
+
+  /**
+   * Latest action not yet undone: the session's own, else the room's
+   * @param {object} options
+   * @param {string} options.room
+   * @param {string} [options.session]
+   * @param {Function} [options.allowed] - Only actions it accepts (e.g. ones the caller's policy allows)
+   * @returns {object|null}
+   */
+  last({ room, session, allowed = () => true }) {
+    const pending = (this.rooms.get(room) || []).filter(a => !a.undone && allowed(a));
+    const own = session ? pending.filter(a => a.session === session) : [];
+    return (own.length > 0 ? own : pending).at(-1) || null;
+  }
+
+  /**
+   * Actions in a room, newest first
+   * @param {object} options
+   * @param {string} options.room
+   * @param {string|null} [options.session] - Only this session's actions (null: calls without a session)
+   * @param {number} [options.limit]
+   */
+  list({ room, session, limit = 10 }) {
+    const actions = (this.rooms.get(room) || []).filter(a => session === undefined || a.session === session);
+    return actions.slice().reverse().slice(0, limit);
+  }
+
+  markUndone(action, undoneAt = new Date()) {
+    action.undone = true;
+    action.undoneAt = undoneAt.toISOString();
+  }
+
+  clear() {
+    this.rooms.clear();
+  }
+}
+
+// Singleton instance
+const actionHistory = new ActionHistory();
+
+export default actionHistory;
+export { ActionHistory };
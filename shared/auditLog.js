@@ -0,0 +1,216 @@
+/**
+ * Audit Log
+ * Append-only record of every tool execution (audit.jsonl in the data directory)
+ *
+ * Each entry: timestamp, transport, caller identity, room, tool, arguments, result or error,
+ * duration and the bridge transaction IDs the call produced.
+ * Retention: entries older than AUDIT_RETENTION_DAYS (default 90) are dropped, and at most
+ * AUDIT_MAX_ENTRIES (default 50000) are kept. Pruning runs at startup and every 500 entries.
+ * Writes are asynchronous and queries stream the file, so a tool call never waits on the disk.
+ */
+import pino from 'pino';
+import { appendJsonlAsync, streamJsonl, writeJsonlAsync } from './dataStore.js';
+import { InvalidArgument } from './errors.js';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-audit' }
+});
+
+const AUDIT_FILE = 'audit.jsonl';
+
+// Read when pruning: the server loads .env after its imports
+export function retentionSettings() {
+  return {
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 90,
+    maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES) || 50000
+  };
+}
+
+const PRUNE_EVERY = 500;
+const MAX_RESULT_LENGTH = 1000;
+
+// Argument names whose values never reach the log
+const SECRET_KEYS = /token|secret|password|apikey|api_key|authorization/i;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+      [k, SECRET_KEYS.test(k) ? '[redacted]' : redact(v)]
+    ));
+  }
+  return value;
+}
+
+function truncate(result) {
+  if (result === undefined) return null;
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}...` : result;
+}
+
+/**
+ * Caller identity for the log (never the credential itself)
+ * The OAuth client comes from the token claims the auth middleware keeps in auth.user: client_id
+ * or azp from an identity provider, else the subject (tokens from /oauth/token have the client as sub).
+ * @param {object} [auth] - ctx.auth: { type, tier, sub, user, keyId, ip }
+ */
+function identity(auth) {
+  if (!auth) return null;
+  const { type, tier, sub, keyId, ip } = auth;
+  const clientId = type === 'oauth' ? (auth.user?.client_id ?? auth.user?.azp ?? sub) : undefined;
+  return Object.fromEntries(
+    Object.entries({ type, tier, sub, keyId, clientId, ip }).filter(([, v]) => v !== undefined && v !== null)
+  );
+}
+
+let appendsSincePrune = 0;
+
+// Appends and prunes run one after another: a prune rewrites the file, so an append made
+// while it runs would be lost
+let writes = Promise.resolve();
+
+function enqueue(write) {
+  const run = writes.then(write);
+  writes = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Record one tool execution
+ * @param {object} execution - As emitted by onToolExecuted in the tool registry
+ */
+export function recordExecution({ name, args, ctx = {}, room, status, result, error, errorCode, startedAt, durationMs, transactionIds, nested }) {
+  const entry = {
+    timestamp: new Date(startedAt).toISOString(),
+    transport: ctx.transport || null,
+    identity: identity(ctx.auth),
+    room: room || ctx.room || null,
+    tool: name,
+    args: redact(args || {}),
+    status,
+    ...(error ? { error, errorCode } : { result: truncate(result) }),
+    durationMs,
+    transactionIds: transactionIds || [],
+    ...(ctx.scheduleId && { scheduleId: ctx.scheduleId }),
+    ...(ctx.ruleId && { ruleId: ctx.ruleId }),
+    // A step of run_sequence, not a request of its own
+    ...(nested && { nested: true })
+  };
+
+  enqueue(async () => {
+    await appendJsonlAsync(AUDIT_FILE, entry);
+    if (++appendsSincePrune >= PRUNE_EVERY) await pruneEntries();
+  }).catch(e => {
+    // Auditing must never break a tool call
+    logger.error({ error: e.message, tool: name }, 'Failed to write audit entry');
+  });
+  return entry;
+}
+
+async function pruneEntries() {
+  appendsSincePrune = 0;
+  const { retentionDays, maxEntries } = retentionSettings();
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+  // Only the newest maxEntries recent entries are held, never the whole file
+  let total = 0;
+  let kept = [];
+  for await (const entry of streamJsonl(AUDIT_FILE)) {
+    total++;
+    if (new Date(entry.timestamp).getTime() < cutoff) continue;
+    kept.push(entry);
+    if (kept.length >= maxEntries * 2) kept = kept.slice(-maxEntries);
+  }
+  kept = kept.slice(-maxEntries);
+
+  if (kept.length < total) {
+    await writeJsonlAsync(AUDIT_FILE, kept);
+    logger.info({ removed: total - kept.length, kept: kept.length }, 'Audit log pruned');
+  }
+  return total - kept.length;
+}
+
+/**
+ * Drop entries past the retention period and above the size limit
+ * @returns {Promise<number>} Entries removed
+ */
+export function prune() {
+  return enqueue(pruneEntries);
+}
+
+/**
+ * Resolves once the entries recorded so far are written (tests, shutdown)
+ */
+export function flush() {
+  return writes;
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {object} [filters]
+ * @param {string} [filters.since] - ISO time (inclusive)
+ * @param {string} [filters.until] - ISO time (exclusive)
+ * @param {string} [filters.tool]
+ * @param {string} [filters.transport] - mcp, voice, scheduler, rules
+ * @param {string} [filters.room]
+ * @param {string} [filters.status] - success, error, unavailable, confirmation_required (preview of a two-phase tool),
+ *   partial (run_sequence with failed steps)
+ * @param {string} [filters.identity] - Matches identity sub, clientId, keyId, type, tier or ip
+ * @param {number} [filters.limit=50] - Maximum entries (capped at 1000)
+ * @param {number} [filters.offset=0] - Entries to skip (paging)
+ * @returns {Promise<{ total: number, entries: object[] }>}
+ */
+export async function queryAudit({ since, until, tool, transport, room, status, identity: who, limit = 50, offset = 0 } = {}) {
+  const sinceMs = since ? new Date(since).getTime() : null;
+  const untilMs = until ? new Date(until).getTime() : null;
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) {
+    throw new InvalidArgument('since and until must be ISO date-times');
+  }
+
+  const matches = (e) => {
+    const time = new Date(e.timestamp).getTime();
+    if (sinceMs !== null && time < sinceMs) return false;
+    if (untilMs !== null && time >= untilMs) return false;
+    if (tool && e.tool !== tool) return false;
+    if (transport && e.transport !== transport) return false;
+    if (room && e.room !== room) return false;
+    if (status && e.status !== status) return false;
+    if (who && !Object.values(e.identity || {}).includes(who)) return false;
+    return true;
+  };
+
+  const count = Math.min(Math.max(parseInt(limit) || 50, 1), 1000);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  // The page is counted from the newest entry: hold only the last offset + limit matches
+  let total = 0;
+  let newest = [];
+  for await (const entry of streamJsonl(AUDIT_FILE)) {
+    if (!matches(entry)) continue;
+    total++;
+    newest.push(entry);
+    if (newest.length >= (start + count) * 2) newest = newest.slice(-(start + count));
+  }
+  newest = newest.slice(-(start + count)).reverse();
+  return { total, entries: newest.slice(start, start + count) };
+}
+
+/**
+ * Audit entries of a time range, oldest first (usage reports)
+ * @param {object} options
+ * @param {Date} options.since
+ * @param {Date} options.until - Exclusive
+ * @param {string} [options.room]
+ * @returns {Promise<object[]>}
+ */
+export async function auditEntries({ since, until, room }) {
+  const entries = [];
+  for await (const e of streamJsonl(AUDIT_FILE)) {
+    const time = new Date(e.timestamp);
+    if (time >= since && time < until && (!room || e.room === room)) entries.push(e);
+  }
+  return entries;
+}
+
+export default { recordExecution, prune, flush, queryAudit, auditEntries, retentionSettings };
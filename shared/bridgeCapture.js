@@ -0,0 +1,318 @@
+/**
+ * Bridge Capture
+ * Record a WebSocketManager's Socket.IO traffic to a capture file, and replay a capture into a
+ * manager as if it were the bridge - to reproduce field incidents against the tool handlers.
+ *
+ * Capture format (JSONL): a header line, then one line per event
+ *   { "capture": 1, "room": "boardroom", "controllerId": "...", "url": "...", "startedAt": "<ISO>" }
+ *   { "t": 1532, "dir": "in" | "out" | "lifecycle", "event": "control:update", "data": { ... } }
+ * "t" is milliseconds since recording started; lifecycle events are connect and disconnect.
+ *
+ * Replay (ReplaySocket stands in for the socket.io-client socket):
+ *   - Inbound events are delivered in capture order, instantly (speed 0) or with the recorded
+ *     gaps divided by speed.
+ *   - After each connect, delivery pauses at the recorded client:identify and
+ *     controller:subscribe requests until the manager sends them, so the handshake replies reach
+ *     their listeners.
+ *   - Other requests get stand-in replies: control:set is acknowledged but not applied (the capture
+ *     decides the state), component and control subscriptions are answered from the state seen so
+ *     far, pings get pongs.
+ */
+import { readFileSync, appendFileSync, mkdirSync } from 'fs';
+import { dirname, isAbsolute } from 'path';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath } from './dataStore.js';
+
+const CAPTURE_VERSION = 1;
+
+// Requests replay waits for the manager to send after each connect
+const HANDSHAKE_EVENTS = ['client:identify', 'controller:subscribe'];
+
+/**
+ * Resolve a capture file setting: relative paths live in the data directory,
+ * {room} and {time} are replaced (e.g. "captures/{room}-{time}.jsonl")
+ */
+export function capturePath(template, room = 'default') {
+  const file = template
+    .replaceAll('{room}', room)
+    .replaceAll('{time}', new Date().toISOString().replace(/[:.]/g, '-'));
+  return isAbsolute(file) ? file : dataPath(file);
+}
+
+/**
+ * Append-only capture writer (synchronous, so a crash keeps everything up to the incident)
+ */
+export class CaptureRecorder {
+  /**
+   * @param {string} file - Capture file path (created with its directory)
+   * @param {object} [header] - Extra header fields (room, controllerId, url)
+   */
+  constructor(file, header = {}) {
+    this.file = file;
+    this.startedAt = Date.now();
+    this.count = 0;
+    mkdirSync(dirname(file), { recursive: true });
+    this.write({ capture: CAPTURE_VERSION, ...header, startedAt: new Date(this.startedAt).toISOString() });
+  }
+
+  write(line) {
+    appendFileSync(this.file, JSON.stringify(line) + '\n');
+  }
+
+  record(dir, event, args = []) {
+    const line = { t: Date.now() - this.startedAt, dir, event };
+    if (args.length === 1) line.data = args[0];
+    else if (args.length > 1) line.args = args;
+    this.write(line);
+    this.count++;
+  }
+
+  /**
+   * Record every event on a socket.io-client socket (call again for each new socket)
+   */
+  attach(socket) {
+    socket.onAny((event, ...args) => this.record('in', event, args));
+    socket.onAnyOutgoing((event, ...args) => this.record('out', event, args));
+    // Reserved events do not reach onAny
+    socket.on('connect', () => this.record('lifecycle', 'connect'));
+    socket.on('disconnect', (reason) => this.record('lifecycle', 'disconnect', [reason]));
+  }
+}
+
+/**
+ * Read a capture file
+ * @returns {{ header: object, events: object[] }}
+ * @throws {Error} for a missing or malformed capture
+ */
+export function readCapture(file) {
+  let lines;
+  try {
+    lines = readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+  } catch (e) {
+    throw new Error(`Invalid capture ${file}: ${e.message}`);
+  }
+
+  const [header, ...events] = lines;
+  if (header?.capture !== CAPTURE_VERSION) {
+    throw new Error(`Invalid capture ${file}: missing capture header (version ${CAPTURE_VERSION})`);
+  }
+  return { header, events };
+}
+
+/**
+ * Stand-in for a socket.io-client socket that plays back a capture
+ * Implements the socket API the WebSocketManager uses: on, once, off, emit, removeAllListeners,
+ * connect, disconnect.
+ */
+export class ReplaySocket {
+  /**
+   * @param {{ header: object, events: object[] }} capture - From readCapture
+   * @param {object} [options]
+   * @param {number} [options.speed=0] - 0 delivers instantly, 1 in recorded time, 10 ten times faster
+   * @param {number} [options.until] - Stop delivering after this many ms of capture time
+   */
+  constructor(capture, { speed = 0, until = Infinity } = {}) {
+    this.header = capture.header;
+    this.events = capture.events.filter(e => e.t <= until);
+    this.speed = speed;
+    this.cursor = 0;
+    this.clock = 0;
+    this.awaiting = new Set();
+    this.sent = {};
+    this.blockedOn = null;
+    this.connected = false;
+    this.stopped = false;
+    this.timer = null;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+
+    // State seen so far (answers on-demand subscriptions)
+    this.components = {};
+
+    this.finished = new Promise(resolve => { this.resolveFinished = resolve; });
+
+    // Start on the next tick - the manager registers its listeners first
+    setImmediate(() => this.advance());
+  }
+
+  // Socket API (listeners and outbound events)
+
+  on(event, listener) {
+    this.emitter.on(event, listener);
+    return this;
+  }
+
+  once(event, listener) {
+    this.emitter.once(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.emitter.off(event, listener);
+    return this;
+  }
+
+  removeAllListeners(event) {
+    this.emitter.removeAllListeners(event);
+    return this;
+  }
+
+  emit(event, data) {
+    if (this.stopped) return this;
+
+    // Handshake requests are answered by the recorded replies
+    if (this.awaiting.has(event)) {
+      this.sent[event] = (this.sent[event] || 0) + 1;
+      if (this.blockedOn === event) {
+        this.blockedOn = null;
+        setImmediate(() => this.advance());
+      }
+      return this;
+    }
+
+    this.standInReply(event, data || {});
+    return this;
+  }
+
+  connect() {
+    return this;
+  }
+
+  disconnect() {
+    this.stop();
+    if (this.connected) {
+      this.connected = false;
+      this.deliver('disconnect', ['io client disconnect']);
+    }
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.resolveFinished({ delivered: this.cursor, total: this.events.length });
+  }
+
+  /**
+   * Capture time delivered so far (ms)
+   */
+  get position() {
+    return this.clock;
+  }
+
+  // Playback
+
+  advance() {
+    if (this.stopped || this.blockedOn) return;
+
+    // Requests from the recorded session are not replayed; the live manager makes its own
+    while (this.events[this.cursor]?.dir === 'out') {
+      const record = this.events[this.cursor];
+      if (this.awaiting.has(record.event)) {
+        // Hold the recorded replies until the manager has made this request
+        if (!this.sent[record.event]) {
+          this.blockedOn = record.event;
+          return;
+        }
+        this.awaiting.delete(record.event);
+      }
+      this.cursor++;
+      this.clock = record.t;
+    }
+
+    if (this.cursor >= this.events.length) {
+      this.resolveFinished({ delivered: this.cursor, total: this.events.length });
+      return;
+    }
+
+    const record = this.events[this.cursor];
+    const gap = this.speed > 0 ? (record.t - this.clock) / this.speed : 0;
+    if (gap > 0) {
+      this.timer = setTimeout(() => {
+        this.clock = record.t;
+        this.advance();
+      }, gap);
+      this.timer.unref?.();
+      return;
+    }
+
+    this.cursor++;
+    this.clock = record.t;
+    const args = record.args || (record.data !== undefined ? [record.data] : []);
+
+    // The recorded manager closing its own connection is not a bridge event
+    if (!(record.event === 'disconnect' && args[0] === 'io client disconnect')) {
+      if (record.dir === 'lifecycle' && record.event === 'connect') {
+        this.awaiting = new Set(HANDSHAKE_EVENTS);
+        this.sent = {};
+      }
+      this.deliver(record.event, args);
+    }
+
+    // One event per tick: replies to requests the manager makes in reaction arrive before the next one
+    setImmediate(() => this.advance());
+  }
+
+  deliver(event, args) {
+    if (event === 'connect') this.connected = true;
+    if (event === 'disconnect') this.connected = false;
+    this.track(event, args[0]);
+    this.emitter.emit(event, ...args);
+  }
+
+  // Keep the latest component and control values seen in the capture
+  track(event, data) {
+    if (event === 'controller:state' && data?.components) {
+      for (const [id, component] of Object.entries(data.components)) {
+        this.components[id] = { id, name: component.name, controls: { ...component.controls } };
+      }
+    } else if (event === 'component:state' && data?.component?.controls) {
+      const id = data.componentId || data.component.id;
+      this.components[id] = { id, name: data.component.name, controls: { ...data.component.controls } };
+    } else if (event === 'control:update' && data?.componentId && data.control) {
+      const component = this.components[data.componentId] ||= { id: data.componentId, controls: {} };
+      component.controls[data.controlId] = data.control;
+    }
+  }
+
+  // Replies to requests the capture cannot answer (tool calls made during replay)
+  standInReply(event, data) {
+    const reply = (name, payload) => setImmediate(() => {
+      if (!this.stopped) this.deliver(name, [payload]);
+    });
+    const { controllerId, componentId, controlId } = data;
+
+    switch (event) {
+      case 'client:identify':
+        reply('client:identify:success', {
+          socketId: `replay-${uuidv4().slice(0, 8)}`,
+          clientId: 'replay',
+          serverTime: new Date().toISOString(),
+          connection: { transport: 'replay', connectedAt: new Date().toISOString() }
+        });
+        break;
+      case 'control:set':
+        reply('control:set:success', { transactionId: data.transactionId, controllerId, componentId, controlId });
+        break;
+      case 'component:subscribe':
+        if (this.components[componentId]) {
+          reply('component:state', { controllerId, componentId, component: this.components[componentId] });
+        }
+        break;
+      case 'control:subscribe': {
+        const control = this.components[componentId]?.controls[controlId];
+        if (control !== undefined) reply('control:update', { controllerId, componentId, controlId, control });
+        break;
+      }
+      case 'ping':
+        reply('pong', { clientTimestamp: data.timestamp, serverTimestamp: Date.now() });
+        break;
+      default:
+        // controller:subscribe refreshes and anything else: the capture drives state
+        break;
+    }
+  }
+}
+
+export default { CaptureRecorder, ReplaySocket, readCapture, capturePath };
@@ -0,0 +1,25 @@
+/**
+ * Call Context
+ * Per tool call data that deeper layers add to without threading it through every function
+ * (e.g. bridge transaction IDs collected by sendControl for the audit log)
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a call context; nested calls get their own context
+ * @param {object} context - e.g. { transactionIds: [] }
+ */
+export function runWithCallContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Context of the tool call currently executing (null outside a tool call)
+ */
+export function getCallContext() {
+  return storage.getStore() || null;
+}
+
+export default { runWithCallContext, getCallContext };
@@ -11,6 +11,11 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import net from 'net';
+import { getRoomFunctions } from './roomProfile.js';
+import { buildSourceCatalog } from './sourceCatalog.js';
+import { getCallContext } from './callContext.js';
+import { CaptureRecorder, ReplaySocket, readCapture, capturePath } from './bridgeCapture.js';
+import { BridgeTimeout, NotConnected, ComponentMissing, CommandFailed } from './errors.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -112,15 +117,14 @@ class WebSocketManager {
       lastUpdate: 0
     };
 
-    // Component IDs (discovered)
-    this.components = {
-      videoWall: null,
-      hdmiDisplay: null,
-      gpio: null,
-      hdmiDecoder: null,
-      lighting: null,
-      mixer: null
-    };
+    // Room functions (component patterns + control IDs) from the room profile
+    this.functions = getRoomFunctions();
+
+    // Component IDs per room function (discovered)
+    this.components = Object.fromEntries(Object.keys(this.functions).map(key => [key, null]));
+
+    // Result of checking the room profile against discovered components
+    this.profileReport = null;
 
     // Discovered components list
     this.discoveredComponents = { list: {}, watched: {} };
@@ -149,6 +153,9 @@ class WebSocketManager {
 
     // Heartbeat interval reference (for cleanup)
     this.heartbeatInterval = null;
+
+    // Bridge traffic capture (config.recordFile) - one file across reconnects
+    this.recorder = null;
   }
 
   /**
@@ -156,6 +163,7 @@ class WebSocketManager {
    */
   async init(config) {
     this.config = config;
+    this.functions = getRoomFunctions(config.profile);
     const url = `http://${config.websocketHost}:${config.websocketPort}`;
 
     logger.info({ url }, 'Connecting to WebSocket bridge V2');
@@ -175,8 +183,16 @@ class WebSocketManager {
       logger.info('Using authentication token');
     }
 
+    // Replay a capture instead of connecting (config.replayFile)
+    let replay = null;
+    if (config.replayFile) {
+      const file = capturePath(config.replayFile, config.roomName);
+      replay = readCapture(file);
+      logger.info({ file, events: replay.events.length, recordedAt: replay.header.startedAt }, 'Replaying bridge capture');
+    }
+
     // Use SOCKS5 proxy for Tailscale
-    if (process.env.TAILSCALE_AUTHKEY) {
+    if (process.env.TAILSCALE_AUTHKEY && !replay) {
       const proxyUrl = process.env.TAILSCALE_SOCKS_PROXY || 'socks5://127.0.0.1:1055';
 
       // Parse proxy URL to get host and port for connectivity check
@@ -196,10 +212,23 @@ class WebSocketManager {
     }
 
     return new Promise((resolve, reject) => {
-      this.socket = io(url, socketOptions);
+      if (replay) {
+        this.socket = new ReplaySocket(replay, { speed: config.replaySpeed || 0, until: config.replayUntil });
+      } else {
+        this.socket = io(url, socketOptions);
+
+        if (config.recordFile) {
+          if (!this.recorder) {
+            const file = capturePath(config.recordFile, config.roomName);
+            this.recorder = new CaptureRecorder(file, { room: config.roomName, controllerId: config.controllerId, url });
+            logger.info({ file }, 'Recording bridge traffic');
+          }
+          this.recorder.attach(this.socket);
+        }
+      }
 
       const timeout = setTimeout(() => {
-        reject(new Error('Connection timeout'));
+        reject(new BridgeTimeout('Connection timeout'));
       }, config.connectionTimeout || 20000);
 
       this.socket.on('connect', async () => {
@@ -379,7 +408,7 @@ class WebSocketManager {
   identify() {
     return new Promise((resolve, reject) => {
       const identifyTimeout = this.config?.identifyTimeout || 5000;
-      const timeout = setTimeout(() => reject(new Error('Identification timeout')), identifyTimeout);
+      const timeout = setTimeout(() => reject(new BridgeTimeout('Identification timeout')), identifyTimeout);
 
       this.socket.once('client:identify:success', (data) => {
         clearTimeout(timeout);
@@ -443,19 +472,10 @@ class WebSocketManager {
 
         const entries = Object.entries(data.components);
 
-        // Find known components
-        const patterns = [
-          ['videoWall', ['BUControl', 'Video Wall']],
-          ['hdmiDisplay', ['Generic_HDMI_Display']],
-          ['gpio', ['GPIO_Out_Core-Maktabi']],
-          ['hdmiDecoder', ['HDMI_I/ODecoder']],
-          ['lighting', ['LutronLEAPZone']],
-          ['mixer', ['Mixer_8x8_2']]
-        ];
-
-        patterns.forEach(([key, names]) => {
+        // Find the component for each room function (patterns from the room profile)
+        Object.entries(this.functions).forEach(([key, fn]) => {
           const found = entries.find(([, c]) =>
-            names.some(p => c.name.includes(p))
+            fn.match.some(p => c.name.includes(p))
           );
           if (found) {
             this.components[key] = found[0];
@@ -463,6 +483,13 @@ class WebSocketManager {
           }
         });
 
+        this.profileReport = this.validateProfile();
+        if (this.profileReport.ok) {
+          logger.info({ room: this.config.roomName }, 'Room profile matches discovered components');
+        } else {
+          logger.warn({ room: this.config.roomName, missing: this.profileReport.missing }, 'Room profile incomplete - some room functions are unavailable');
+        }
+
         // Subscribe only to the known components we actually use
         // MCP is request/response - we don't need ALL control updates, just the ones we query
         Object.values(this.components).filter(Boolean).forEach(id => {
@@ -481,28 +508,82 @@ class WebSocketManager {
     });
   }
 
-  handleControlUpdate(data) {
-    const { controlId, control } = data;
-
-    const map = {
-      'HardwareState': 'hardwareState',
-      'hdmi.enabled.button': 'screenPower',
-      'pin.8.digital.out': 'privacyGlass',
-      'hdmi.out.1.select.hdmi.1': 'didoOutput',
-      'ZoneDimLevel1': 'lightingLevel',
-      'output.1.gain': 'volumeLevel'
-    };
+  /**
+   * Check the room profile against discovered components
+   * @returns {{ok: boolean, functions: object, missing: string[]}}
+   */
+  validateProfile() {
+    const functions = {};
+    const missing = [];
+
+    for (const [key, fn] of Object.entries(this.functions)) {
+      const componentId = this.components[key];
+      const component = componentId
+        ? Object.values(this.discoveredComponents.list).find(c => c.id === componentId)
+        : null;
+
+      if (!component) {
+        functions[key] = { status: 'missing-component', match: fn.match };
+        missing.push(`${key}: no component matching ${fn.match.map(m => `"${m}"`).join(' or ')}`);
+        continue;
+      }
 
-    if (controlId === 'ConnectedSources') {
+      // Some bridges omit control lists from controller:state - then controls cannot be checked
+      const controlIds = [fn.control, fn.stateControl, fn.sourcesControl].filter(Boolean);
+      const known = Object.keys(component.controls || {});
+      const missingControls = known.length > 0 ? controlIds.filter(id => !known.includes(id)) : [];
+
+      functions[key] = {
+        status: known.length === 0 ? 'unverified' : missingControls.length > 0 ? 'missing-control' : 'ok',
+        component: component.name,
+        componentId,
+        controls: controlIds
+      };
+      if (missingControls.length > 0) {
+        missing.push(`${key}: component "${component.name}" has no control ${missingControls.map(c => `"${c}"`).join(', ')}`);
+      }
+    }
+
+    return { ok: missing.length === 0, functions, missing };
+  }
+
+  /**
+   * Map of control ID -> state key for the room functions
+   */
+  controlStateMap() {
+    const map = {};
+    for (const fn of Object.values(this.functions)) {
+      map[fn.stateControl || fn.control] = fn.state;
+    }
+    return map;
+  }
+
+  // Store a control's value in the state cache (HardwareState and ConnectedSources are strings)
+  applyControlValue(controlId, control) {
+    const videoWall = this.functions.videoWall;
+
+    if (controlId === videoWall.sourcesControl) {
       try {
         this.state.connectedSources = JSON.parse(control.string || control.value).sources;
       } catch (e) {}
-    } else if (controlId === 'HardwareState') {
+    } else if (controlId === videoWall.stateControl) {
       // HardwareState contains WindowCommand string in .string, not .value
       this.state.hardwareState = control.string || control.value;
-    } else if (map[controlId]) {
-      this.state[map[controlId]] = control.value;
+    } else {
+      const key = this.controlStateMap()[controlId];
+      if (key) this.state[key] = control.value;
     }
+  }
+
+  handleControlUpdate(data) {
+    const { componentId, controlId, control } = data;
+    if (!control) return;
+
+    this.applyControlValue(controlId, control);
+
+    // Keep the discovered component's controls current (component resources)
+    const component = componentId && this.findComponentById(componentId);
+    if (component) component.controls = { ...component.controls, [controlId]: control };
 
     this.state.timestamp = Date.now();
     this.notifyStateChange();
@@ -512,17 +593,14 @@ class WebSocketManager {
     const c = data.component?.controls;
     if (!c) return;
 
-    if (c.HardwareState) this.state.hardwareState = c.HardwareState.string || c.HardwareState.value;
-    if (c.ConnectedSources) {
-      try {
-        this.state.connectedSources = JSON.parse(c.ConnectedSources.string || c.ConnectedSources.value).sources;
-      } catch (e) {}
+    const component = this.findComponentById(data.componentId || data.component.id);
+    if (component) component.controls = { ...component.controls, ...c };
+
+    const videoWall = this.functions.videoWall;
+    const controlIds = [videoWall.sourcesControl, ...Object.keys(this.controlStateMap())];
+    for (const controlId of controlIds) {
+      if (c[controlId]) this.applyControlValue(controlId, c[controlId]);
     }
-    if (c['hdmi.enabled.button']) this.state.screenPower = c['hdmi.enabled.button'].value;
-    if (c['pin.8.digital.out']) this.state.privacyGlass = c['pin.8.digital.out'].value;
-    if (c['hdmi.out.1.select.hdmi.1']) this.state.didoOutput = c['hdmi.out.1.select.hdmi.1'].value;
-    if (c.ZoneDimLevel1) this.state.lightingLevel = c.ZoneDimLevel1.value;
-    if (c['output.1.gain']) this.state.volumeLevel = c['output.1.gain'].value;
 
     this.state.timestamp = Date.now();
     this.notifyStateChange();
@@ -564,7 +642,7 @@ class WebSocketManager {
   async getState() {
     // Guard: ensure socket is connected before emitting
     if (!this.isConnected || !this.socket) {
-      throw new Error('Not connected');
+      throw new NotConnected('Not connected');
     }
 
     if (Date.now() - this.state.timestamp > this.state.TTL) {
@@ -594,23 +672,36 @@ class WebSocketManager {
    * Send control command
    * Fixed: Properly cleans up event listeners on timeout to prevent memory leaks
    */
-  sendControl(componentKey, controlId, value) {
-    return new Promise((resolve, reject) => {
-      if (!this.isConnected || !this.isIdentified) {
-        return reject(new Error('Not connected'));
-      }
+  async sendControl(componentKey, controlId, value) {
+    if (!this.isConnected || !this.isIdentified) {
+      throw new NotConnected('Not connected');
+    }
 
-      const componentId = typeof componentKey === 'string' && componentKey.includes('-')
-        ? componentKey  // Already a component ID
-        : this.components[componentKey];
+    const componentId = typeof componentKey === 'string' && componentKey.includes('-')
+      ? componentKey  // Already a component ID
+      : this.components[componentKey];
 
-      if (!componentId) {
-        return reject(new Error(`Component not found: ${componentKey}`));
-      }
+    if (!componentId) {
+      throw new ComponentMissing(`Component not found: ${componentKey}`);
+    }
+
+    // The value the control had before, so the call can be undone (action history). A room
+    // function missing from the cache is read through getState, which refreshes a stale cache.
+    let change = { ...this.describeControl(componentId, controlId), value };
+    if (change.previous === null && change.function) {
+      await this.getState();
+      change = { ...this.describeControl(componentId, controlId), value };
+    }
 
+    return new Promise((resolve, reject) => {
       const transactionId = `mcp-${Date.now()}-${uuidv4().slice(0, 8)}`;
       const commandTimeout = this.config?.commandTimeout || 10000;
 
+      // Attribute the bridge transaction to the tool call that caused it (audit log); the change
+      // is recorded only once the controller confirms it, so a failed write is never undone
+      const call = getCallContext();
+      call?.transactionIds?.push(transactionId);
+
       // Cleanup function to remove listeners
       const cleanup = () => {
         this.socket.off('control:set:success', onSuccess);
@@ -619,13 +710,14 @@ class WebSocketManager {
 
       const timeout = setTimeout(() => {
         cleanup(); // CRITICAL: Clean up listeners on timeout
-        reject(new Error('Command timeout'));
+        reject(new BridgeTimeout('Command timeout'));
       }, commandTimeout);
 
       const onSuccess = (d) => {
         if (d.transactionId === transactionId) {
           clearTimeout(timeout);
           cleanup();
+          call?.changes?.push(change);
           resolve({ success: true, transactionId });
         }
       };
@@ -634,7 +726,7 @@ class WebSocketManager {
         if (d.transactionId === transactionId) {
           clearTimeout(timeout);
           cleanup();
-          reject(new Error(d.message || d.error || 'Command failed'));
+          reject(new CommandFailed(d.message || d.error || 'Command failed'));
         }
       };
 
@@ -651,6 +743,51 @@ class WebSocketManager {
     });
   }
 
+  /**
+   * A control and its value before a write: room functions from the state cache (what getState
+   * returns), other controls from the discovered component. previous is null when unknown.
+   * @returns {{ componentId: string, component: string|null, controlId: string, function: string|null, previous: * }}
+   */
+  describeControl(componentId, controlId) {
+    const component = this.findComponentById(componentId);
+    const fnKey = Object.keys(this.functions).find(key =>
+      this.components[key] === componentId && this.functions[key].control === controlId
+    );
+
+    let previous = null;
+    if (fnKey) {
+      previous = this.state[this.functions[fnKey].state] ?? null;
+    } else {
+      const control = component?.controls?.[controlId];
+      previous = control && typeof control === 'object' && 'value' in control ? control.value : (control ?? null);
+    }
+
+    return { componentId, component: component?.name || null, controlId, function: fnKey || null, previous };
+  }
+
+  /**
+   * Set the control of a room function (screen, glass, lights, volume, dido, videoWall)
+   * Component and control ID come from the room profile.
+   */
+  setFunction(functionName, value) {
+    const fn = this.functions[functionName];
+    if (!fn) {
+      return Promise.reject(new ComponentMissing(`Unknown room function: ${functionName}`));
+    }
+    return this.sendControl(functionName, fn.control, value);
+  }
+
+  /**
+   * Video wall sources for this room (room profile + ConnectedSources from the controller)
+   * @returns {SourceCatalog}
+   */
+  getSourceCatalog() {
+    return buildSourceCatalog({
+      profile: this.config?.profile,
+      connectedSources: this.state.connectedSources
+    });
+  }
+
   /**
    * Find component by name
    */
@@ -661,6 +798,13 @@ class WebSocketManager {
     return match ? this.discoveredComponents.list[match] : null;
   }
 
+  /**
+   * Find a discovered component by its ID
+   */
+  findComponentById(id) {
+    return Object.values(this.discoveredComponents.list).find(c => c.id === id) || null;
+  }
+
   /**
    * Subscribe to a component for state updates (on-demand)
    * Only subscribes if not already watching this component
@@ -669,7 +813,7 @@ class WebSocketManager {
    */
   async subscribeToComponent(componentId) {
     if (!this.isConnected || !this.isIdentified) {
-      throw new Error('Not connected');
+      throw new NotConnected('Not connected');
     }
 
     // Check if already subscribed
@@ -680,7 +824,7 @@ class WebSocketManager {
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
-        reject(new Error('Component subscribe timeout'));
+        reject(new BridgeTimeout('Component subscribe timeout'));
       }, this.config?.commandTimeout || 10000);
 
       // Listen for component state response
@@ -717,7 +861,7 @@ class WebSocketManager {
    */
   async subscribeToControl(componentId, controlId) {
     if (!this.isConnected || !this.isIdentified) {
-      throw new Error('Not connected');
+      throw new NotConnected('Not connected');
     }
 
     const watchKey = `${componentId}:${controlId}`;
@@ -749,7 +893,7 @@ class WebSocketManager {
       const timeout = setTimeout(() => {
         // Clean up listener to prevent memory leak
         this.socket.off('control:update', onUpdate);
-        reject(new Error('Control subscribe timeout'));
+        reject(new BridgeTimeout('Control subscribe timeout'));
       }, this.config?.commandTimeout || 10000);
 
       this.socket.on('control:update', onUpdate);
@@ -0,0 +1,89 @@
+/**
+ * Confirmations
+ * Two-phase execution for dangerous tools: the first call returns a preview and a short-lived
+ * confirmation token, only a second call with the same arguments and the token runs the tool.
+ *
+ * Tools: CONFIRM_TOOLS env var (comma-separated tool names, none by default).
+ * Tokens: CONFIRM_TTL_SECONDS (default 120), single use, bound to the tool, its arguments, the
+ * room and the caller. Tokens are kept in memory - a restart invalidates them.
+ */
+import { randomBytes } from 'crypto';
+import { ConfirmationFailed } from './errors.js';
+
+const tokens = new Map();
+
+// Read on use: the server loads .env after its imports
+function ttlMs() {
+  return (parseInt(process.env.CONFIRM_TTL_SECONDS) || 120) * 1000;
+}
+
+/**
+ * Tools that need confirmation in this deployment
+ * @returns {string[]}
+ */
+export function confirmTools() {
+  return (process.env.CONFIRM_TOOLS || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+export function requiresConfirmation(name) {
+  return confirmTools().includes(name);
+}
+
+// Arguments as a stable string (key order does not matter)
+function argsKey(value) {
+  if (Array.isArray(value)) return `[${value.map(argsKey).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${argsKey(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The same client must confirm: OAuth subject, API key, or address
+function callerKey(auth) {
+  if (!auth) return 'internal';
+  if (auth.sub) return `sub:${auth.sub}`;
+  if (auth.keyId) return `keyId:${auth.keyId}`;
+  return `ip:${auth.ip}`;
+}
+
+function pruneExpired(now = Date.now()) {
+  for (const [token, pending] of tokens) {
+    if (pending.expiresAt <= now) tokens.delete(token);
+  }
+}
+
+/**
+ * Issue a confirmation token for a tool call
+ * @param {object} call - { tool, args, room, auth }
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function issueConfirmation({ tool, args, room, auth }) {
+  pruneExpired();
+  const token = `confirm-${randomBytes(12).toString('hex')}`;
+  const expiresAt = Date.now() + ttlMs();
+  tokens.set(token, { tool, args: argsKey(args), room, caller: callerKey(auth), expiresAt });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Check and consume a confirmation token
+ * @param {string} token
+ * @param {object} call - { tool, args, room, auth } of the confirming call
+ * @throws {ConfirmationFailed} if the token is unknown, expired, or was issued for a different call
+ */
+export function redeemConfirmation(token, { tool, args, room, auth }) {
+  pruneExpired();
+  const pending = tokens.get(token);
+  if (!pending) {
+    throw new ConfirmationFailed('Confirmation token is invalid or expired - call the tool again without it for a new preview');
+  }
+  if (pending.tool !== tool || pending.room !== room || pending.caller !== callerKey(auth)) {
+    throw new ConfirmationFailed('Confirmation token was issued for a different call');
+  }
+  if (pending.args !== argsKey(args)) {
+    throw new ConfirmationFailed('Arguments changed since the preview - call the tool again without a token for a new preview');
+  }
+  tokens.delete(token);
+}
+
+export default { confirmTools, requiresConfirmation, issueConfirmation, redeemConfirmation };
@@ -3,7 +3,7 @@
  * Used across all tools and transports
  */
 
-// Source name mapping
+// Built-in source names and aliases (used when the room profile defines no sources; see sourceCatalog.js)
 export const SOURCE_NAMES = {
   1: 'Laptop',
   2: 'ClickShare',
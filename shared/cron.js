@@ -0,0 +1,153 @@
+/**
+ * Cron Expressions
+ * Standard 5-field cron (minute hour day-of-month month day-of-week), evaluated in server local time
+ *
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/15, 8-18/2), month and weekday names
+ * (jan, mon-fri) and the macros @hourly, @daily, @weekly, @monthly, @yearly.
+ * As in cron, when both day-of-month and day-of-week are restricted, either may match.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { key: 'minutes', label: 'minute', min: 0, max: 59 },
+  { key: 'hours', label: 'hour', min: 0, max: 23 },
+  { key: 'days', label: 'day of month', min: 1, max: 31 },
+  { key: 'months', label: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { key: 'weekdays', label: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Upper bound on search steps (a few years of day/hour jumps)
+const MAX_SEARCH_STEPS = 50000;
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names?.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.label} "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.label} ${number} is out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.label} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) throw new Error(`Invalid ${field.label} range "${range}"`);
+    } else {
+      start = parseValue(range, field);
+      // "5/10" means 5, 15, 25, ...
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {object} Parsed schedule (sets of allowed values per field)
+ * @throws {Error} describing the first invalid field
+ */
+export function parseCron(expression) {
+  const source = String(expression ?? '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got "${source}"`);
+  }
+
+  const cron = { source };
+  FIELDS.forEach((field, i) => {
+    cron[field.key] = parseField(parts[i], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (cron.weekdays.has(7)) {
+    cron.weekdays.delete(7);
+    cron.weekdays.add(0);
+  }
+
+  cron.dayRestricted = parts[2] !== '*';
+  cron.weekdayRestricted = parts[4] !== '*';
+  return cron;
+}
+
+function dayMatches(cron, date) {
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayOk || weekdayOk;
+  if (cron.dayRestricted) return dayOk;
+  if (cron.weekdayRestricted) return weekdayOk;
+  return true;
+}
+
+/**
+ * Next time a cron expression fires, strictly after the given time
+ * @param {string|object} cron - Expression or result of parseCron
+ * @param {Date|number} [after=now]
+ * @returns {Date}
+ * @throws {Error} if the expression can never match (e.g. 30 February)
+ */
+export function nextCronTime(cron, after = new Date()) {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.source}" never matches`);
+}
+
+export default { parseCron, nextCronTime };
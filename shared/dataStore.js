@@ -0,0 +1,139 @@
+/**
+ * Data Store
+ * Small JSON/JSONL persistence helpers for server-side state (scenes, logs, ...)
+ */
+import { readFileSync, writeFileSync, appendFileSync, renameSync, mkdirSync, existsSync, createReadStream } from 'fs';
+import { appendFile, writeFile, rename, mkdir } from 'fs/promises';
+import { createInterface } from 'readline';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * All persisted data lives here (override with DATA_DIR, e.g. a mounted disk)
+ * Read on use: the server loads .env after its imports
+ */
+export function dataDir() {
+  return process.env.DATA_DIR || join(__dirname, '..', 'data');
+}
+
+/**
+ * Resolve a file name inside the data directory
+ */
+export function dataPath(name) {
+  return join(dataDir(), name);
+}
+
+function ensureDataDir() {
+  const dir = dataDir();
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Read a JSON file, returning fallback if missing or unreadable
+ */
+export function readJson(name, fallback) {
+  const file = dataPath(name);
+  if (!existsSync(file)) return fallback;
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename)
+ * A crash mid-write never leaves a truncated file behind
+ */
+export function writeJson(name, data) {
+  ensureDataDir();
+  const file = dataPath(name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(data, null, 2));
+  renameSync(tmp, file);
+}
+
+/**
+ * Append one record to a JSONL file
+ */
+export function appendJsonl(name, record) {
+  ensureDataDir();
+  appendFileSync(dataPath(name), JSON.stringify(record) + '\n');
+}
+
+/**
+ * Append one record to a JSONL file without blocking the event loop (logs written on every call)
+ */
+export async function appendJsonlAsync(name, record) {
+  await mkdir(dataDir(), { recursive: true });
+  await appendFile(dataPath(name), JSON.stringify(record) + '\n');
+}
+
+/**
+ * Read all records from a JSONL file (malformed lines are skipped)
+ */
+export function readJsonl(name) {
+  const file = dataPath(name);
+  if (!existsSync(file)) return [];
+  const records = [];
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // Skip partial line from an interrupted append
+    }
+  }
+  return records;
+}
+
+/**
+ * Records of a JSONL file one line at a time, without loading the whole file (malformed lines are skipped)
+ * @example for await (const record of streamJsonl('audit.jsonl')) { ... }
+ */
+export async function* streamJsonl(name) {
+  const file = dataPath(name);
+  if (!existsSync(file)) return;
+  const lines = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      // Skip partial line from an interrupted append
+      continue;
+    }
+    yield record;
+  }
+}
+
+/**
+ * Replace the contents of a JSONL file atomically (used for retention pruning)
+ */
+export function writeJsonl(name, records) {
+  ensureDataDir();
+  const file = dataPath(name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''));
+  renameSync(tmp, file);
+}
+
+/**
+ * writeJsonl without blocking the event loop
+ */
+export async function writeJsonlAsync(name, records) {
+  await mkdir(dataDir(), { recursive: true });
+  const file = dataPath(name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''));
+  await rename(tmp, file);
+}
+
+export default {
+  dataDir, dataPath, readJson, writeJson, appendJsonl, appendJsonlAsync, readJsonl, streamJsonl, writeJsonl, writeJsonlAsync
+};
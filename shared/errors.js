@@ -0,0 +1,145 @@
+/**
+ * Error Types
+ * Failures the bridge connection and the tools report. Each type has a stable code, an HTTP status,
+ * whether retrying can help, and what a voice assistant says. Transports read these instead of
+ * matching message text:
+ *
+ *   code                 status  retry  thrown for
+ *   invalid_arguments    400     no     Arguments that do not match the tool (field errors in .errors)
+ *   forbidden            403     no     The policy denies the tool or its arguments
+ *   not_found            404     no     Unknown tool, room, scene, schedule, rule...
+ *   component_missing    404     no     The room has no such component or control
+ *   conflict             409     no     Duplicate name, or something still in progress
+ *   confirmation_failed  409     no     Invalid, expired or mismatched confirmation token
+ *   command_failed       502     no     The bridge rejected the command
+ *   unavailable          503     no     Not connected to the controller
+ *   vision_unavailable   503     no     No vision model configured
+ *   timeout              504     yes    The bridge did not answer in time
+ *   tool_failed          500     no     Anything else (plain Errors)
+ */
+
+export class BuControlError extends Error {
+  static code = 'tool_failed';
+  static status = 500;
+  static retryable = false;
+  static voice = 'Command failed.';
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.voice] - Spoken message (default: the type's phrase)
+   * @param {Error} [options.cause]
+   */
+  constructor(message, { voice, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.status = this.constructor.status;
+    this.retryable = this.constructor.retryable;
+    this.voice = voice || this.constructor.voice;
+  }
+}
+
+export class InvalidArgument extends BuControlError {
+  static code = 'invalid_arguments';
+  static status = 400;
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {Array<{field: string, message: string}>} [options.errors] - Field errors
+   */
+  constructor(message, { errors, ...options } = {}) {
+    super(message, options);
+    if (errors) this.errors = errors;
+    // Say what was wrong so the assistant can correct the call
+    this.voice = options.voice || (errors
+      ? `Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}.`
+      : message);
+  }
+}
+
+export class Unauthorized extends BuControlError {
+  static code = 'forbidden';
+  static status = 403;
+  static voice = 'Not allowed.';
+}
+
+export class NotFound extends BuControlError {
+  static code = 'not_found';
+  static status = 404;
+
+  constructor(message, options = {}) {
+    super(message, { voice: message, ...options });
+  }
+}
+
+export class ComponentMissing extends BuControlError {
+  static code = 'component_missing';
+  static status = 404;
+  static voice = 'Device not available.';
+}
+
+export class Conflict extends BuControlError {
+  static code = 'conflict';
+  static status = 409;
+
+  constructor(message, options = {}) {
+    super(message, { voice: message, ...options });
+  }
+}
+
+export class ConfirmationFailed extends Conflict {
+  static code = 'confirmation_failed';
+}
+
+export class CommandFailed extends BuControlError {
+  static code = 'command_failed';
+  static status = 502;
+}
+
+export class NotConnected extends BuControlError {
+  static code = 'unavailable';
+  static status = 503;
+  static voice = 'Connection lost.';
+}
+
+export class VisionUnavailable extends BuControlError {
+  static code = 'vision_unavailable';
+  static status = 503;
+  static voice = 'I can\'t see the screen right now.';
+}
+
+export class BridgeTimeout extends BuControlError {
+  static code = 'timeout';
+  static status = 504;
+  static retryable = true;
+  static voice = 'System not responding.';
+}
+
+/**
+ * Code, status, retryability and voice phrase of any error (plain Errors are tool_failed)
+ */
+export function describeError(error) {
+  if (error instanceof BuControlError) {
+    const { code, status, retryable, voice } = error;
+    return { code, status, retryable, voice, message: error.message, ...(error.errors && { errors: error.errors }) };
+  }
+  const { code, status, retryable, voice } = BuControlError;
+  return { code, status, retryable, voice, message: error?.message || String(error) };
+}
+
+export default {
+  BuControlError,
+  InvalidArgument,
+  Unauthorized,
+  NotFound,
+  ComponentMissing,
+  Conflict,
+  ConfirmationFailed,
+  CommandFailed,
+  NotConnected,
+  VisionUnavailable,
+  BridgeTimeout,
+  describeError
+};
@@ -0,0 +1,156 @@
+/**
+ * Layout Templates
+ * Named video wall layouts with source slots, built in or defined in the room profile
+ *
+ * A template lists its slots and one window per slot in z-order (first = bottom):
+ *   { description, slots: ['main', 'pip'], audio: 'main',
+ *     windows: [{ slot: 'main', x: 0, y: 0, width: 100, height: 100 }, ...] }
+ */
+import { validateLayout } from './windowCommand.js';
+
+export const BUILTIN_TEMPLATES = {
+  'fullscreen': {
+    description: 'One source filling the wall',
+    slots: ['main'],
+    windows: [
+      { slot: 'main', x: 0, y: 0, width: 100, height: 100 }
+    ]
+  },
+  'side-by-side': {
+    description: 'Two sources split left and right',
+    slots: ['left', 'right'],
+    windows: [
+      { slot: 'left', x: 0, y: 0, width: 50, height: 100 },
+      { slot: 'right', x: 50, y: 0, width: 50, height: 100 }
+    ]
+  },
+  'pip-top-right': {
+    description: 'Main source full screen with a small picture-in-picture top right',
+    slots: ['main', 'pip'],
+    windows: [
+      { slot: 'main', x: 0, y: 0, width: 100, height: 100 },
+      { slot: 'pip', x: 70, y: 5, width: 25, height: 25 }
+    ]
+  },
+  'pip-top-left': {
+    description: 'Main source full screen with a small picture-in-picture top left',
+    slots: ['main', 'pip'],
+    windows: [
+      { slot: 'main', x: 0, y: 0, width: 100, height: 100 },
+      { slot: 'pip', x: 5, y: 5, width: 25, height: 25 }
+    ]
+  },
+  'pip-bottom-right': {
+    description: 'Main source full screen with a small picture-in-picture bottom right',
+    slots: ['main', 'pip'],
+    windows: [
+      { slot: 'main', x: 0, y: 0, width: 100, height: 100 },
+      { slot: 'pip', x: 70, y: 70, width: 25, height: 25 }
+    ]
+  },
+  'pip-bottom-left': {
+    description: 'Main source full screen with a small picture-in-picture bottom left',
+    slots: ['main', 'pip'],
+    windows: [
+      { slot: 'main', x: 0, y: 0, width: 100, height: 100 },
+      { slot: 'pip', x: 5, y: 70, width: 25, height: 25 }
+    ]
+  },
+  'quad': {
+    description: 'Four sources in a 2x2 grid',
+    slots: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+    windows: [
+      { slot: 'top-left', x: 0, y: 0, width: 50, height: 50 },
+      { slot: 'top-right', x: 50, y: 0, width: 50, height: 50 },
+      { slot: 'bottom-left', x: 0, y: 50, width: 50, height: 50 },
+      { slot: 'bottom-right', x: 50, y: 50, width: 50, height: 50 }
+    ]
+  },
+  'presenter-plus-camera': {
+    description: 'Presentation on the left three quarters, conference camera on the right',
+    slots: ['presenter', 'camera'],
+    defaults: { camera: 4 },
+    windows: [
+      { slot: 'presenter', x: 0, y: 0, width: 75, height: 100 },
+      { slot: 'camera', x: 75, y: 30, width: 25, height: 40 }
+    ]
+  }
+};
+
+/**
+ * Check a template definition
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || !Array.isArray(template.slots) || template.slots.length === 0) {
+    return ['Template must define a non-empty slots array'];
+  }
+  if (!Array.isArray(template.windows) || template.windows.length === 0) {
+    return ['Template must define a non-empty windows array'];
+  }
+
+  for (const win of template.windows) {
+    if (!template.slots.includes(win.slot)) {
+      errors.push(`Window uses unknown slot "${win.slot}"`);
+    }
+  }
+  if (template.audio && !template.slots.includes(template.audio)) {
+    errors.push(`Audio slot "${template.audio}" is not a template slot`);
+  }
+
+  // Check geometry with placeholder sources
+  const layout = {
+    audio: 1,
+    windows: template.windows.map(w => ({
+      source: 1,
+      x: w.x ?? 0,
+      y: w.y ?? 0,
+      width: w.width ?? 100,
+      height: w.height ?? 100,
+      alpha: 100 - (w.opacity ?? 100)
+    }))
+  };
+
+  return errors.concat(validateLayout(layout));
+}
+
+/**
+ * Lookup key of a template name: "Big Left" and "big_left" both name "big-left"
+ */
+export function templateKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Built-in templates merged with the room profile's "layouts" section
+ * Profile templates override built-ins of the same name. Invalid ones were already dropped,
+ * and names turned into lookup keys (templateKey), when the profile was loaded (loadRoomProfile).
+ */
+export function getLayoutTemplates(profile = {}) {
+  return { ...BUILTIN_TEMPLATES, ...profile.layouts };
+}
+
+/**
+ * Build a layout (windows + audio) from a template and resolved slot sources
+ * @param {object} template
+ * @param {object} slotSources - { slotName: sourceId }
+ */
+export function buildTemplateLayout(template, slotSources) {
+  const windows = template.windows.map(w => ({
+    source: slotSources[w.slot],
+    x: w.x ?? 0,
+    y: w.y ?? 0,
+    width: w.width ?? 100,
+    height: w.height ?? 100,
+    alpha: 100 - (w.opacity ?? 100)
+  }));
+
+  return {
+    audio: slotSources[template.audio || template.windows[0].slot],
+    windows
+  };
+}
+
+export default { BUILTIN_TEMPLATES, validateTemplate, getLayoutTemplates, buildTemplateLayout };
@@ -0,0 +1,295 @@
+/**
+ * Authorization Policy
+ * Which tools a caller may use, and argument limits, by API key tier, OAuth scope and identity
+ *
+ * Path: POLICY_FILE env var, defaults to policy.json in the project root. Without a policy file
+ * every authenticated caller may use every tool (the behaviour before policies existed).
+ * See policy.example.json.
+ *
+ * Rule sets: "default" (everyone), "tiers" (API key / OAuth tier), "identities" (keyed
+ * "keyId:<id>", "sub:<oauth subject>", "ip:<address>" or "type:<local|apikey|oauth|anonymous>")
+ * and "scopes" (OAuth scopes). Each rule set may have:
+ *   allow  - tool name patterns ("*" and "get_*" style); the most specific set with an allow list
+ *            decides (identity over tier over default); no allow list anywhere allows every tool
+ *   deny   - tool name patterns; a deny in any matching set always wins
+ *   limits - { tool: { arg: { min, max, allowed } } }; every matching limit must pass
+ * Scopes narrow: when a token carries scopes the policy defines, the tool must also be allowed by
+ * one of them.
+ *
+ * Calls without a caller (ctx.auth) are internal - stdio, profile rules - and are not checked.
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import pino from 'pino';
+import { Unauthorized } from './errors.js';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-policy' }
+});
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..');
+
+const RULE_SET_KEYS = ['allow', 'deny', 'limits'];
+const LIMIT_KEYS = ['min', 'max', 'allowed'];
+const IDENTITY_TYPES = ['keyId', 'sub', 'ip', 'type'];
+
+// "get_*" -> /^get_.*$/
+function patternToRegex(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesAny(patterns, name) {
+  return patterns.some(p => p.test(name));
+}
+
+function validateRuleSet(set, where) {
+  if (!set || typeof set !== 'object' || Array.isArray(set)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const key of Object.keys(set)) {
+    if (!RULE_SET_KEYS.includes(key)) {
+      throw new Error(`${where}: unknown key "${key}" (use ${RULE_SET_KEYS.join(', ')})`);
+    }
+  }
+
+  const compiled = { allow: null, deny: [], limits: {} };
+  for (const key of ['allow', 'deny']) {
+    if (set[key] === undefined) continue;
+    if (!Array.isArray(set[key]) || set[key].some(p => typeof p !== 'string' || !p)) {
+      throw new Error(`${where}.${key} must be a list of tool names or patterns`);
+    }
+    compiled[key] = set[key].map(patternToRegex);
+  }
+
+  for (const [tool, args] of Object.entries(set.limits || {})) {
+    if (!args || typeof args !== 'object') throw new Error(`${where}.limits.${tool} must be an object`);
+    for (const [arg, limit] of Object.entries(args)) {
+      const at = `${where}.limits.${tool}.${arg}`;
+      if (!limit || typeof limit !== 'object') throw new Error(`${at} must be an object`);
+      for (const key of Object.keys(limit)) {
+        if (!LIMIT_KEYS.includes(key)) throw new Error(`${at}: unknown key "${key}" (use ${LIMIT_KEYS.join(', ')})`);
+      }
+      for (const key of ['min', 'max']) {
+        if (limit[key] !== undefined && typeof limit[key] !== 'number') throw new Error(`${at}.${key} must be a number`);
+      }
+      if (limit.allowed !== undefined && !Array.isArray(limit.allowed)) throw new Error(`${at}.allowed must be a list`);
+    }
+    compiled.limits[tool] = args;
+  }
+
+  return compiled;
+}
+
+function validateGroup(group, where) {
+  if (group === undefined) return {};
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    throw new Error(`${where} must be an object`);
+  }
+  return Object.fromEntries(Object.entries(group).map(([key, set]) => [key, validateRuleSet(set, `${where}.${key}`)]));
+}
+
+/**
+ * Validate and compile a policy document
+ * @throws {Error} describing the first problem
+ */
+export function compilePolicy(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Policy must be a JSON object');
+  }
+  for (const key of Object.keys(doc)) {
+    if (!['default', 'tiers', 'scopes', 'identities'].includes(key)) {
+      throw new Error(`Unknown policy section "${key}"`);
+    }
+  }
+
+  const identities = validateGroup(doc.identities, 'identities');
+  for (const key of Object.keys(identities)) {
+    const type = key.split(':')[0];
+    if (!IDENTITY_TYPES.includes(type) || !key.includes(':')) {
+      throw new Error(`identities.${key}: key must be ${IDENTITY_TYPES.map(t => `${t}:<value>`).join(', ')}`);
+    }
+  }
+
+  return {
+    default: doc.default ? validateRuleSet(doc.default, 'default') : null,
+    tiers: validateGroup(doc.tiers, 'tiers'),
+    scopes: validateGroup(doc.scopes, 'scopes'),
+    identities
+  };
+}
+
+/**
+ * The caller fields a policy decision depends on (safe to persist with schedules and rules)
+ * @param {object} [auth] - req.auth / ctx.auth
+ */
+export function callerOf(auth) {
+  if (!auth) return null;
+  const { type, tier, scopes, sub, keyId, ip } = auth;
+  return Object.fromEntries(
+    Object.entries({ type, tier, scopes, sub, keyId, ip }).filter(([, v]) => v !== undefined && v !== null)
+  );
+}
+
+class Policy {
+  constructor() {
+    this.rules = null;
+    this.file = null;
+  }
+
+  get enabled() {
+    return this.rules !== null;
+  }
+
+  /**
+   * Load the policy file
+   * @param {string} [path] - Absolute or project-relative path (default POLICY_FILE or policy.json)
+   * @throws {Error} if the file exists but is not a valid policy
+   */
+  load(path = process.env.POLICY_FILE || 'policy.json') {
+    const file = isAbsolute(path) ? path : join(PROJECT_ROOT, path);
+    this.file = file;
+
+    if (!existsSync(file)) {
+      this.rules = null;
+      if (process.env.POLICY_FILE) {
+        throw new Error(`Policy file not found: ${file}`);
+      }
+      logger.info('No policy file - all tools allowed for authenticated callers');
+      return this;
+    }
+
+    try {
+      this.rules = compilePolicy(JSON.parse(readFileSync(file, 'utf8')));
+    } catch (e) {
+      throw new Error(`Invalid policy ${file}: ${e.message}`);
+    }
+
+    logger.info({
+      file,
+      tiers: Object.keys(this.rules.tiers),
+      scopes: Object.keys(this.rules.scopes),
+      identities: Object.keys(this.rules.identities).length
+    }, 'Policy loaded');
+    return this;
+  }
+
+  /**
+   * Use an in-memory policy document instead of a file
+   */
+  set(doc) {
+    this.rules = doc ? compilePolicy(doc) : null;
+    return this;
+  }
+
+  // Matching rule sets, least specific first
+  ruleSetsFor(auth) {
+    const sets = [];
+    if (this.rules.default) sets.push(this.rules.default);
+    if (auth.tier && this.rules.tiers[auth.tier]) sets.push(this.rules.tiers[auth.tier]);
+    for (const type of IDENTITY_TYPES) {
+      const set = auth[type] !== undefined && this.rules.identities[`${type}:${auth[type]}`];
+      if (set) sets.push(set);
+    }
+    return sets;
+  }
+
+  scopeSetsFor(auth) {
+    return (auth.scopes || []).map(s => this.rules.scopes[s]).filter(Boolean);
+  }
+
+  /**
+   * Whether a caller may use a tool at all (ListTools filtering)
+   * @param {string} name - Tool name
+   * @param {object} [auth] - Caller (ctx.auth); no caller means an internal call
+   */
+  canUse(name, auth) {
+    return this.denyReason(name, auth) === null;
+  }
+
+  denyReason(name, auth) {
+    if (!this.enabled || !auth) return null;
+
+    const sets = this.ruleSetsFor(auth);
+    const decider = [...sets].reverse().find(s => s.allow);
+    if (decider && !matchesAny(decider.allow, name)) return 'not allowed';
+    if (sets.some(s => matchesAny(s.deny, name))) return 'denied';
+
+    const scopeSets = this.scopeSetsFor(auth);
+    if (scopeSets.length > 0) {
+      const granted = scopeSets.some(s => (!s.allow || matchesAny(s.allow, name)) && !matchesAny(s.deny, name));
+      if (!granted) return 'not covered by the token scopes';
+    }
+    return null;
+  }
+
+  /**
+   * Check a tool call against the policy
+   * @param {string} name - Tool name
+   * @param {object} args - Tool arguments
+   * @param {object} [auth] - Caller (ctx.auth); no caller means an internal call
+   * @throws {Unauthorized} when the call is not allowed
+   */
+  check(name, args = {}, auth) {
+    const refusal = this.refusal(name, args, auth);
+    if (refusal) {
+      const what = refusal.log.arg ? 'Tool argument' : 'Tool call';
+      logger.warn({ tool: name, caller: callerOf(auth), ...refusal.log }, `${what} refused by policy`);
+      throw new Unauthorized(refusal.message);
+    }
+  }
+
+  /**
+   * Whether check() passes, without logging a refusal (e.g. picking an action the caller may undo)
+   */
+  allows(name, args = {}, auth) {
+    return this.refusal(name, args, auth) === null;
+  }
+
+  // Why a call is refused ({ message, log }), or null
+  refusal(name, args, auth) {
+    if (!this.enabled || !auth) return null;
+
+    const who = auth.tier ? `${auth.type || 'caller'} tier ${auth.tier}` : (auth.type || 'caller');
+    const reason = this.denyReason(name, auth);
+    if (reason) {
+      return { message: `Not allowed: ${name} (${reason} for ${who})`, log: { reason } };
+    }
+
+    for (const set of [...this.ruleSetsFor(auth), ...this.scopeSetsFor(auth)]) {
+      for (const [arg, limit] of Object.entries(set.limits[name] || {})) {
+        if (args[arg] === undefined) continue;
+        const problem = this.limitProblem(args[arg], limit);
+        if (problem) {
+          return {
+            message: `Not allowed: ${name} ${arg}=${JSON.stringify(args[arg])} (${problem} for ${who})`,
+            log: { arg, value: args[arg] }
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  // A value passes if it is listed in "allowed", or is a number within min/max
+  limitProblem(value, { min, max, allowed }) {
+    if (allowed?.includes(value)) return null;
+    const hasRange = min !== undefined || max !== undefined;
+    if (typeof value === 'number' && hasRange) {
+      if (min !== undefined && value < min) return `minimum ${min}`;
+      if (max !== undefined && value > max) return `maximum ${max}`;
+      return null;
+    }
+    if (allowed) return `allowed: ${allowed.join(', ')}${hasRange ? ` or a number${min !== undefined ? ` >= ${min}` : ''}${max !== undefined ? ` <= ${max}` : ''}` : ''}`;
+    return hasRange ? 'must be a number' : null;
+  }
+}
+
+// Singleton instance
+const policy = new Policy();
+
+export default policy;
+export { Policy };
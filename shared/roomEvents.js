@@ -0,0 +1,152 @@
+/**
+ * Room Events
+ * Live feed of what happens in the rooms, for dashboards and wall panels (GET /events):
+ *   state   - changed room state values ({ changes: { lightingLevel: 40 } })
+ *   status  - controller status (connected, health)
+ *   health  - connection health changes (healthy, stale, degraded, disconnected)
+ *   tool    - a tool execution (tool, transport, status, duration)
+ * Subscribers first get a snapshot of each room, then only changes.
+ */
+import pino from 'pino';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-events' }
+});
+
+// Connection health has no change event - sample it
+const HEALTH_CHECK_MS = 5000;
+
+// State cache fields that are not room state
+const STATE_META = ['timestamp', 'TTL'];
+
+function stateValues(state) {
+  return Object.fromEntries(Object.entries(state).filter(([key]) => !STATE_META.includes(key)));
+}
+
+class RoomEvents {
+  constructor() {
+    this.subscribers = new Set();
+    this.unsubscribers = [];
+    this.healthTimer = null;
+    this.rooms = null;
+    this.sequence = 0;
+    // room name -> last published state values and connection health
+    this.lastState = new Map();
+    this.lastHealth = new Map();
+  }
+
+  /**
+   * Watch every room of the pool
+   * @param {object} options
+   * @param {RoomPool} options.rooms
+   */
+  start({ rooms }) {
+    this.stop();
+    this.rooms = rooms;
+
+    for (const room of rooms.list()) {
+      this.lastState.set(room.name, JSON.stringify(stateValues(room.ws.state)));
+      this.lastHealth.set(room.name, room.ws.getConnectionHealth().health);
+
+      this.unsubscribers.push(
+        room.ws.onStateChange(state => this.stateChanged(room.name, state)),
+        room.ws.onStatusChange(status => this.publish('status', room.name, status))
+      );
+    }
+
+    this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_MS);
+    this.healthTimer.unref?.();
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  /**
+   * Receive events
+   * @param {Function} listener - Called with { id, type, room, time, data }
+   * @param {object} [options]
+   * @param {string[]} [options.rooms] - Only these rooms (default: all; tool events without a room only go to all)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener, { rooms } = {}) {
+    const subscriber = { listener, rooms: rooms ? new Set(rooms) : null };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Current state of each room (first message of a stream)
+   */
+  snapshot(roomNames) {
+    return this.rooms.list()
+      .filter(room => !roomNames || roomNames.includes(room.name))
+      .map(room => ({
+        room: room.name,
+        displayName: room.displayName,
+        state: stateValues(room.ws.state),
+        status: room.ws.controllerStatus,
+        health: room.ws.getConnectionHealth()
+      }));
+  }
+
+  /**
+   * Tool execution listener (register with onToolExecuted)
+   */
+  toolExecuted({ name, ctx, room, status, error, errorCode, startedAt, durationMs }) {
+    this.publish('tool', room, {
+      tool: name,
+      transport: ctx?.transport || null,
+      status,
+      error,
+      errorCode,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs
+    });
+  }
+
+  stateChanged(room, state) {
+    const values = stateValues(state);
+    const previous = JSON.parse(this.lastState.get(room) || '{}');
+    const changes = Object.fromEntries(Object.entries(values).filter(([key, value]) =>
+      JSON.stringify(value) !== JSON.stringify(previous[key])
+    ));
+    if (Object.keys(changes).length === 0) return;
+
+    this.lastState.set(room, JSON.stringify(values));
+    this.publish('state', room, { changes });
+  }
+
+  checkHealth() {
+    for (const room of this.rooms.list()) {
+      const health = room.ws.getConnectionHealth();
+      if (health.health === this.lastHealth.get(room.name)) continue;
+
+      this.lastHealth.set(room.name, health.health);
+      this.publish('health', room.name, health);
+    }
+  }
+
+  publish(type, room, data) {
+    const event = { id: ++this.sequence, type, room: room || null, time: new Date().toISOString(), data };
+
+    for (const subscriber of this.subscribers) {
+      if (subscriber.rooms && !subscriber.rooms.has(room)) continue;
+      try {
+        subscriber.listener(event);
+      } catch (e) {
+        logger.error({ type, error: e.message }, 'Event subscriber failed');
+      }
+    }
+  }
+}
+
+// Singleton instance
+const roomEvents = new RoomEvents();
+
+export default roomEvents;
+export { RoomEvents };
@@ -0,0 +1,132 @@
+/**
+ * Room Pool
+ * One WebSocketManager per room/controller so a single server can control several rooms
+ *
+ * Rooms come from a JSON file (ROOMS_FILE, default rooms.json in the project root):
+ *   {
+ *     "default": "boardroom",
+ *     "rooms": {
+ *       "boardroom": { "controllerId": "...", "websocketHost": "...", "websocketPort": 3004, "profile": "profiles/boardroom.json" },
+ *       "huddle": { "controllerId": "...", "displayName": "Huddle Room" }
+ *     }
+ *   }
+ * Each room's settings override the base server CONFIG. Without a rooms file there is a
+ * single room (ROOM_NAME, default "default") using the base CONFIG and ROOM_PROFILE.
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import wsManager, { WebSocketManager } from './clientWebSocketForV2.js';
+import { loadRoomProfile, getRoomFunctions } from './roomProfile.js';
+import { getProfileSources } from './sourceCatalog.js';
+import { NotFound } from './errors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+class RoomPool {
+  constructor() {
+    this.rooms = new Map();
+    this.defaultRoom = null;
+  }
+
+  get size() {
+    return this.rooms.size;
+  }
+
+  /**
+   * Build the pool from the rooms file (or a single default room)
+   * The default room reuses the shared wsManager singleton.
+   * @param {object} baseConfig - Server CONFIG (connection and timeout settings)
+   */
+  configure(baseConfig) {
+    this.rooms.clear();
+
+    // Read here, not at import: the server loads .env after its imports
+    const roomsFile = process.env.ROOMS_FILE || join(__dirname, '..', 'rooms.json');
+    let definition = null;
+    if (existsSync(roomsFile)) {
+      try {
+        definition = JSON.parse(readFileSync(roomsFile, 'utf8'));
+      } catch (e) {
+        throw new Error(`Invalid rooms file ${roomsFile}: ${e.message}`);
+      }
+    }
+
+    const rooms = definition?.rooms && Object.keys(definition.rooms).length > 0
+      ? definition.rooms
+      : { [process.env.ROOM_NAME || 'default']: {} };
+
+    const names = Object.keys(rooms);
+    this.defaultRoom = definition?.default && rooms[definition.default] ? definition.default : names[0];
+
+    for (const name of names) {
+      const roomConfig = rooms[name] || {};
+      const profile = loadRoomProfile(roomConfig.profile);
+
+      // Fail at startup on malformed functions or sources, not on first use
+      getRoomFunctions(profile);
+      getProfileSources(profile);
+
+      const config = {
+        ...baseConfig,
+        ...roomConfig,
+        roomName: name,
+        profile
+      };
+      const manager = name === this.defaultRoom ? wsManager : new WebSocketManager();
+      this.add(name, config, manager);
+    }
+
+    return this;
+  }
+
+  /**
+   * Register a room
+   */
+  add(name, config, manager = new WebSocketManager()) {
+    const room = {
+      name,
+      displayName: config.displayName || name,
+      config,
+      ws: manager
+    };
+    this.rooms.set(name, room);
+    if (!this.defaultRoom) this.defaultRoom = name;
+    return room;
+  }
+
+  /**
+   * Get a room by name (case-insensitive); falls back to the default room when name is empty
+   * @throws {Error} for an unknown room name
+   */
+  resolve(name) {
+    // Not configured (e.g. tools used outside the server) - the shared manager is the only room
+    if (this.rooms.size === 0) {
+      this.add(process.env.ROOM_NAME || 'default', wsManager.config || {}, wsManager);
+    }
+
+    if (!name) return this.rooms.get(this.defaultRoom);
+
+    const key = String(name).trim().toLowerCase();
+    for (const room of this.rooms.values()) {
+      if (room.name.toLowerCase() === key || room.displayName.toLowerCase() === key) {
+        return room;
+      }
+    }
+    throw new NotFound(`Unknown room: ${name}. Rooms: ${this.names().join(', ')}`);
+  }
+
+  names() {
+    return Array.from(this.rooms.keys());
+  }
+
+  list() {
+    return Array.from(this.rooms.values());
+  }
+}
+
+// Singleton instance
+const roomPool = new RoomPool();
+
+export default roomPool;
+export { RoomPool };
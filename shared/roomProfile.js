@@ -0,0 +1,142 @@
+/**
+ * Room Profile
+ * Per-deployment room configuration file (JSON): logical room functions mapped to
+ * Q-SYS components and controls, custom layout templates, ...
+ *
+ * Path: ROOM_PROFILE env var, defaults to room-profile.json in the project root. Only JSON is
+ * supported; a .yaml/.yml path is refused with a clear error rather than a JSON parse error.
+ * A missing file is not an error - built-in defaults apply.
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import pino from 'pino';
+import { validateTemplate, templateKey } from './layoutTemplates.js';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-room-profile' }
+});
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..');
+
+// Read on use: the server loads .env after its imports
+export function defaultProfilePath() {
+  return process.env.ROOM_PROFILE || join(PROJECT_ROOT, 'room-profile.json');
+}
+
+// Loaded profiles by path (read once)
+const cache = new Map();
+
+/**
+ * Load a room profile file
+ * @param {string} [path] - Absolute or project-relative path (default: ROOM_PROFILE or room-profile.json)
+ * @returns {object} Parsed profile ({} if the file does not exist)
+ * @throws {Error} if the path is a YAML file, or the file exists but is not valid JSON
+ */
+export function loadRoomProfile(path = defaultProfilePath()) {
+  const file = isAbsolute(path) ? path : join(PROJECT_ROOT, path);
+  if (cache.has(file)) return cache.get(file);
+  if (/\.ya?ml$/i.test(file)) {
+    throw new Error(`Invalid room profile ${file}: YAML is not supported, convert it to JSON`);
+  }
+
+  let profile = {};
+  if (existsSync(file)) {
+    try {
+      profile = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid room profile ${file}: ${e.message}`);
+    }
+  }
+
+  profile = withValidLayouts(profile, file);
+  cache.set(file, profile);
+  return profile;
+}
+
+/**
+ * Drop invalid layout templates once, when the profile is loaded, so layout lookups only see
+ * valid ones (a broken template should not stop the server). Names are stored as lookup keys,
+ * so "BigLeft" in the profile is applied as "bigleft".
+ */
+function withValidLayouts(profile, file) {
+  if (!profile.layouts) return profile;
+
+  const layouts = {};
+  for (const [name, template] of Object.entries(profile.layouts)) {
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      logger.warn({ file, template: name, errors }, 'Skipping invalid layout template');
+      continue;
+    }
+    const key = templateKey(name);
+    if (layouts[key]) {
+      logger.warn({ file, template: name, key }, 'Layout template name already used, keeping the first');
+      continue;
+    }
+    layouts[key] = template;
+  }
+  return { ...profile, layouts };
+}
+
+// Logical room functions -> component name patterns and control IDs.
+// "match" is a list of substrings; the first discovered component whose name
+// contains any of them is used. "state" is the state cache key the control feeds.
+export const DEFAULT_FUNCTIONS = {
+  videoWall: {
+    match: ['BUControl', 'Video Wall'],
+    control: 'WindowCommand',
+    stateControl: 'HardwareState',
+    sourcesControl: 'ConnectedSources',
+    state: 'hardwareState'
+  },
+  screen: { match: ['Generic_HDMI_Display'], control: 'hdmi.enabled.button', state: 'screenPower' },
+  glass: { match: ['GPIO_Out_Core-Maktabi'], control: 'pin.8.digital.out', state: 'privacyGlass' },
+  dido: { match: ['HDMI_I/ODecoder'], control: 'hdmi.out.1.select.hdmi.1', state: 'didoOutput' },
+  lights: { match: ['LutronLEAPZone'], control: 'ZoneDimLevel1', state: 'lightingLevel' },
+  volume: { match: ['Mixer_8x8_2'], control: 'output.1.gain', state: 'volumeLevel' }
+};
+
+/**
+ * Room functions for a profile: built-in defaults overridden by the profile's "functions"
+ * Only "match" and control IDs can be overridden; state keys are fixed.
+ * @throws {Error} for unknown functions or malformed entries
+ */
+export function getRoomFunctions(profile = {}) {
+  const functions = {};
+
+  for (const [name, defaults] of Object.entries(DEFAULT_FUNCTIONS)) {
+    functions[name] = { ...defaults };
+  }
+
+  for (const [name, override] of Object.entries(profile.functions || {})) {
+    if (!functions[name]) {
+      throw new Error(`Room profile: unknown function "${name}" (known: ${Object.keys(DEFAULT_FUNCTIONS).join(', ')})`);
+    }
+
+    const match = typeof override.match === 'string' ? [override.match] : override.match;
+    if (match !== undefined && (!Array.isArray(match) || match.length === 0 || !match.every(m => typeof m === 'string' && m))) {
+      throw new Error(`Room profile: functions.${name}.match must be a non-empty string or list of strings`);
+    }
+
+    for (const key of ['control', 'stateControl', 'sourcesControl']) {
+      if (override[key] !== undefined && (typeof override[key] !== 'string' || !override[key])) {
+        throw new Error(`Room profile: functions.${name}.${key} must be a non-empty string`);
+      }
+    }
+
+    functions[name] = {
+      ...functions[name],
+      ...(match && { match }),
+      ...(override.control && { control: override.control }),
+      ...(override.stateControl && { stateControl: override.stateControl }),
+      ...(override.sourcesControl && { sourcesControl: override.sourcesControl })
+    };
+  }
+
+  return functions;
+}
+
+export default { defaultProfilePath, DEFAULT_FUNCTIONS, loadRoomProfile, getRoomFunctions };
@@ -0,0 +1,545 @@
+/**
+ * Automation Rules
+ * "When X changes to Y (optionally for N seconds), run these tools" - evaluated on every room state change
+ *
+ *   {
+ *     "name": "conference-privacy",
+ *     "when": { "fact": "connected.conference", "equals": true, "forSeconds": 5 },
+ *     "then": [
+ *       { "tool": "privacy_glass", "args": { "frosted": true } },
+ *       { "tool": "set_lights", "args": { "level": 60 } }
+ *     ]
+ *   }
+ *
+ * Facts: screen, glass, dido (booleans), lights, volume (numbers), source (name of the main
+ * video wall source), layout (raw WindowCommand) and connected.<source> (input connected).
+ * Conditions: equals, notEquals, above, below. Rules fire when the condition becomes true
+ * (edge-triggered), never on the first value seen after startup.
+ *
+ * Rules come from the room profile ("rules", read-only) and from the rule tools (data/rules.json).
+ *
+ * Loop protection, per rule:
+ *   - cooldownSeconds (default 10) between firings
+ *   - a rule cannot re-trigger itself through the state changes its own actions cause
+ *     (a trigger chain stays open until RULE_CHAIN_WINDOW_MS after the last action), and a chain
+ *     is cut off after RULE_MAX_CHAIN_DEPTH rules
+ *   - more than RULE_MAX_FIRINGS_PER_MINUTE firings disables the rule
+ * Every firing, including blocked ones, is logged to rule-runs.jsonl.
+ */
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+import { tryParseWindowCommand, getPrimarySource } from './windowCommand.js';
+import { readJson, writeJson, appendJsonl, readJsonl, writeJsonl } from './dataStore.js';
+import { callerOf } from './policy.js';
+import { requiresConfirmation } from './confirmations.js';
+import { validateSchema } from './schemaValidation.js';
+import { InvalidArgument, Conflict, NotConnected } from './errors.js';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-rules' }
+});
+
+const RULES_FILE = 'rules.json';
+const RUNS_FILE = 'rule-runs.jsonl';
+
+const DEFAULT_COOLDOWN_SECONDS = 10;
+
+// Read on use: the server loads .env after its imports
+function limits() {
+  return {
+    maxFiringsPerMinute: parseInt(process.env.RULE_MAX_FIRINGS_PER_MINUTE) || 6,
+    maxChainDepth: parseInt(process.env.RULE_MAX_CHAIN_DEPTH) || 4,
+    chainWindowMs: parseInt(process.env.RULE_CHAIN_WINDOW_MS) || 3000,
+    runHistory: parseInt(process.env.RULE_RUN_HISTORY) || 1000
+  };
+}
+
+// Rule tools cannot be actions of rules
+export const RULE_TOOLS = ['create_rule', 'list_rules', 'delete_rule', 'enable_rule', 'get_rule_history'];
+
+export const FACTS = ['screen', 'glass', 'dido', 'lights', 'volume', 'source', 'layout', 'connected.<source>'];
+const OPERATORS = ['equals', 'notEquals', 'above', 'below'];
+
+/**
+ * Derive rule facts from a room's state
+ * @param {object} state - WebSocketManager state
+ * @param {SourceCatalog} catalog - Room source catalog
+ */
+export function stateFacts(state, catalog) {
+  const flag = (value) => value === null || value === undefined ? null : value === 1;
+  const primary = getPrimarySource(tryParseWindowCommand(state.hardwareState));
+
+  return {
+    screen: flag(state.screenPower),
+    glass: flag(state.privacyGlass),
+    dido: flag(state.didoOutput),
+    lights: state.lightingLevel ?? null,
+    volume: state.volumeLevel ?? null,
+    source: primary ? catalog.name(primary) : null,
+    layout: state.hardwareState ?? null,
+    connected: state.connectedSources ? catalog : null
+  };
+}
+
+// Value of a fact (null when unknown)
+function readFact(facts, fact) {
+  if (fact.startsWith('connected.')) {
+    const catalog = facts.connected;
+    if (!catalog) return null;
+    return catalog.get(catalog.resolve(fact.slice('connected.'.length)))?.connected ?? null;
+  }
+  return facts[fact] ?? null;
+}
+
+// Keep logged results small - tool results can carry whole state objects
+function summarizeResult(result) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  if (text === undefined) return null;
+  return text.length > 500 ? `${text.slice(0, 500)}...` : result;
+}
+
+function testCondition(when, value) {
+  const same = (a, b) => typeof a === 'string' && typeof b === 'string'
+    ? a.toLowerCase() === b.toLowerCase()
+    : a === b;
+
+  if ('equals' in when) return same(value, when.equals);
+  if ('notEquals' in when) return !same(value, when.notEquals);
+  if ('above' in when) return typeof value === 'number' && value > when.above;
+  if ('below' in when) return typeof value === 'number' && value < when.below;
+  return false;
+}
+
+class RulesEngine {
+  constructor() {
+    this.rules = new Map();       // id -> rule (tool-created and profile rules)
+    this.overrides = {};          // profile rule id -> { enabled, disabledReason }
+    this.matches = new Map();     // room:id -> last condition result
+    this.timers = new Map();      // room:id -> forSeconds timer
+    this.lastFired = new Map();   // room:id -> timestamp
+    this.firings = new Map();     // id -> recent firing timestamps
+    this.chains = new Map();      // room -> { rules: Set, depth, until }
+    this.unsubscribers = [];
+    this.started = false;
+    this.rooms = null;
+    this.executeTool = null;
+    this.getTool = null;
+    this.runsSincePrune = 0;
+  }
+
+  /**
+   * Load rules and subscribe to every room's state changes
+   * @param {object} options
+   * @param {RoomPool} options.rooms - Room pool
+   * @param {Function} options.executeTool - executeTool(name, args, ctx) from the tool registry
+   * @param {Function} options.getTool - getTool(name) from the tool registry
+   */
+  start({ rooms, executeTool, getTool }) {
+    this.rooms = rooms;
+    this.executeTool = executeTool;
+    this.getTool = getTool;
+    this.rules.clear();
+
+    const saved = readJson(RULES_FILE, { rules: [], overrides: {} });
+    this.overrides = saved.overrides || {};
+    for (const rule of saved.rules || []) {
+      this.rules.set(rule.id, rule);
+    }
+
+    // Profile rules: read-only, bound to their room; invalid ones are skipped
+    for (const room of rooms.list()) {
+      for (const definition of room.config.profile?.rules || []) {
+        const id = `${room.name}:${definition.name}`;
+        const rule = { ...definition, id, room: room.name, source: 'profile', enabled: definition.enabled !== false };
+        const errors = this.validate(rule);
+        if (errors.length > 0) {
+          logger.warn({ room: room.name, rule: definition.name, errors }, 'Skipping invalid profile rule');
+          continue;
+        }
+        this.rules.set(id, rule);
+      }
+    }
+
+    this.unsubscribers = rooms.list().map(room =>
+      room.ws.onStateChange(state => this.evaluate(room, state))
+    );
+    this.started = true;
+    this.pruneRuns();
+
+    logger.info({ rules: this.rules.size }, 'Rules engine started');
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.started = false;
+  }
+
+  save() {
+    writeJson(RULES_FILE, {
+      rules: Array.from(this.rules.values()).filter(r => r.source !== 'profile'),
+      overrides: this.overrides
+    });
+  }
+
+  /**
+   * Check a rule definition
+   * @returns {string[]} List of problems (empty when valid)
+   */
+  validate(rule) {
+    const errors = [];
+    const when = rule.when || {};
+
+    if (!rule.name || typeof rule.name !== 'string') errors.push('name is required');
+
+    if (typeof when.fact !== 'string' ||
+        !(FACTS.includes(when.fact) || /^connected\..+/.test(when.fact))) {
+      errors.push(`when.fact must be one of: ${FACTS.join(', ')}`);
+    }
+    const operators = OPERATORS.filter(op => op in when);
+    if (operators.length !== 1) {
+      errors.push(`when needs exactly one of: ${OPERATORS.join(', ')}`);
+    } else if (['above', 'below'].includes(operators[0]) && typeof when[operators[0]] !== 'number') {
+      errors.push(`when.${operators[0]} must be a number`);
+    }
+    if (when.forSeconds !== undefined && !(typeof when.forSeconds === 'number' && when.forSeconds >= 0)) {
+      errors.push('when.forSeconds must be a number >= 0');
+    }
+    if (rule.cooldownSeconds !== undefined && !(typeof rule.cooldownSeconds === 'number' && rule.cooldownSeconds >= 0)) {
+      errors.push('cooldownSeconds must be a number >= 0');
+    }
+
+    if (!Array.isArray(rule.then) || rule.then.length === 0) {
+      errors.push('then must be a non-empty list of { tool, args }');
+    } else {
+      rule.then.forEach((action, i) => {
+        if (!action?.tool || !this.getTool?.(action.tool)) {
+          errors.push(`then[${i}]: unknown tool ${action?.tool}`);
+        } else if (RULE_TOOLS.includes(action.tool)) {
+          errors.push(`then[${i}]: rule tools cannot be used in rules`);
+        } else if (requiresConfirmation(action.tool)) {
+          errors.push(`then[${i}]: ${action.tool} requires confirmation and cannot run in rules`);
+        } else {
+          const schema = this.getTool(action.tool).inputSchema;
+          for (const e of schema ? validateSchema(schema, action.args || {}) : []) {
+            errors.push(`then[${i}].args: ${e.field} ${e.message}`);
+          }
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a rule
+   * @throws {Error} for an invalid rule or a duplicate name
+   */
+  add({ name, when, then, room = null, cooldownSeconds, description, createdBy = null, auth = null }) {
+    if (!this.started) {
+      throw new NotConnected('Rules engine is not running', { voice: 'Automation rules are not available right now.' });
+    }
+
+    const rule = {
+      id: `rule-${uuidv4().slice(0, 8)}`,
+      name,
+      description: description || null,
+      room,
+      when,
+      then: (then || []).map(action => ({ tool: action?.tool, args: action?.args || {} })),
+      cooldownSeconds: cooldownSeconds ?? DEFAULT_COOLDOWN_SECONDS,
+      enabled: true,
+      source: 'tool',
+      createdAt: new Date().toISOString(),
+      createdBy,
+      // The creator's policy applies whenever the rule fires (profile rules have no caller)
+      auth: callerOf(auth)
+    };
+
+    const errors = this.validate(rule);
+    if (errors.length > 0) {
+      throw new InvalidArgument(`Invalid rule: ${errors.join('; ')}`);
+    }
+    if (this.find(name, { room: this.roomOf(rule) })) {
+      throw new Conflict(`A rule named "${name}" already exists in this room`);
+    }
+
+    this.rules.set(rule.id, rule);
+    this.save();
+    logger.info({ id: rule.id, name, room, when }, 'Rule created');
+    return rule;
+  }
+
+  // Room a rule applies to: its own, or the default room for rules without one
+  roomOf(rule) {
+    return rule.room || this.rooms?.defaultRoom || null;
+  }
+
+  /**
+   * Find a rule by id or name (case-insensitive)
+   * @param {string} ref
+   * @param {object} [options]
+   * @param {string} [options.room] - Only a rule of this room (names are unique per room)
+   */
+  find(ref, { room } = {}) {
+    if (!ref) return null;
+    const inRoom = (r) => !room || this.roomOf(r) === room;
+    const byId = this.rules.get(ref);
+    if (byId && inRoom(byId)) return this.withOverrides(byId);
+    const key = String(ref).trim().toLowerCase();
+    const rule = Array.from(this.rules.values()).find(r => inRoom(r) && r.name.toLowerCase() === key);
+    return rule ? this.withOverrides(rule) : null;
+  }
+
+  // Profile rules keep their enabled state in overrides (the profile itself is never written)
+  withOverrides(rule) {
+    return rule.source === 'profile' && this.overrides[rule.id]
+      ? { ...rule, ...this.overrides[rule.id] }
+      : rule;
+  }
+
+  /**
+   * Rules, all or those of one room
+   * @param {object} [options]
+   * @param {string} [options.room]
+   */
+  list({ room } = {}) {
+    return Array.from(this.rules.values())
+      .filter(r => !room || this.roomOf(r) === room)
+      .map(r => this.withOverrides(r));
+  }
+
+  /**
+   * Delete a tool-created rule
+   * @param {string} ref - Id or name
+   * @param {object} [options]
+   * @param {string} [options.room] - Only a rule of this room
+   * @throws {Error} for profile rules (edit the room profile instead)
+   */
+  remove(ref, { room } = {}) {
+    const rule = this.find(ref, { room });
+    if (!rule) return null;
+    if (rule.source === 'profile') {
+      throw new Conflict(`Rule "${rule.name}" comes from the room profile. Disable it, or remove it from the profile.`);
+    }
+    this.rules.delete(rule.id);
+    this.clearRuleState(rule.id);
+    this.save();
+    logger.info({ id: rule.id, name: rule.name }, 'Rule deleted');
+    return rule;
+  }
+
+  /**
+   * Enable or disable a rule
+   * @param {string} ref - Id or name
+   * @param {boolean} enabled
+   * @param {object} [options]
+   * @param {string} [options.reason] - Why it was disabled
+   * @param {string} [options.room] - Only a rule of this room
+   */
+  setEnabled(ref, enabled, { reason = null, room } = {}) {
+    const rule = this.find(ref, { room });
+    if (!rule) return null;
+
+    const update = { enabled, disabledReason: enabled ? null : reason };
+    if (rule.source === 'profile') {
+      this.overrides[rule.id] = update;
+    } else {
+      Object.assign(this.rules.get(rule.id), update);
+    }
+    if (enabled) this.firings.delete(rule.id);
+    this.clearRuleState(rule.id);
+    this.save();
+
+    logger.info({ id: rule.id, name: rule.name, enabled, reason }, enabled ? 'Rule enabled' : 'Rule disabled');
+    return this.find(rule.id);
+  }
+
+  // Forget edge and timer state so a re-enabled rule starts from the next observed value
+  clearRuleState(id) {
+    for (const key of Array.from(this.matches.keys())) {
+      if (key.endsWith(`:${id}`)) this.matches.delete(key);
+    }
+    for (const [key, timer] of Array.from(this.timers.entries())) {
+      if (key.endsWith(`:${id}`)) {
+        clearTimeout(timer);
+        this.timers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Logged firings, newest first
+   * @param {object} [options]
+   * @param {string} [options.ruleId]
+   * @param {string} [options.room] - Only firings in this room
+   * @param {number} [options.limit=20]
+   */
+  history({ ruleId, room, limit = 20 } = {}) {
+    return readJsonl(RUNS_FILE)
+      .filter(r => (!ruleId || r.ruleId === ruleId) && (!room || r.room === room))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Enabled rules that apply to a room (the same scoping as list)
+  rulesFor(room) {
+    return this.list({ room: room.name }).filter(r => r.enabled);
+  }
+
+  evaluate(room, state) {
+    const facts = stateFacts(state, room.ws.getSourceCatalog());
+
+    for (const rule of this.rulesFor(room)) {
+      const value = readFact(facts, rule.when.fact);
+      // Unknown values neither trigger nor reset a rule
+      if (value === null) continue;
+
+      const key = `${room.name}:${rule.id}`;
+      const matched = testCondition(rule.when, value);
+      const previous = this.matches.get(key);
+      this.matches.set(key, matched);
+
+      // First value seen only sets the baseline
+      if (previous === undefined || previous === matched) continue;
+
+      if (!matched) {
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+        continue;
+      }
+
+      const holdMs = (rule.when.forSeconds || 0) * 1000;
+      if (holdMs === 0) {
+        this.fire(room, rule, value).catch(e => this.fireFailed(room, rule, e));
+      } else {
+        this.timers.set(key, setTimeout(() => {
+          this.timers.delete(key);
+          if (this.matches.get(key)) {
+            this.fire(room, this.find(rule.id) || rule, value).catch(e => this.fireFailed(room, rule, e));
+          }
+        }, holdMs));
+      }
+    }
+  }
+
+  // fire() runs detached from state updates - a failure must not become an unhandled rejection
+  fireFailed(room, rule, error) {
+    logger.error({ id: rule.id, name: rule.name, room: room.name, error: error.message }, 'Rule firing failed');
+  }
+
+  // Loop protection - returns the reason a firing is blocked, or null
+  checkLoop(room, rule) {
+    const key = `${room.name}:${rule.id}`;
+    const now = Date.now();
+    const { maxChainDepth, maxFiringsPerMinute } = limits();
+
+    const cooldownMs = (rule.cooldownSeconds ?? DEFAULT_COOLDOWN_SECONDS) * 1000;
+    if (now - (this.lastFired.get(key) || 0) < cooldownMs) {
+      return 'cooldown';
+    }
+
+    const chain = this.chains.get(room.name);
+    if (chain && now < chain.until) {
+      if (chain.rules.has(rule.id)) return 'loop: triggered by its own actions';
+      if (chain.depth >= maxChainDepth) return `loop: chain of more than ${maxChainDepth} rules`;
+    }
+
+    const recent = (this.firings.get(rule.id) || []).filter(t => now - t < 60000);
+    this.firings.set(rule.id, recent);
+    if (recent.length >= maxFiringsPerMinute) {
+      this.setEnabled(rule.id, false, { reason: `fired more than ${maxFiringsPerMinute} times in a minute` });
+      return 'rate limit: rule disabled';
+    }
+
+    return null;
+  }
+
+  async fire(room, rule, value) {
+    if (!rule.enabled) return null;
+
+    const record = {
+      ruleId: rule.id,
+      name: rule.name,
+      room: room.name,
+      fact: rule.when.fact,
+      value,
+      startedAt: new Date().toISOString()
+    };
+
+    const blocked = this.checkLoop(room, rule);
+    if (blocked) {
+      logger.warn({ id: rule.id, name: rule.name, room: room.name, reason: blocked }, 'Rule firing blocked');
+      this.logRun({ ...record, status: 'blocked', reason: blocked });
+      return null;
+    }
+
+    const now = Date.now();
+    this.lastFired.set(`${room.name}:${rule.id}`, now);
+    this.firings.set(rule.id, [...(this.firings.get(rule.id) || []), now]);
+
+    // Join the open trigger chain for this room, or start one
+    let chain = this.chains.get(room.name);
+    if (!chain || now >= chain.until) {
+      chain = { rules: new Set(), depth: 0, until: Infinity };
+      this.chains.set(room.name, chain);
+    }
+    chain.rules.add(rule.id);
+    chain.depth++;
+    chain.until = Infinity;
+    chain.active = (chain.active || 0) + 1;
+
+    logger.info({ id: rule.id, name: rule.name, room: room.name, fact: rule.when.fact, value }, 'Rule fired');
+
+    const actions = [];
+    let status = 'success';
+    for (const action of rule.then) {
+      try {
+        const result = await this.executeTool(action.tool, action.args || {}, {
+          transport: 'rules',
+          room: room.name,
+          ruleId: rule.id,
+          auth: rule.auth || undefined
+        });
+        actions.push({ tool: action.tool, status: 'success', result: summarizeResult(result) });
+      } catch (e) {
+        actions.push({ tool: action.tool, status: 'error', error: e.message });
+        status = 'error';
+        logger.error({ id: rule.id, name: rule.name, tool: action.tool, error: e.message }, 'Rule action failed');
+        break;
+      }
+    }
+
+    // State echoes of these actions arrive shortly after - keep the chain open a little longer
+    chain.active--;
+    if (chain.active === 0) chain.until = Date.now() + limits().chainWindowMs;
+
+    const entry = { ...record, status, actions, finishedAt: new Date().toISOString() };
+    this.logRun(entry);
+    return entry;
+  }
+
+  logRun(record) {
+    appendJsonl(RUNS_FILE, record);
+    if (++this.runsSincePrune >= 100) this.pruneRuns();
+  }
+
+  // Keep the firing log at RULE_RUN_HISTORY entries
+  pruneRuns() {
+    this.runsSincePrune = 0;
+    const { runHistory } = limits();
+    const runs = readJsonl(RUNS_FILE);
+    if (runs.length > runHistory) {
+      writeJsonl(RUNS_FILE, runs.slice(-runHistory));
+    }
+  }
+}
+
+// Singleton instance
+const rulesEngine = new RulesEngine();
+
+export default rulesEngine;
+export { RulesEngine };
@@ -0,0 +1,179 @@
+/**
+ * Room Scenes
+ * Capture the full room state as a named scene and recall it atomically
+ * Scenes belong to a room: each room has its own "presentation" scene.
+ */
+import { readJson, writeJson } from './dataStore.js';
+import { InvalidArgument, CommandFailed } from './errors.js';
+
+const SCENES_FILE = 'scenes.json';
+
+// Controls captured in a scene (state key + room function), in the order they are
+// applied on recall. Screen first so the wall is powered before the layout changes; audio last.
+export const SCENE_CONTROLS = [
+  { key: 'screenPower', label: 'screen', fn: 'screen' },
+  { key: 'hardwareState', label: 'layout', fn: 'videoWall' },
+  { key: 'didoOutput', label: 'dido', fn: 'dido' },
+  { key: 'privacyGlass', label: 'glass', fn: 'glass' },
+  { key: 'lightingLevel', label: 'lights', fn: 'lights' },
+  { key: 'volumeLevel', label: 'volume', fn: 'volume' }
+];
+
+function sceneKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) === Number(b);
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Snapshot the scene controls from a wsManager state object
+ */
+export function captureScene(state) {
+  const values = {};
+  for (const { key } of SCENE_CONTROLS) {
+    values[key] = state[key] ?? null;
+  }
+  return values;
+}
+
+/**
+ * Apply scene values in SCENE_CONTROLS order via ws.setFunction
+ * Controls already at the target value are skipped. If any write fails,
+ * the controls changed so far are restored in reverse order.
+ * @returns {Promise<{changed: string[], unchanged: string[], skipped: string[]}>}
+ * @throws {CommandFailed} with failedStep (label) and rollback ({ restored, failed })
+ */
+export async function applySceneValues(ws, values) {
+  const state = await ws.getState();
+  const previous = captureScene(state);
+  const changed = [];
+  const unchanged = [];
+  const skipped = [];
+
+  for (const step of SCENE_CONTROLS) {
+    const target = values[step.key];
+
+    // Nothing recorded for this control (state was unknown at save time)
+    if (target === null || target === undefined) {
+      skipped.push(step.label);
+      continue;
+    }
+
+    if (previous[step.key] !== null && sameValue(previous[step.key], target)) {
+      unchanged.push(step.label);
+      continue;
+    }
+
+    try {
+      await ws.setFunction(step.fn, target);
+      changed.push(step);
+    } catch (e) {
+      // The failed write may still have been applied (e.g. it timed out), so restore it too
+      const rollback = await rollbackSteps(ws, [...changed, step], previous);
+      const summary = rollback.failed.length === 0
+        ? `rolled back ${rollback.restored.length} control(s)`
+        : `rollback incomplete: ${rollback.failed.map(f => f.control).join(', ')} not restored`;
+      const err = new CommandFailed(`Failed to set ${step.label}: ${e.message} (${summary})`, {
+        cause: e,
+        voice: rollback.failed.length === 0
+          ? `Could not set the ${step.label}. Changes undone.`
+          : `Could not set the ${step.label}, and could not undo everything.`
+      });
+      err.failedStep = step.label;
+      err.rollback = rollback;
+      throw err;
+    }
+  }
+
+  return {
+    changed: changed.map(s => s.label),
+    unchanged,
+    skipped
+  };
+}
+
+/**
+ * Restore previously captured values for the given steps (reverse order)
+ * Best effort - every step is attempted even if an earlier one fails.
+ */
+async function rollbackSteps(ws, steps, previous) {
+  const restored = [];
+  const failed = [];
+
+  for (const step of [...steps].reverse()) {
+    const value = previous[step.key];
+    if (value === null || value === undefined) {
+      failed.push({ control: step.label, error: 'Previous value unknown' });
+      continue;
+    }
+    try {
+      await ws.setFunction(step.fn, value);
+      restored.push(step.label);
+    } catch (e) {
+      failed.push({ control: step.label, error: e.message });
+    }
+  }
+
+  return { restored, failed };
+}
+
+/**
+ * Scene storage (persisted to DATA_DIR/scenes.json as { room: { scene key: scene } })
+ */
+function loadScenes() {
+  return readJson(SCENES_FILE, {});
+}
+
+/**
+ * @param {string} room - Room name
+ */
+export function listScenes(room) {
+  return Object.values(loadScenes()[room] || {});
+}
+
+export function getScene(room, name) {
+  return loadScenes()[room]?.[sceneKey(name)] || null;
+}
+
+export function saveScene(room, name, values, description) {
+  const key = sceneKey(name);
+  if (!key) throw new InvalidArgument('Scene name is required');
+
+  const rooms = loadScenes();
+  const scenes = rooms[room] || {};
+  const now = Date.now();
+  scenes[key] = {
+    name: String(name).trim(),
+    description: description || scenes[key]?.description || null,
+    values,
+    createdAt: scenes[key]?.createdAt || now,
+    updatedAt: now
+  };
+  rooms[room] = scenes;
+  writeJson(SCENES_FILE, rooms);
+  return scenes[key];
+}
+
+export function deleteScene(room, name) {
+  const rooms = loadScenes();
+  const key = sceneKey(name);
+  if (!rooms[room]?.[key]) return false;
+  delete rooms[room][key];
+  writeJson(SCENES_FILE, rooms);
+  return true;
+}
+
+export default {
+  SCENE_CONTROLS,
+  captureScene,
+  applySceneValues,
+  listScenes,
+  getScene,
+  saveScene,
+  deleteScene
+};
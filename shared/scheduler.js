@@ -0,0 +1,375 @@
+/**
+ * Scheduler
+ * Timed and recurring room actions: run any registered tool at a cron expression or a one-shot time
+ *
+ * Jobs persist in schedules.json and survive restarts. Every run (and every skipped run) is
+ * appended to schedule-runs.jsonl with its outcome.
+ *
+ * Missed runs (server down, or blocked past the run time):
+ *   catchUp "once" (default) - run once on recovery if the run is at most SCHEDULE_CATCH_UP_MINUTES late
+ *   catchUp "skip"           - never run late
+ * Several missed occurrences of a recurring job collapse into one catch-up run. Runs that are not
+ * caught up are logged with status "missed"; one-shot jobs are then removed.
+ */
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+import { parseCron, nextCronTime } from './cron.js';
+import { readJson, writeJson, appendJsonl, readJsonl, writeJsonl } from './dataStore.js';
+import { callerOf } from './policy.js';
+import { requiresConfirmation } from './confirmations.js';
+import { normalizeToolArguments, validateToolArguments } from './schemaValidation.js';
+import { InvalidArgument, NotFound, Conflict, NotConnected } from './errors.js';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-scheduler' }
+});
+
+const JOBS_FILE = 'schedules.json';
+const RUNS_FILE = 'schedule-runs.jsonl';
+
+// Read on use: the server loads .env after its imports
+function settings() {
+  return {
+    catchUpMinutes: parseInt(process.env.SCHEDULE_CATCH_UP_MINUTES) || 60,
+    runHistory: parseInt(process.env.SCHEDULE_RUN_HISTORY) || 1000
+  };
+}
+
+// A run this late counts as missed (timer jitter stays well below it)
+const LATE_AFTER_MS = 2 * 60 * 1000;
+// Re-check at least this often (setTimeout cannot wait for weeks, and clocks drift)
+const MAX_WAIT_MS = 60 * 1000;
+
+export const CATCH_UP_POLICIES = ['once', 'skip'];
+
+// Keep logged results small - tool results can carry whole state objects
+function summarizeResult(result) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  if (text === undefined) return null;
+  return text.length > 500 ? `${text.slice(0, 500)}...` : result;
+}
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.started = false;
+    this.executeTool = null;
+    this.getTool = null;
+    this.runsSincePrune = 0;
+  }
+
+  /**
+   * Load jobs and start the timer
+   * @param {object} options
+   * @param {Function} options.executeTool - executeTool(name, args, ctx) from the tool registry
+   * @param {Function} options.getTool - getTool(name) from the tool registry
+   */
+  start({ executeTool, getTool }) {
+    this.executeTool = executeTool;
+    this.getTool = getTool;
+    this.load();
+    this.pruneRuns();
+    this.started = true;
+
+    logger.info({ jobs: this.jobs.size, catchUpMinutes: settings().catchUpMinutes }, 'Scheduler started');
+
+    // Missed runs are handled by the first tick
+    this.tick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.started = false;
+  }
+
+  load() {
+    this.jobs.clear();
+    for (const job of readJson(JOBS_FILE, [])) {
+      this.jobs.set(job.id, job);
+    }
+  }
+
+  save() {
+    writeJson(JOBS_FILE, Array.from(this.jobs.values()));
+  }
+
+  /**
+   * Create a job
+   * @param {object} spec
+   * @param {string} spec.tool - Tool to run
+   * @param {object} [spec.args] - Tool arguments
+   * @param {string} [spec.room] - Room to run in (default room when omitted)
+   * @param {string} [spec.cron] - Cron expression (recurring job)
+   * @param {Date|string|number} [spec.at] - Run time (one-shot job)
+   * @param {string} [spec.name] - Display name
+   * @param {string} [spec.catchUp='once'] - Missed run policy
+   * @param {string} [spec.createdBy] - Who created the job
+   * @param {object} [spec.auth] - Caller who created the job; its policy applies to every run
+   * @throws {Error} for an unknown tool, invalid arguments, a tool that requires confirmation, invalid schedule or a time in the past
+   */
+  add({ tool, args = {}, room = null, cron, at, name, catchUp = 'once', createdBy = null, auth = null }) {
+    if (!this.started) {
+      throw new NotConnected('Scheduler is not running', { voice: 'Scheduling is not available right now.' });
+    }
+    if (!this.getTool(tool)) {
+      throw new NotFound(`Unknown tool: ${tool}`);
+    }
+    const toolArgs = normalizeToolArguments(this.getTool(tool), args);
+    validateToolArguments(this.getTool(tool), toolArgs);
+    if (requiresConfirmation(tool)) {
+      throw new InvalidArgument(`${tool} requires confirmation and cannot be scheduled`);
+    }
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new InvalidArgument(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+    }
+    if (Boolean(cron) === Boolean(at)) {
+      throw new InvalidArgument('Give either a cron expression or a run time');
+    }
+
+    let nextRunAt;
+    if (cron) {
+      nextRunAt = nextCronTime(parseCron(cron));
+    } else {
+      nextRunAt = new Date(at);
+      if (isNaN(nextRunAt.getTime())) throw new InvalidArgument(`Invalid run time: ${at}`);
+      if (nextRunAt.getTime() <= Date.now()) throw new InvalidArgument('Run time is in the past');
+    }
+
+    if (name && this.find(name)) {
+      throw new Conflict(`A schedule named "${name}" already exists`);
+    }
+
+    const job = {
+      id: `job-${uuidv4().slice(0, 8)}`,
+      name: name || `${tool}${cron ? ` (${cron})` : ''}`,
+      tool,
+      args: toolArgs,
+      room,
+      cron: cron || null,
+      at: cron ? null : nextRunAt.toISOString(),
+      catchUp,
+      paused: false,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      auth: callerOf(auth),
+      nextRunAt: nextRunAt.toISOString(),
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      runCount: 0
+    };
+
+    this.jobs.set(job.id, job);
+    this.save();
+    this.arm();
+
+    logger.info({ id: job.id, name: job.name, tool, cron: job.cron, nextRunAt: job.nextRunAt }, 'Job scheduled');
+    return job;
+  }
+
+  /**
+   * Find a job by id or name (case-insensitive)
+   */
+  find(ref) {
+    if (!ref) return null;
+    if (this.jobs.has(ref)) return this.jobs.get(ref);
+    const key = String(ref).trim().toLowerCase();
+    return Array.from(this.jobs.values()).find(j => j.name.toLowerCase() === key) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''));
+  }
+
+  remove(ref) {
+    const job = this.find(ref);
+    if (!job) return null;
+    this.jobs.delete(job.id);
+    this.save();
+    this.arm();
+    logger.info({ id: job.id, name: job.name }, 'Job cancelled');
+    return job;
+  }
+
+  /**
+   * Pause or resume a job
+   * A resumed job continues from its next future run - runs due while paused are not caught up.
+   */
+  setPaused(ref, paused) {
+    const job = this.find(ref);
+    if (!job) return null;
+    if (job.paused === paused) return job;
+
+    job.paused = paused;
+    if (!paused && job.cron) {
+      job.nextRunAt = nextCronTime(parseCron(job.cron)).toISOString();
+    }
+    this.save();
+    this.arm();
+    logger.info({ id: job.id, name: job.name, paused }, paused ? 'Job paused' : 'Job resumed');
+    return job;
+  }
+
+  /**
+   * Logged runs, newest first
+   * @param {object} [options]
+   * @param {string} [options.jobId] - Only runs of this job
+   * @param {number} [options.limit=20]
+   */
+  history({ jobId, limit = 20 } = {}) {
+    return readJsonl(RUNS_FILE)
+      .filter(r => !jobId || r.jobId === jobId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Schedule the next tick for the earliest due job
+  arm() {
+    clearTimeout(this.timer);
+    if (!this.started) return;
+
+    const next = this.list()
+      .filter(j => !j.paused && j.nextRunAt)
+      .map(j => new Date(j.nextRunAt).getTime())[0];
+
+    const wait = next === undefined ? MAX_WAIT_MS : Math.max(0, Math.min(next - Date.now(), MAX_WAIT_MS));
+    this.timer = setTimeout(() => this.tick(), wait);
+    this.timer.unref?.();
+  }
+
+  tick() {
+    const now = Date.now();
+
+    for (const job of this.list()) {
+      if (job.paused || !job.nextRunAt || this.running.has(job.id)) continue;
+
+      const due = new Date(job.nextRunAt).getTime();
+      if (due > now) continue;
+
+      const lateMs = now - due;
+      if (lateMs <= LATE_AFTER_MS) {
+        this.run(job, { scheduledFor: job.nextRunAt });
+        continue;
+      }
+
+      const missedRuns = this.countMissed(job, now);
+      const { catchUpMinutes } = settings();
+      if (job.catchUp === 'once' && lateMs <= catchUpMinutes * 60 * 1000) {
+        logger.warn({ id: job.id, name: job.name, missedRuns, lateMs }, 'Catching up missed run');
+        this.run(job, { scheduledFor: job.nextRunAt, late: true, missedRuns });
+      } else {
+        logger.warn({ id: job.id, name: job.name, missedRuns, lateMs }, 'Skipping missed run');
+        this.logRun({
+          jobId: job.id,
+          name: job.name,
+          tool: job.tool,
+          room: job.room,
+          scheduledFor: job.nextRunAt,
+          status: 'missed',
+          missedRuns,
+          reason: job.catchUp === 'skip' ? 'catch-up disabled' : `more than ${catchUpMinutes} minutes late`
+        });
+        job.lastStatus = 'missed';
+        this.advance(job, now);
+      }
+    }
+
+    this.save();
+    this.arm();
+  }
+
+  // Occurrences between the scheduled time and now (1 for one-shot jobs)
+  countMissed(job, now) {
+    if (!job.cron) return 1;
+    const cron = parseCron(job.cron);
+    let count = 0;
+    let time = new Date(job.nextRunAt);
+    while (time.getTime() <= now && count < 1000) {
+      count++;
+      time = nextCronTime(cron, time);
+    }
+    return count;
+  }
+
+  // Move a job past now: next cron occurrence, or remove a one-shot job
+  advance(job, now = Date.now()) {
+    if (job.cron) {
+      job.nextRunAt = nextCronTime(parseCron(job.cron), now).toISOString();
+    } else {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  async run(job, { scheduledFor, late = false, missedRuns = 0 }) {
+    this.running.add(job.id);
+    this.advance(job);
+
+    const startedAt = new Date();
+    const record = {
+      jobId: job.id,
+      name: job.name,
+      tool: job.tool,
+      room: job.room,
+      scheduledFor,
+      startedAt: startedAt.toISOString(),
+      ...(late && { late, missedRuns })
+    };
+
+    try {
+      const result = await this.executeTool(job.tool, job.args, {
+        transport: 'scheduler',
+        room: job.room || undefined,
+        scheduleId: job.id,
+        auth: job.auth || undefined
+      });
+      Object.assign(record, { status: 'success', result: summarizeResult(result) });
+      logger.info({ id: job.id, name: job.name, tool: job.tool }, 'Scheduled run succeeded');
+    } catch (e) {
+      Object.assign(record, { status: 'error', error: e.message });
+      logger.error({ id: job.id, name: job.name, tool: job.tool, error: e.message }, 'Scheduled run failed');
+    } finally {
+      this.running.delete(job.id);
+    }
+
+    record.finishedAt = new Date().toISOString();
+    record.durationMs = Date.now() - startedAt.getTime();
+    this.logRun(record);
+
+    // One-shot jobs are gone after advance(); recurring jobs record their last outcome
+    if (this.jobs.has(job.id)) {
+      job.lastRunAt = record.startedAt;
+      job.lastStatus = record.status;
+      job.lastError = record.error || null;
+      job.runCount++;
+      this.save();
+    }
+
+    return record;
+  }
+
+  logRun(record) {
+    appendJsonl(RUNS_FILE, record);
+    if (++this.runsSincePrune >= 100) this.pruneRuns();
+  }
+
+  // Keep the run log at SCHEDULE_RUN_HISTORY entries
+  pruneRuns() {
+    this.runsSincePrune = 0;
+    const { runHistory } = settings();
+    const runs = readJsonl(RUNS_FILE);
+    if (runs.length > runHistory) {
+      writeJsonl(RUNS_FILE, runs.slice(-runHistory));
+    }
+  }
+}
+
+// Singleton instance
+const scheduler = new Scheduler();
+
+export default scheduler;
+export { Scheduler };
@@ -0,0 +1,160 @@
+/**
+ * Schema Validation
+ * Checks tool arguments against the tool's inputSchema before anything runs, so handlers only
+ * see arguments of the declared types. Failures list each field:
+ *   { field: 'level', message: 'must be a number or one of: mute, low, medium, high, max' }
+ */
+import Ajv from 'ajv';
+import { InvalidArgument } from './errors.js';
+
+const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+
+// Compiled validators by schema object (schemas are static per tool)
+const validators = new WeakMap();
+
+function compile(schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+/**
+ * Compile a schema up front
+ * @throws {Error} if the schema itself is invalid
+ */
+export function checkSchema(schema) {
+  compile(schema);
+}
+
+// "/windows/0/x" -> "windows[0].x"
+function fieldName(instancePath, property) {
+  const parts = instancePath.split('/').slice(1).map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) parts.push(property);
+  const field = parts.map((p, i) => (/^\d+$/.test(p) ? `[${p}]` : i === 0 ? p : `.${p}`)).join('');
+  return field || '(arguments)';
+}
+
+const article = (type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+// "a number", "one of: mute, low", "a string or null"
+function describeSchema(schema) {
+  if (schema.enum) return `one of: ${schema.enum.join(', ')}`;
+  if ('const' in schema) return JSON.stringify(schema.const);
+  const types = [].concat(schema.type || []);
+  return types.length > 0 ? types.map(article).join(' or ') : 'a valid value';
+}
+
+function message(error) {
+  switch (error.keyword) {
+    case 'required': return 'is required';
+    case 'additionalProperties': return 'is not allowed';
+    case 'type': return `must be ${[].concat(error.params.type).map(article).join(' or ')}`;
+    case 'enum': return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'oneOf':
+    case 'anyOf':
+      if (error.params?.passingSchemas) return 'matches more than one allowed form';
+      return `must be ${error.schema.map(describeSchema).join(' or ')}`;
+    default: return error.message;
+  }
+}
+
+/**
+ * Reduce Ajv errors to one entry per problem. A oneOf/anyOf failure is reported by the branch of
+ * the value's type when exactly one branch has it ("loud" for a number-or-preset level fails the
+ * preset enum), otherwise by the list of allowed forms.
+ */
+function collapse(errors) {
+  const dropped = new Set();
+
+  for (const error of errors) {
+    if ((error.keyword !== 'oneOf' && error.keyword !== 'anyOf') || error.params?.passingSchemas) continue;
+
+    const prefix = `${error.schemaPath}/`;
+    const branchErrors = errors.filter(e => e.schemaPath.startsWith(prefix));
+    const branches = error.schema.map((_, i) => branchErrors.filter(e => e.schemaPath.startsWith(`${prefix}${i}/`)));
+    const typeMatches = branches
+      .map((list, i) => ({ list, i }))
+      .filter(({ list }) => !list.some(e => e.keyword === 'type' && e.instancePath === error.instancePath));
+
+    // Keep the matching branch's errors, or only the summary
+    const keep = typeMatches.length === 1 ? new Set(typeMatches[0].list) : new Set();
+    branchErrors.filter(e => !keep.has(e)).forEach(e => dropped.add(e));
+    if (keep.size > 0) dropped.add(error);
+  }
+
+  const seen = new Set();
+  return errors
+    .filter(e => !dropped.has(e))
+    .map(e => ({
+      field: fieldName(e.instancePath, e.params?.missingProperty ?? e.params?.additionalProperty),
+      message: message(e)
+    }))
+    .filter(e => {
+      const key = `${e.field}\u0000${e.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @returns {Array<{field: string, message: string}>} Field errors (empty when valid)
+ */
+export function validateSchema(schema, value) {
+  const validate = compile(schema);
+  return validate(value) ? [] : collapse(validate.errors);
+}
+
+// Value with strings that match an enum entry but for case ("Loud") replaced by that entry
+function matchEnumCase(schema, value) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  if (typeof value === 'string' && Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    const match = schema.enum.find(v => typeof v === 'string' && v.toLowerCase() === value.toLowerCase());
+    if (match !== undefined) return match;
+  }
+  for (const branch of [...(schema.oneOf || []), ...(schema.anyOf || [])]) {
+    const matched = matchEnumCase(branch, value);
+    if (matched !== value) return matched;
+  }
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => matchEnumCase(schema.items, item));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, matchEnumCase(schema.properties[key], v)]));
+  }
+  return value;
+}
+
+/**
+ * Tool arguments with enum strings matched case-insensitively ("MAX" for max), as the handlers
+ * did before arguments were validated - voice transcripts are not reliably lowercase
+ * @param {object} tool - Registered tool
+ * @param {object} args
+ * @returns {object} The arguments, with enum strings in the schema's case
+ */
+export function normalizeToolArguments(tool, args) {
+  return tool.inputSchema ? matchEnumCase(tool.inputSchema, args) : args;
+}
+
+/**
+ * Check tool arguments against the tool's inputSchema
+ * @param {object} tool - Registered tool
+ * @param {object} args - Arguments without "room" and "confirmationToken"
+ * @throws {InvalidArgument} with errors = [{ field, message }] when invalid
+ */
+export function validateToolArguments(tool, args) {
+  if (!tool.inputSchema) return;
+
+  const errors = validateSchema(tool.inputSchema, args);
+  if (errors.length === 0) return;
+
+  const name = tool.originalName || tool.name;
+  throw new InvalidArgument(`Invalid arguments for ${name}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, { errors });
+}
+
+export default { validateSchema, normalizeToolArguments, validateToolArguments, checkSchema };
@@ -0,0 +1,178 @@
+/**
+ * Source Catalog
+ * Video wall inputs (number, display name, aliases, connection status) for a room
+ *
+ * Built from, in order of precedence:
+ *   1. The room profile's "sources": [{ "id": 5, "name": "Document Camera", "aliases": ["doc cam", "visualiser"] }]
+ *   2. The controller's ConnectedSources payload (one entry per input; "id", "name" and "aliases" used if present)
+ *   3. The built-in four sources in constants.js (only when the profile defines no sources)
+ */
+import { SOURCE_NAMES, SOURCE_IDS } from './constants.js';
+
+// Names and aliases compare without case, spaces or punctuation ("Apple TV" = "appletv")
+const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Built-in sources from constants.js with their aliases
+const BUILTIN_SOURCES = Object.entries(SOURCE_NAMES).map(([id, name]) => ({
+  id: Number(id),
+  name,
+  aliases: Object.entries(SOURCE_IDS).filter(([, sid]) => sid === Number(id)).map(([alias]) => alias)
+}));
+
+/**
+ * Validate and normalise the room profile's "sources" section
+ * @returns {Array<{id: number, name: string, aliases: string[]}>|null} null when the profile has none
+ * @throws {Error} for malformed entries, duplicate ids or an alias used by two sources
+ */
+export function getProfileSources(profile = {}) {
+  if (profile.sources === undefined) return null;
+  if (!Array.isArray(profile.sources)) {
+    throw new Error('Room profile: sources must be a list of { id, name, aliases }');
+  }
+
+  const seenIds = new Set();
+  const seenKeys = new Map();
+
+  return profile.sources.map((entry, i) => {
+    const { id, name } = entry || {};
+    const aliases = typeof entry?.aliases === 'string' ? [entry.aliases] : entry?.aliases || [];
+
+    if (!Number.isInteger(id) || id < 1) {
+      throw new Error(`Room profile: sources[${i}].id must be a positive integer`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`Room profile: sources[${i}].name must be a non-empty string`);
+    }
+    if (!Array.isArray(aliases) || !aliases.every(a => typeof a === 'string' && normalize(a))) {
+      throw new Error(`Room profile: sources[${i}].aliases must be a list of names`);
+    }
+    if (seenIds.has(id)) {
+      throw new Error(`Room profile: source ${id} is defined twice`);
+    }
+    seenIds.add(id);
+
+    for (const key of [name, ...aliases].map(normalize)) {
+      if (seenKeys.has(key) && seenKeys.get(key) !== id) {
+        throw new Error(`Room profile: "${key}" names both source ${seenKeys.get(key)} and source ${id}`);
+      }
+      seenKeys.set(key, id);
+    }
+
+    return { id, name: name.trim(), aliases };
+  });
+}
+
+export class SourceCatalog {
+  /**
+   * @param {Array<{id, name, aliases?, connected?, snapshotUrl?, proxiedPreviewUrl?}>} sources
+   */
+  constructor(sources) {
+    this.sources = [...sources].sort((a, b) => a.id - b.id);
+    this.byId = new Map(this.sources.map(s => [s.id, s]));
+
+    // Lookup by normalised name or alias (first source to claim a key keeps it)
+    this.byKey = new Map();
+    for (const source of this.sources) {
+      for (const key of [source.name, ...(source.aliases || [])].map(normalize)) {
+        if (key && !this.byKey.has(key)) this.byKey.set(key, source.id);
+      }
+    }
+  }
+
+  get size() {
+    return this.sources.length;
+  }
+
+  ids() {
+    return this.sources.map(s => s.id);
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  // Display name for a source number (falls back to "Source N")
+  name(id) {
+    return this.byId.get(id)?.name || `Source ${id}`;
+  }
+
+  /**
+   * Resolve a source number, name or alias to a source number
+   * @returns {number|null} null when no source matches
+   */
+  resolve(ref) {
+    if (typeof ref === 'number') {
+      return this.byId.has(ref) ? ref : null;
+    }
+    if (typeof ref !== 'string') return null;
+
+    const key = normalize(ref);
+    if (this.byKey.has(key)) return this.byKey.get(key);
+
+    // "3", "source 3", "input 3"
+    const number = key.match(/^(?:source|input)?(\d+)$/);
+    return number ? this.resolve(parseInt(number[1])) : null;
+  }
+
+  // "1=Laptop, 2=ClickShare, ..." for tool descriptions
+  describe() {
+    return this.sources.map(s => `${s.id}=${s.name}`).join(', ');
+  }
+
+  // "laptop, clickshare, ..." - the names a caller can pass
+  names() {
+    return this.sources.map(s => s.name.toLowerCase()).join(', ');
+  }
+}
+
+/**
+ * Build the source catalog for a room
+ * @param {object} [options]
+ * @param {object} [options.profile] - Room profile
+ * @param {Array} [options.connectedSources] - Parsed ConnectedSources "sources" array
+ * @returns {SourceCatalog}
+ */
+export function buildSourceCatalog({ profile = {}, connectedSources } = {}) {
+  const profileSources = getProfileSources(profile);
+  const sources = new Map();
+
+  // Controller inputs: entry N is input N+1 unless the entry carries its own id
+  (Array.isArray(connectedSources) ? connectedSources : []).forEach((entry, i) => {
+    const id = Number.isInteger(entry?.id) ? entry.id : i + 1;
+    sources.set(id, {
+      id,
+      name: typeof entry?.name === 'string' && entry.name.trim() ? entry.name.trim() : null,
+      aliases: Array.isArray(entry?.aliases) ? entry.aliases.filter(a => typeof a === 'string') : [],
+      connected: entry?.connected ?? null,
+      snapshotUrl: entry?.snapshotUrl ?? null,
+      proxiedPreviewUrl: entry?.proxiedPreviewUrl ?? null
+    });
+  });
+
+  // Defaults apply only when the room has not defined its own sources
+  const defaults = profileSources || (sources.size > 0
+    ? BUILTIN_SOURCES.filter(s => sources.has(s.id))
+    : BUILTIN_SOURCES);
+
+  for (const def of defaults) {
+    const existing = sources.get(def.id);
+    sources.set(def.id, {
+      id: def.id,
+      connected: null,
+      snapshotUrl: null,
+      proxiedPreviewUrl: null,
+      ...existing,
+      // Profile names win over controller names; built-in names only fill gaps
+      name: profileSources ? def.name : existing?.name || def.name,
+      aliases: [...def.aliases, ...(existing?.aliases || [])]
+    });
+  }
+
+  for (const source of sources.values()) {
+    if (!source.name) source.name = `Input ${source.id}`;
+  }
+
+  return new SourceCatalog(Array.from(sources.values()));
+}
+
+export default { SourceCatalog, buildSourceCatalog, getProfileSources };
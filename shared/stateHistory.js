@@ -0,0 +1,282 @@
+/**
+ * State History
+ * Time series of every room state change (state-history.jsonl in the data directory), for
+ * questions like "when was the screen last turned on" or "what was showing at 14:00".
+ *
+ * Each entry: timestamp, room, state key, new value and previous value. Only real changes are
+ * recorded - a value the controller repeats, or an unknown (null) value, adds nothing.
+ * Retention: entries older than STATE_HISTORY_RETENTION_DAYS (default 90) are dropped, and at most
+ * STATE_HISTORY_MAX_ENTRIES (default 50000) are kept. The newest dropped entry of each room and key
+ * stays, so the value at any time inside the retention period is still known.
+ * Writes are queued and asynchronous and queries stream the file, so state updates of every room
+ * never wait on the disk.
+ */
+import pino from 'pino';
+import { appendJsonlAsync, streamJsonl, writeJsonlAsync } from './dataStore.js';
+import { InvalidArgument } from './errors.js';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-state-history' }
+});
+
+const HISTORY_FILE = 'state-history.jsonl';
+
+// State cache fields with a history
+export const HISTORY_KEYS = [
+  'screenPower', 'hardwareState', 'lightingLevel', 'volumeLevel', 'privacyGlass', 'didoOutput', 'connectedSources'
+];
+
+// Read when pruning: the server loads .env after its imports
+export function retentionSettings() {
+  return {
+    retentionDays: parseInt(process.env.STATE_HISTORY_RETENTION_DAYS) || 90,
+    maxEntries: parseInt(process.env.STATE_HISTORY_MAX_ENTRIES) || 50000
+  };
+}
+
+const PRUNE_EVERY = 500;
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Booleans match the controller's 1/0 ("screenPower": true finds the 1s)
+function matchesValue(entryValue, value) {
+  if (typeof value === 'boolean' && typeof entryValue === 'number') return entryValue === (value ? 1 : 0);
+  if (typeof value === 'number' || typeof entryValue === 'number') return Number(entryValue) === Number(value);
+  return same(entryValue, value);
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new InvalidArgument(`${name} must be an ISO date-time`);
+  return time;
+}
+
+// Last value of each key per room, from entries in time order
+function foldEntry(rooms, entry) {
+  if (!rooms.has(entry.room)) rooms.set(entry.room, {});
+  rooms.get(entry.room)[entry.key] = { value: entry.value, since: entry.timestamp };
+  return rooms;
+}
+
+class StateHistory {
+  constructor() {
+    this.unsubscribers = [];
+    // room name -> { key: value } as last recorded
+    this.lastValues = new Map();
+    this.appendsSincePrune = 0;
+    // Appends and prunes run one after another: a prune rewrites the file, so an append made
+    // while it runs would be lost
+    this.writes = Promise.resolve();
+  }
+
+  enqueue(write) {
+    const run = this.writes.then(write);
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Record state changes of every room of the pool
+   * @param {object} options
+   * @param {RoomPool} options.rooms
+   */
+  async start({ rooms }) {
+    this.stop();
+    await this.prune().catch(e => logger.error({ error: e.message }, 'Failed to prune state history'));
+
+    // Continue from the last recorded values, so a restart does not record everything again
+    const folded = new Map();
+    for await (const entry of streamJsonl(HISTORY_FILE)) foldEntry(folded, entry);
+    for (const [room, values] of folded) {
+      this.lastValues.set(room, Object.fromEntries(Object.entries(values).map(([key, v]) => [key, v.value])));
+    }
+
+    for (const room of rooms.list()) {
+      this.unsubscribers.push(room.ws.onStateChange(state => this.record(room.name, state)));
+    }
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Append the tracked values that differ from the last recorded ones
+   * @returns {object[]} Entries queued for writing
+   */
+  record(room, state, now = new Date()) {
+    const last = this.lastValues.get(room) || {};
+    const entries = [];
+
+    for (const key of HISTORY_KEYS) {
+      const value = state[key];
+      if (value === null || value === undefined || same(value, last[key])) continue;
+      entries.push({ timestamp: now.toISOString(), room, key, value, previous: last[key] ?? null });
+      last[key] = value;
+    }
+    this.lastValues.set(room, last);
+    if (entries.length === 0) return entries;
+
+    this.enqueue(async () => {
+      for (const entry of entries) await appendJsonlAsync(HISTORY_FILE, entry);
+      this.appendsSincePrune += entries.length;
+      if (this.appendsSincePrune >= PRUNE_EVERY) await this.pruneEntries();
+    }).catch(e => {
+      // History must never break state updates
+      logger.error({ error: e.message, room }, 'Failed to write state history');
+    });
+    return entries;
+  }
+
+  /**
+   * Drop entries past the retention period and above the size limit, keeping the newest dropped
+   * entry of each room and key (the value that still held afterwards)
+   * @returns {Promise<number>} Entries removed
+   */
+  prune() {
+    return this.enqueue(() => this.pruneEntries());
+  }
+
+  async pruneEntries() {
+    this.appendsSincePrune = 0;
+    const { retentionDays, maxEntries } = retentionSettings();
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    // Only the newest maxEntries recent entries are held; older ones just update the baselines
+    const baseline = new Map();
+    const drop = (entry) => baseline.set(`${entry.room}\u0000${entry.key}`, entry);
+    let total = 0;
+    let recent = [];
+    for await (const entry of streamJsonl(HISTORY_FILE)) {
+      total++;
+      if (new Date(entry.timestamp).getTime() < cutoff) {
+        drop(entry);
+        continue;
+      }
+      recent.push(entry);
+      if (recent.length >= maxEntries * 2) {
+        recent.slice(0, -maxEntries).forEach(drop);
+        recent = recent.slice(-maxEntries);
+      }
+    }
+    recent.slice(0, -maxEntries).forEach(drop);
+    recent = recent.slice(-maxEntries);
+
+    // Entries are in time order, so baselines (older) go first
+    const kept = [...baseline.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp)).concat(recent);
+
+    if (kept.length < total) {
+      await writeJsonlAsync(HISTORY_FILE, kept);
+      logger.info({ removed: total - kept.length, kept: kept.length }, 'State history pruned');
+    }
+    return total - kept.length;
+  }
+
+  /**
+   * Resolves once the changes recorded so far are written (tests, shutdown)
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * State changes of a room, newest first
+   * @param {object} filters
+   * @param {string} filters.room
+   * @param {string} [filters.key] - One of HISTORY_KEYS
+   * @param {*} [filters.value] - Only changes to this value (e.g. screenPower 1: turned on)
+   * @param {string} [filters.since] - ISO time (inclusive)
+   * @param {string} [filters.until] - ISO time (exclusive)
+   * @param {number} [filters.limit=50] - Maximum entries (capped at 1000)
+   * @param {number} [filters.offset=0] - Entries to skip (paging)
+   * @returns {Promise<{ total: number, entries: object[] }>}
+   */
+  async query({ room, key, value, since, until, limit = 50, offset = 0 }) {
+    if (key && !HISTORY_KEYS.includes(key)) {
+      throw new InvalidArgument(`key must be one of: ${HISTORY_KEYS.join(', ')}`);
+    }
+    const sinceMs = parseTime(since, 'since');
+    const untilMs = parseTime(until, 'until');
+
+    const matches = (e) => {
+      if (e.room !== room) return false;
+      if (key && e.key !== key) return false;
+      if (value !== undefined && !matchesValue(e.value, value)) return false;
+      const time = new Date(e.timestamp).getTime();
+      if (sinceMs !== null && time < sinceMs) return false;
+      if (untilMs !== null && time >= untilMs) return false;
+      return true;
+    };
+
+    const count = Math.min(Math.max(parseInt(limit) || 50, 1), 1000);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    // The page is counted from the newest entry: hold only the last offset + limit matches
+    let total = 0;
+    let newest = [];
+    for await (const entry of streamJsonl(HISTORY_FILE)) {
+      if (!matches(entry)) continue;
+      total++;
+      newest.push(entry);
+      if (newest.length >= (start + count) * 2) newest = newest.slice(-(start + count));
+    }
+    newest = newest.slice(-(start + count)).reverse();
+    return { total, entries: newest.slice(start, start + count) };
+  }
+
+  /**
+   * Values at the start of a time range and the changes inside it (oldest first), for reports
+   * @param {object} options
+   * @param {string} options.room
+   * @param {Date} options.since
+   * @param {Date} options.until - Exclusive
+   * @returns {Promise<{ initial: object, changes: object[] }>}
+   */
+  async timeline({ room, since, until }) {
+    const before = new Map();
+    const changes = [];
+    for await (const entry of streamJsonl(HISTORY_FILE)) {
+      if (entry.room !== room) continue;
+      const time = new Date(entry.timestamp);
+      if (time < since) foldEntry(before, entry);
+      else if (time < until) changes.push(entry);
+    }
+    const folded = before.get(room) || {};
+    return {
+      initial: Object.fromEntries(HISTORY_KEYS.map(key => [key, folded[key]?.value ?? null])),
+      changes
+    };
+  }
+
+  /**
+   * Room state at a moment: each key's value then, and since when it had it (null when unknown)
+   * @param {object} options
+   * @param {string} options.room
+   * @param {string} options.at - ISO time
+   * @returns {Promise<{ at: string, values: object, since: object }>}
+   */
+  async valuesAt({ room, at }) {
+    const atMs = parseTime(at, 'at');
+    if (atMs === null) throw new InvalidArgument('at is required');
+
+    const rooms = new Map();
+    for await (const entry of streamJsonl(HISTORY_FILE)) {
+      if (entry.room === room && new Date(entry.timestamp).getTime() <= atMs) foldEntry(rooms, entry);
+    }
+    const folded = rooms.get(room) || {};
+    return {
+      at: new Date(atMs).toISOString(),
+      values: Object.fromEntries(HISTORY_KEYS.map(key => [key, folded[key]?.value ?? null])),
+      since: Object.fromEntries(HISTORY_KEYS.map(key => [key, folded[key]?.since ?? null]))
+    };
+  }
+}
+
+// Singleton instance
+const stateHistory = new StateHistory();
+
+export default stateHistory;
+export { StateHistory };
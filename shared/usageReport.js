@@ -0,0 +1,270 @@
+/**
+ * Usage Reports
+ * How a room is actually used over a day or a week, for facilities: screen-on hours, time per
+ * source, lighting and volume distributions, interactions per transport and failure rates.
+ *
+ * Built on request from the state history (time-weighted: each value counts for as long as it
+ * held) and the audit log (tool calls). Days and weeks (Monday to Sunday) are in the server's
+ * local time. Times before the first recorded value count as unknown.
+ */
+import stateHistory from './stateHistory.js';
+import { auditEntries } from './auditLog.js';
+import { tryParseWindowCommand, getPrimarySource } from './windowCommand.js';
+import { InvalidArgument } from './errors.js';
+import { VOLUME_MAP } from './constants.js';
+
+export const REPORT_PERIODS = ['day', 'week'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lighting distribution buckets (level 0-100)
+const LIGHTING_RANGES = [
+  { range: 'off', max: 0 },
+  { range: '1-25', max: 25 },
+  { range: '26-50', max: 50 },
+  { range: '51-75', max: 75 },
+  { range: '76-100', max: Infinity }
+];
+
+// Tool call outcomes that count as failures (not: previews awaiting confirmation, partial sequences)
+const FAILED_STATUSES = ['error', 'unavailable'];
+
+const hours = (ms) => Math.round(ms / HOUR_MS * 100) / 100;
+const rate = (failed, calls) => (calls > 0 ? Math.round(failed / calls * 1000) / 1000 : 0);
+
+// YYYY-MM-DD in local time
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start and end of the day or week containing a date (local time)
+ * @param {string} period - day or week
+ * @param {string} [date] - YYYY-MM-DD (default: today)
+ * @returns {{ from: Date, to: Date }}
+ */
+export function reportRange(period, date, now = new Date()) {
+  if (!REPORT_PERIODS.includes(period)) {
+    throw new InvalidArgument(`period must be one of: ${REPORT_PERIODS.join(', ')}`);
+  }
+
+  let day;
+  if (date) {
+    const match = String(date).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    day = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (!day || localDate(day) !== date) throw new InvalidArgument('date must be a date like 2024-05-01');
+  } else {
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  if (period === 'week') {
+    // Back to Monday
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  }
+  const to = new Date(day);
+  to.setDate(to.getDate() + (period === 'week' ? 7 : 1));
+  return { from: day, to };
+}
+
+// Nearest volume preset for a dB value
+function volumePreset(db) {
+  return Object.entries(VOLUME_MAP).reduce((best, [name, value]) =>
+    (Math.abs(value - db) < Math.abs(VOLUME_MAP[best] - db) ? name : best), 'mute');
+}
+
+// Source on the video wall, when the screen is on and the wall enabled
+function shownSource(values) {
+  if (values.screenPower !== 1) return null;
+  const layout = tryParseWindowCommand(values.hardwareState);
+  return layout?.enabled ? getPrimarySource(layout) : null;
+}
+
+/**
+ * Call each stretch of time in [from, to) with the state values that held during it
+ */
+function sweep({ initial, changes }, from, to, visit) {
+  const values = { ...initial };
+  let time = from.getTime();
+  for (const change of changes) {
+    const at = new Date(change.timestamp).getTime();
+    if (at > time) {
+      visit(values, at - time);
+      time = at;
+    }
+    values[change.key] = change.value;
+  }
+  if (to.getTime() > time) visit(values, to.getTime() - time);
+}
+
+function stateUsage(timeline, from, to, catalog) {
+  let screenOn = 0;
+  let screenOff = 0;
+  let screenUnknown = 0;
+  const sources = new Map();
+  const lighting = new Map(LIGHTING_RANGES.map(r => [r.range, 0]));
+  const volume = new Map(Object.keys(VOLUME_MAP).map(name => [name, 0]));
+  let lightingKnown = 0;
+  let lightingWeighted = 0;
+  let volumeKnown = 0;
+  let volumeWeighted = 0;
+
+  sweep(timeline, from, to, (values, ms) => {
+    if (values.screenPower === null || values.screenPower === undefined) screenUnknown += ms;
+    else if (values.screenPower === 1) screenOn += ms;
+    else screenOff += ms;
+
+    const source = shownSource(values);
+    if (source !== null) sources.set(source, (sources.get(source) || 0) + ms);
+
+    if (typeof values.lightingLevel === 'number') {
+      const { range } = LIGHTING_RANGES.find(r => values.lightingLevel <= r.max);
+      lighting.set(range, lighting.get(range) + ms);
+      lightingKnown += ms;
+      lightingWeighted += values.lightingLevel * ms;
+    }
+
+    if (typeof values.volumeLevel === 'number') {
+      const preset = volumePreset(values.volumeLevel);
+      volume.set(preset, volume.get(preset) + ms);
+      volumeKnown += ms;
+      volumeWeighted += values.volumeLevel * ms;
+    }
+  });
+
+  const total = to.getTime() - from.getTime();
+  const sourceTime = [...sources.values()].reduce((sum, ms) => sum + ms, 0);
+
+  return {
+    screen: { onHours: hours(screenOn), offHours: hours(screenOff), unknownHours: hours(screenUnknown) },
+    sources: [...sources.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([source, ms]) => ({ source, name: catalog.name(source), hours: hours(ms), share: rate(ms, sourceTime) })),
+    lighting: {
+      averageLevel: lightingKnown > 0 ? Math.round(lightingWeighted / lightingKnown) : null,
+      distribution: [...lighting.entries()].map(([range, ms]) => ({ range, hours: hours(ms) })),
+      unknownHours: hours(total - lightingKnown)
+    },
+    volume: {
+      averageDb: volumeKnown > 0 ? Math.round(volumeWeighted / volumeKnown * 10) / 10 : null,
+      distribution: [...volume.entries()].map(([level, ms]) => ({ level, hours: hours(ms) })),
+      unknownHours: hours(total - volumeKnown)
+    }
+  };
+}
+
+function toolUsage(entries) {
+  // Interactions: requests from people and automations (steps of a sequence are part of theirs)
+  const byTransport = {};
+  for (const entry of entries.filter(e => !e.nested)) {
+    const transport = entry.transport || 'unknown';
+    byTransport[transport] = (byTransport[transport] || 0) + 1;
+  }
+
+  // Failures: every tool call, sequence steps included
+  const count = (groups, key, failed) => {
+    const group = groups.get(key) || { calls: 0, failed: 0 };
+    group.calls++;
+    if (failed) group.failed++;
+    groups.set(key, group);
+  };
+  const transports = new Map();
+  const tools = new Map();
+  const codes = {};
+  let failed = 0;
+  for (const entry of entries) {
+    const isFailure = FAILED_STATUSES.includes(entry.status);
+    if (isFailure) {
+      failed++;
+      const code = entry.errorCode || entry.status;
+      codes[code] = (codes[code] || 0) + 1;
+    }
+    count(transports, entry.transport || 'unknown', isFailure);
+    count(tools, entry.tool, isFailure);
+  }
+  const withRate = ([key, group]) => ({ key, ...group, failureRate: rate(group.failed, group.calls) });
+
+  return {
+    interactions: {
+      total: Object.values(byTransport).reduce((sum, n) => sum + n, 0),
+      byTransport
+    },
+    failures: {
+      calls: entries.length,
+      failed,
+      failureRate: rate(failed, entries.length),
+      byCode: codes,
+      byTransport: [...transports.entries()].map(withRate).map(({ key, ...g }) => ({ transport: key, ...g })),
+      byTool: [...tools.entries()].map(withRate)
+        .sort((a, b) => b.failed - a.failed || b.calls - a.calls)
+        .map(({ key, ...g }) => ({ tool: key, ...g }))
+    }
+  };
+}
+
+/**
+ * Usage report of a room for a day or a week
+ * @param {object} options
+ * @param {string} options.room
+ * @param {string} [options.period=day] - day or week
+ * @param {string} [options.date] - YYYY-MM-DD in the period (default: today)
+ * @param {SourceCatalog} options.catalog - Source names
+ * @param {Date} [options.now] - Periods still running are reported up to now
+ * @returns {Promise<object>}
+ */
+export async function buildUsageReport({ room, period = 'day', date, catalog, now = new Date() }) {
+  const { from, to } = reportRange(period, date, now);
+  const end = now < to ? (now > from ? now : from) : to;
+  const [entries, timeline] = await Promise.all([
+    auditEntries({ since: from, until: end, room }),
+    stateHistory.timeline({ room, since: from, until: end })
+  ]);
+
+  return {
+    room,
+    period,
+    date: localDate(from),
+    from: from.toISOString(),
+    to: to.toISOString(),
+    generatedAt: now.toISOString(),
+    coveredHours: hours(end - from),
+    ...stateUsage(timeline, from, end, catalog),
+    ...toolUsage(entries)
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Reports as CSV: one row per figure (room, period, date, section, metric, value)
+ * @param {object[]} reports - From buildUsageReport
+ */
+export function usageReportCsv(reports) {
+  const rows = [['room', 'period', 'date', 'section', 'metric', 'value']];
+  for (const report of reports) {
+    const add = (section, metric, value) => rows.push([report.room, report.period, report.date, section, metric, value]);
+
+    add('period', 'covered_hours', report.coveredHours);
+    add('screen', 'on_hours', report.screen.onHours);
+    add('screen', 'off_hours', report.screen.offHours);
+    add('screen', 'unknown_hours', report.screen.unknownHours);
+    report.sources.forEach(s => add('source_hours', s.name, s.hours));
+    add('lighting', 'average_level', report.lighting.averageLevel);
+    report.lighting.distribution.forEach(d => add('lighting_hours', d.range, d.hours));
+    add('volume', 'average_db', report.volume.averageDb);
+    report.volume.distribution.forEach(d => add('volume_hours', d.level, d.hours));
+    add('interactions', 'total', report.interactions.total);
+    Object.entries(report.interactions.byTransport).forEach(([transport, n]) => add('interactions', transport, n));
+    add('failures', 'calls', report.failures.calls);
+    add('failures', 'failed', report.failures.failed);
+    add('failures', 'failure_rate', report.failures.failureRate);
+    report.failures.byTransport.forEach(t => add('failure_rate_by_transport', t.transport, t.failureRate));
+    report.failures.byTool.forEach(t => add('failure_rate_by_tool', t.tool, t.failureRate));
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export default { REPORT_PERIODS, reportRange, buildUsageReport, usageReportCsv };
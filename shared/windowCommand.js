@@ -0,0 +1,178 @@
+/**
+ * WindowCommand Parser / Serializer
+ * Converts between the video wall's compact WindowCommand string and a typed layout
+ *
+ * Format: BV<version>:<E|D>:A<audio>:<count>:<window1>[:<window2>...]
+ * Window: W<id>S<source>X<x>Y<y>W<width>H<height>A<alpha>
+ * (see "WindowCommand Protocol" in README.md)
+ */
+
+export const MAX_WINDOWS = 4;
+
+const HEADER_VERSION = /^BV(\d+)$/;
+const HEADER_AUDIO = /^A(\d+)$/;
+const WINDOW_PATTERN = /^W(\d+)S(\d+)X(\d+(?:\.\d+)?)Y(\d+(?:\.\d+)?)W(\d+(?:\.\d+)?)H(\d+(?:\.\d+)?)A(\d+(?:\.\d+)?)$/;
+
+/**
+ * Parse a WindowCommand / HardwareState string
+ * @param {string} command
+ * @returns {{version: number, enabled: boolean, audio: number, windows: Array<{id: number, source: number, x: number, y: number, width: number, height: number, alpha: number}>}}
+ * @throws {Error} if the string is malformed
+ */
+export function parseWindowCommand(command) {
+  if (typeof command !== 'string' || command.trim() === '') {
+    throw new Error('WindowCommand must be a non-empty string');
+  }
+
+  const parts = command.trim().split(':');
+  if (parts.length < 5) {
+    throw new Error('WindowCommand must have a header (BV1:E:A1:<count>) and at least one window');
+  }
+
+  const [versionPart, flag, audioPart, countPart, ...windowParts] = parts;
+
+  const version = versionPart.match(HEADER_VERSION);
+  if (!version) throw new Error(`Invalid protocol identifier "${versionPart}" (expected BV<version>)`);
+
+  if (flag !== 'E' && flag !== 'D') throw new Error(`Invalid flag "${flag}" (expected E or D)`);
+
+  const audio = audioPart.match(HEADER_AUDIO);
+  if (!audio) throw new Error(`Invalid audio field "${audioPart}" (expected A<source>)`);
+
+  if (!/^\d+$/.test(countPart)) throw new Error(`Invalid window count "${countPart}"`);
+  const count = parseInt(countPart);
+
+  if (count !== windowParts.length) {
+    throw new Error(`Window count is ${count} but ${windowParts.length} window(s) given`);
+  }
+
+  const windows = windowParts.map((part, i) => {
+    const m = part.match(WINDOW_PATTERN);
+    if (!m) throw new Error(`Invalid window ${i + 1} "${part}" (expected W<id>S<src>X<x>Y<y>W<w>H<h>A<a>)`);
+    return {
+      id: parseInt(m[1]),
+      source: parseInt(m[2]),
+      x: Number(m[3]),
+      y: Number(m[4]),
+      width: Number(m[5]),
+      height: Number(m[6]),
+      alpha: Number(m[7])
+    };
+  });
+
+  return {
+    version: parseInt(version[1]),
+    enabled: flag === 'E',
+    audio: parseInt(audio[1]),
+    windows
+  };
+}
+
+/**
+ * Parse without throwing - returns null for missing or malformed state
+ */
+export function tryParseWindowCommand(command) {
+  try {
+    return parseWindowCommand(String(command ?? ''));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Serialize a layout back into a WindowCommand string
+ * Windows are numbered by array position (W1 = bottom of the z-order).
+ */
+export function serializeWindowCommand(layout) {
+  const windows = layout.windows || [];
+  const header = [
+    `BV${layout.version ?? 1}`,
+    layout.enabled === false ? 'D' : 'E',
+    `A${layout.audio ?? 1}`,
+    windows.length
+  ];
+
+  const parts = windows.map((w, i) =>
+    `W${i + 1}S${w.source}X${w.x}Y${w.y}W${w.width}H${w.height}A${w.alpha ?? 0}`
+  );
+
+  return [...header, ...parts].join(':');
+}
+
+/**
+ * Check a parsed layout against the protocol validation rules
+ * @param {object} layout - Parsed layout
+ * @param {object} [options]
+ * @param {number[]} [options.sourceIds] - Valid source numbers (any positive integer when omitted)
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateLayout(layout, { sourceIds } = {}) {
+  const errors = [];
+  const windows = layout.windows || [];
+
+  if (windows.length < 1 || windows.length > MAX_WINDOWS) {
+    errors.push(`Window count must be 1-${MAX_WINDOWS}`);
+  }
+
+  const validSource = (source) => sourceIds
+    ? sourceIds.includes(source)
+    : Number.isInteger(source) && source >= 1;
+  const sourceRule = sourceIds ? `one of ${sourceIds.join(', ')}` : 'a positive integer';
+
+  if (!validSource(layout.audio)) {
+    errors.push(`Audio source must be ${sourceRule}`);
+  }
+
+  windows.forEach((w, i) => {
+    const label = `Window ${i + 1}`;
+
+    if (w.id !== undefined && w.id !== i + 1) {
+      errors.push(`${label}: id must be W${i + 1} (windows are numbered in order)`);
+    }
+    if (!validSource(w.source)) {
+      errors.push(`${label}: source must be ${sourceRule}`);
+    }
+
+    for (const key of ['x', 'y', 'width', 'height', 'alpha']) {
+      if (!Number.isInteger(w[key])) {
+        errors.push(`${label}: ${key} must be an integer`);
+      }
+    }
+
+    if (w.x < 0 || w.x > 100 || w.y < 0 || w.y > 100) {
+      errors.push(`${label}: position must be 0-100`);
+    }
+    if (w.width < 1 || w.width > 100 || w.height < 1 || w.height > 100) {
+      errors.push(`${label}: size must be 1-100`);
+    }
+    if (w.x + w.width > 100 || w.y + w.height > 100) {
+      errors.push(`${label}: geometry overflows the wall (X+W and Y+H must be <= 100)`);
+    }
+    if (w.alpha < 0 || w.alpha > 100) {
+      errors.push(`${label}: alpha must be 0-100`);
+    }
+  });
+
+  if (windows[0] && windows[0].alpha !== 0) {
+    errors.push('Window 1 alpha must be 0 (opaque bottom layer)');
+  }
+
+  return errors;
+}
+
+/**
+ * Source shown in the bottom (primary) window, or null
+ */
+export function getPrimarySource(layout) {
+  const primary = layout?.windows?.find(w => w.id === 1) || layout?.windows?.[0];
+  return primary?.source ?? null;
+}
+
+export default {
+  MAX_WINDOWS,
+  parseWindowCommand,
+  tryParseWindowCommand,
+  serializeWindowCommand,
+  validateLayout,
+  getPrimarySource
+};
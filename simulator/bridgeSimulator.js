@@ -0,0 +1,449 @@
+/**
+ * Bridge Simulator
+ * Socket.IO server that emulates the Q-SYS WebSocket bridge (websocket-bridge-v2) so every tool,
+ * and the full server, can run on a laptop without Tailscale or a real core.
+ *
+ * Protocol (as used by shared/clientWebSocketForV2.js):
+ *   client:identify     -> client:identify:success
+ *   controller:subscribe -> controller:state (components and controls), then component:state
+ *                          for every component the client subscribed to
+ *   component:subscribe -> component:state
+ *   control:subscribe   -> control:update
+ *   control:set         -> control:set:success / control:set:error, then control:update to subscribers
+ *   ping                -> pong
+ *
+ * The virtual room comes from a fixture file (see simulator/fixtures/boardroom.json): controllers
+ * keyed by controller ID, each with components keyed by component ID (IDs contain a "-", as the
+ * client tells IDs from room function names that way), and "links" that copy a control to another
+ * when it is set (WindowCommand -> HardwareState, as the video wall plugin does).
+ *
+ * Injected faults (setFaults, or at construction):
+ *   latency           - ms before every reply: a number, or [min, max]
+ *   dropRate          - share of control:set and subscribe requests that get no reply (0-1)
+ *   errorRate         - share of control:set requests answered with control:set:error (0-1)
+ *   failControls      - control IDs whose control:set always fails
+ *   dropPongs         - ignore pings (the client counts missed pongs and reconnects)
+ *   disconnectEvery   - seconds between dropped connections of every client (0 = never)
+ *   controllerOffline - report every controller as disconnected
+ */
+import http from 'http';
+import { readFileSync } from 'fs';
+import express from 'express';
+import { Server } from 'socket.io';
+import pino from 'pino';
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'bucontrol-simulator' }
+});
+
+export const DEFAULT_FAULTS = {
+  latency: 0,
+  dropRate: 0,
+  errorRate: 0,
+  failControls: [],
+  dropPongs: false,
+  disconnectEvery: 0,
+  controllerOffline: false
+};
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Value shape the bridge reports: { value, string }
+function controlFor(value) {
+  return { value, string: typeof value === 'string' ? value : String(value) };
+}
+
+/**
+ * Load and check a fixture file
+ * @param {string} path
+ * @returns {{ controllers: object }}
+ * @throws {Error} for malformed fixtures
+ */
+export function loadFixture(path) {
+  let fixture;
+  try {
+    fixture = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid fixture ${path}: ${e.message}`);
+  }
+  return validateFixture(fixture);
+}
+
+export function validateFixture(fixture) {
+  if (!fixture?.controllers || typeof fixture.controllers !== 'object') {
+    throw new Error('Fixture must have a "controllers" object');
+  }
+  for (const [controllerId, controller] of Object.entries(fixture.controllers)) {
+    if (!controller?.components || typeof controller.components !== 'object') {
+      throw new Error(`Controller ${controllerId}: "components" must be an object`);
+    }
+    for (const [componentId, component] of Object.entries(controller.components)) {
+      if (!componentId.includes('-')) {
+        throw new Error(`Component ${componentId}: IDs must contain a "-"`);
+      }
+      if (typeof component?.name !== 'string' || !component.controls || typeof component.controls !== 'object') {
+        throw new Error(`Component ${componentId}: needs a "name" and a "controls" object`);
+      }
+    }
+    for (const link of controller.links || []) {
+      const controls = controller.components[link.component]?.controls;
+      if (!controls || !(link.from in controls) || !(link.to in controls)) {
+        throw new Error(`Controller ${controllerId}: link ${JSON.stringify(link)} refers to an unknown component or control`);
+      }
+    }
+  }
+  return fixture;
+}
+
+function validateFaults(faults) {
+  for (const key of Object.keys(faults)) {
+    if (!(key in DEFAULT_FAULTS)) {
+      throw new Error(`Unknown fault "${key}" (use ${Object.keys(DEFAULT_FAULTS).join(', ')})`);
+    }
+  }
+  const { latency, dropRate, errorRate, failControls, disconnectEvery } = faults;
+  const isDelay = (v) => typeof v === 'number' && v >= 0;
+  if (latency !== undefined && !isDelay(latency) &&
+      !(Array.isArray(latency) && latency.length === 2 && latency.every(isDelay) && latency[0] <= latency[1])) {
+    throw new Error('latency must be milliseconds or [min, max]');
+  }
+  for (const [key, rate] of Object.entries({ dropRate, errorRate })) {
+    if (rate !== undefined && !(typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+      throw new Error(`${key} must be between 0 and 1`);
+    }
+  }
+  if (failControls !== undefined && !Array.isArray(failControls)) {
+    throw new Error('failControls must be a list of control IDs');
+  }
+  if (disconnectEvery !== undefined && !isDelay(disconnectEvery)) {
+    throw new Error('disconnectEvery must be seconds (0 = never)');
+  }
+}
+
+class BridgeSimulator {
+  /**
+   * @param {object} options
+   * @param {object} options.fixture - Parsed fixture ({ controllers })
+   * @param {object} [options.faults] - Initial faults
+   * @param {string} [options.authToken] - Require this handshake token (config.authToken on the client)
+   * @param {Function} [options.random] - Random source for drop and error rates (tests)
+   */
+  constructor({ fixture, faults = {}, authToken = null, random = Math.random }) {
+    validateFixture(fixture);
+    // Deep copy - control values change while running
+    this.controllers = JSON.parse(JSON.stringify(fixture.controllers));
+    this.authToken = authToken;
+    this.random = random;
+    this.faults = { ...DEFAULT_FAULTS };
+    this.setFaults(faults);
+
+    this.io = null;
+    this.httpServer = null;
+    this.disconnectTimer = null;
+    this.clientCount = 0;
+    this.stats = { connections: 0, controlSets: 0, dropped: 0, errors: 0 };
+  }
+
+  /**
+   * Start listening
+   * @param {object} [options]
+   * @param {number} [options.port=3004] - 0 picks a free port
+   * @param {string} [options.host='127.0.0.1']
+   * @returns {Promise<{ port: number, host: string }>}
+   */
+  async start({ port = 3004, host = '127.0.0.1' } = {}) {
+    this.httpServer = http.createServer(this.adminApp());
+    this.io = new Server(this.httpServer, { cors: { origin: '*' } });
+
+    if (this.authToken) {
+      this.io.use((socket, next) => socket.handshake.auth?.token === this.authToken
+        ? next()
+        : next(new Error('Authentication failed')));
+    }
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+    this.armDisconnects();
+
+    const address = this.httpServer.address();
+    logger.info({ host, port: address.port, controllers: Object.keys(this.controllers) }, 'Bridge simulator listening');
+    return { port: address.port, host };
+  }
+
+  async stop() {
+    clearInterval(this.disconnectTimer);
+    this.disconnectTimer = null;
+    if (this.io) {
+      this.io.disconnectSockets(true);
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+    }
+    this.httpServer = null;
+  }
+
+  /**
+   * Change injected faults (merged into the current ones)
+   * @throws {Error} for unknown or invalid faults
+   */
+  setFaults(faults = {}) {
+    validateFaults(faults);
+    const wasOffline = this.faults.controllerOffline;
+    this.faults = { ...this.faults, ...faults };
+    if (this.io) this.armDisconnects();
+    if (this.io && wasOffline !== this.faults.controllerOffline) {
+      for (const controllerId of Object.keys(this.controllers)) this.emitControllerStatus(controllerId);
+    }
+    logger.info({ faults: this.faults }, 'Faults set');
+    return this.faults;
+  }
+
+  resetFaults() {
+    return this.setFaults({ ...DEFAULT_FAULTS });
+  }
+
+  /**
+   * Drop every client connection (the clients see a transport close and reconnect)
+   */
+  disconnectAll() {
+    const sockets = this.io ? Array.from(this.io.sockets.sockets.values()) : [];
+    for (const socket of sockets) socket.conn.close();
+    logger.info({ clients: sockets.length }, 'Dropped client connections');
+    return sockets.length;
+  }
+
+  armDisconnects() {
+    clearInterval(this.disconnectTimer);
+    this.disconnectTimer = null;
+    if (this.faults.disconnectEvery > 0) {
+      this.disconnectTimer = setInterval(() => this.disconnectAll(), this.faults.disconnectEvery * 1000);
+      this.disconnectTimer.unref?.();
+    }
+  }
+
+  latencyMs() {
+    const { latency } = this.faults;
+    if (Array.isArray(latency)) return latency[0] + this.random() * (latency[1] - latency[0]);
+    return latency;
+  }
+
+  // Wait out the injected latency; false when the request is dropped
+  async reply() {
+    await delay(this.latencyMs());
+    if (this.random() < this.faults.dropRate) {
+      this.stats.dropped++;
+      return false;
+    }
+    return true;
+  }
+
+  findComponent(controllerId, ref) {
+    const components = this.controllers[controllerId]?.components || {};
+    if (components[ref]) return { id: ref, component: components[ref] };
+    const entry = Object.entries(components).find(([, c]) => c.name === ref);
+    return entry ? { id: entry[0], component: entry[1] } : null;
+  }
+
+  componentState(controllerId, componentId) {
+    const component = this.controllers[controllerId].components[componentId];
+    return { id: componentId, name: component.name, controls: component.controls };
+  }
+
+  /**
+   * Set a control as if it changed on the core (a source connecting, a panel button), and tell subscribers
+   * @param {string} controllerId
+   * @param {string} componentRef - Component ID or exact name
+   * @param {string} controlId
+   * @param {*} value
+   * @throws {Error} for an unknown controller, component or control
+   */
+  setControl(controllerId, componentRef, controlId, value) {
+    if (!this.controllers[controllerId]) throw new Error(`Unknown controller: ${controllerId}`);
+    const found = this.findComponent(controllerId, componentRef);
+    if (!found) throw new Error(`Component not found: ${componentRef}`);
+    if (!(controlId in found.component.controls)) throw new Error(`Control not found: ${controlId}`);
+
+    const changed = [[controlId, controlFor(value)]];
+    for (const link of this.controllers[controllerId].links || []) {
+      if (link.component === found.id && link.from === controlId) changed.push([link.to, controlFor(value)]);
+    }
+
+    for (const [id, control] of changed) {
+      found.component.controls[id] = { ...found.component.controls[id], ...control };
+      this.emitControlUpdate(controllerId, found.id, id);
+    }
+    return found.component.controls[controlId];
+  }
+
+  emitControlUpdate(controllerId, componentId, controlId) {
+    if (!this.io) return;
+    this.io.to([`component:${controllerId}:${componentId}`, `control:${controllerId}:${componentId}:${controlId}`])
+      .emit('control:update', {
+        controllerId,
+        componentId,
+        controlId,
+        control: this.controllers[controllerId].components[componentId].controls[controlId],
+        timestamp: Date.now()
+      });
+  }
+
+  emitControllerStatus(controllerId) {
+    const connected = !this.faults.controllerOffline;
+    this.io.to(`controller:${controllerId}`).emit('controller:status', {
+      controllerId,
+      connected,
+      status: connected ? 'connected' : 'disconnected',
+      health: connected ? 'healthy' : 'disconnected'
+    });
+  }
+
+  handleConnection(socket) {
+    const clientId = `sim-client-${++this.clientCount}`;
+    const connectedAt = new Date().toISOString();
+    this.stats.connections++;
+    logger.info({ clientId, socketId: socket.id }, 'Client connected');
+
+    socket.emit('system:ready', { controllers: Object.keys(this.controllers) });
+
+    socket.on('client:identify', async (data) => {
+      await delay(this.latencyMs());
+      socket.data.identity = data;
+      socket.emit('client:identify:success', {
+        socketId: socket.id,
+        clientId,
+        serverTime: new Date().toISOString(),
+        connection: {
+          transport: socket.conn.transport.name,
+          ipAddress: socket.handshake.address,
+          connectedAt
+        }
+      });
+    });
+
+    socket.on('controller:subscribe', async ({ controllerId } = {}) => {
+      if (!(await this.reply())) return;
+      const controller = this.controllers[controllerId];
+      if (!controller) {
+        logger.warn({ controllerId }, 'Subscribe to unknown controller');
+        socket.emit('controller:state', { controllerId, connected: false, components: {} });
+        return;
+      }
+
+      socket.join(`controller:${controllerId}`);
+      socket.emit('controller:state', {
+        controllerId,
+        connected: !this.faults.controllerOffline,
+        components: Object.fromEntries(Object.keys(controller.components)
+          .map(id => [id, this.componentState(controllerId, id)]))
+      });
+
+      // Refresh the components this client watches (the client re-subscribes to refresh its state)
+      for (const room of socket.rooms) {
+        const [kind, roomController, componentId] = room.split(':');
+        if (kind === 'component' && roomController === controllerId && controller.components[componentId]) {
+          socket.emit('component:state', { controllerId, componentId, component: this.componentState(controllerId, componentId) });
+        }
+      }
+    });
+
+    socket.on('component:subscribe', async ({ controllerId, componentId } = {}) => {
+      if (!(await this.reply())) return;
+      if (!this.controllers[controllerId]?.components[componentId]) return;
+      socket.join(`component:${controllerId}:${componentId}`);
+      socket.emit('component:state', { controllerId, componentId, component: this.componentState(controllerId, componentId) });
+    });
+
+    socket.on('control:subscribe', async ({ controllerId, componentId, controlId } = {}) => {
+      if (!(await this.reply())) return;
+      const control = this.controllers[controllerId]?.components[componentId]?.controls[controlId];
+      if (control === undefined) return;
+      socket.join(`control:${controllerId}:${componentId}:${controlId}`);
+      socket.emit('control:update', { controllerId, componentId, controlId, control, timestamp: Date.now() });
+    });
+
+    socket.on('control:set', async ({ controllerId, componentId, controlId, value, transactionId } = {}) => {
+      this.stats.controlSets++;
+      if (!(await this.reply())) {
+        logger.debug({ transactionId, controlId }, 'Dropped control:set');
+        return;
+      }
+
+      const fail = (message) => {
+        this.stats.errors++;
+        socket.emit('control:set:error', { transactionId, controllerId, componentId, controlId, message });
+      };
+      if (this.faults.controllerOffline) return fail('Controller not connected');
+      if (this.faults.failControls.includes(controlId)) return fail(`Injected failure for ${controlId}`);
+      if (this.random() < this.faults.errorRate) return fail('Injected error');
+
+      try {
+        this.setControl(controllerId, componentId, controlId, value);
+      } catch (e) {
+        return fail(e.message);
+      }
+      socket.emit('control:set:success', { transactionId, controllerId, componentId, controlId, value });
+    });
+
+    socket.on('ping', (data = {}) => {
+      if (this.faults.dropPongs) return;
+      socket.emit('pong', { clientTimestamp: data.timestamp, serverTimestamp: Date.now() });
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.info({ clientId, reason }, 'Client disconnected');
+    });
+  }
+
+  /**
+   * Current control values, faults and counters
+   */
+  snapshot() {
+    return {
+      faults: this.faults,
+      clients: this.io ? this.io.sockets.sockets.size : 0,
+      stats: this.stats,
+      controllers: Object.fromEntries(Object.entries(this.controllers).map(([id, controller]) => [id,
+        Object.fromEntries(Object.entries(controller.components).map(([componentId, c]) => [componentId, {
+          name: c.name,
+          controls: Object.fromEntries(Object.entries(c.controls).map(([controlId, control]) => [controlId, control.value === undefined || control.value === '' ? control.string : control.value]))
+        }]))
+      ]))
+    };
+  }
+
+  /**
+   * HTTP routes to inspect the simulator and change it while clients are connected
+   *   GET  /simulator              - snapshot
+   *   POST /simulator/faults       - { latency, dropRate, ... } (merged), or { reset: true }
+   *   POST /simulator/controls     - { controllerId, component, controlId, value }
+   *   POST /simulator/disconnect   - drop every client connection
+   */
+  adminApp() {
+    const app = express();
+    app.use(express.json());
+
+    const handle = (fn) => (req, res) => {
+      try {
+        res.json(fn(req.body || {}));
+      } catch (e) {
+        res.status(400).json({ error: e.message });
+      }
+    };
+
+    app.get('/simulator', (req, res) => res.json(this.snapshot()));
+    app.post('/simulator/faults', handle(body => body.reset ? this.resetFaults() : this.setFaults(body)));
+    app.post('/simulator/controls', handle(({ controllerId, component, controlId, value }) => {
+      const controller = controllerId || Object.keys(this.controllers)[0];
+      return { controllerId: controller, control: this.setControl(controller, component, controlId, value) };
+    }));
+    app.post('/simulator/disconnect', handle(() => ({ disconnected: this.disconnectAll() })));
+
+    return app;
+  }
+}
+
+export default BridgeSimulator;
+export { BridgeSimulator };
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Bridge Simulator CLI
+ * Run a simulated Q-SYS bridge, then point the server at it:
+ *
+ *   npm run simulator -- --port 3004 --latency 50,200 --error-rate 0.05
+ *   WEBSOCKET_HOST=127.0.0.1 WEBSOCKET_PORT=3004 npm start
+ *
+ * Options (all optional):
+ *   --fixture <path>          Virtual room (default simulator/fixtures/boardroom.json)
+ *   --port <n> --host <addr>  Listen address (default 127.0.0.1:3004)
+ *   --latency <ms|min,max>    Delay before every reply
+ *   --drop-rate <0-1>         Share of requests that get no reply
+ *   --error-rate <0-1>        Share of control:set requests that fail
+ *   --fail-controls <a,b>     Control IDs whose control:set always fails
+ *   --drop-pongs              Ignore pings
+ *   --disconnect-every <s>    Drop every client connection every s seconds
+ *   --controller-offline      Report the controller as disconnected
+ *   --auth-token <token>      Require this handshake token ("authToken" of a room in rooms.json)
+ */
+import { parseArgs } from 'util';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { BridgeSimulator, loadFixture } from './bridgeSimulator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const { values } = parseArgs({
+  options: {
+    fixture: { type: 'string', default: join(__dirname, 'fixtures', 'boardroom.json') },
+    port: { type: 'string', default: '3004' },
+    host: { type: 'string', default: '127.0.0.1' },
+    latency: { type: 'string' },
+    'drop-rate': { type: 'string' },
+    'error-rate': { type: 'string' },
+    'fail-controls': { type: 'string' },
+    'drop-pongs': { type: 'boolean' },
+    'disconnect-every': { type: 'string' },
+    'controller-offline': { type: 'boolean' },
+    'auth-token': { type: 'string' }
+  }
+});
+
+const faults = {};
+if (values.latency !== undefined) {
+  const parts = values.latency.split(',').map(Number);
+  faults.latency = parts.length === 2 ? parts : parts[0];
+}
+if (values['drop-rate'] !== undefined) faults.dropRate = Number(values['drop-rate']);
+if (values['error-rate'] !== undefined) faults.errorRate = Number(values['error-rate']);
+if (values['fail-controls']) faults.failControls = values['fail-controls'].split(',').map(c => c.trim());
+if (values['drop-pongs']) faults.dropPongs = true;
+if (values['disconnect-every'] !== undefined) faults.disconnectEvery = Number(values['disconnect-every']);
+if (values['controller-offline']) faults.controllerOffline = true;
+
+const simulator = new BridgeSimulator({
+  fixture: loadFixture(values.fixture),
+  faults,
+  authToken: values['auth-token'] || null
+});
+
+await simulator.start({ port: parseInt(values.port), host: values.host });
+
+const shutdown = async () => {
+  await simulator.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Bridge Capture Replay CLI
+ * Play a capture (BRIDGE_RECORD_FILE) into a WebSocketManager, then run tools against the
+ * replayed state - the same handlers, the same bridge data as during the incident:
+ *
+ *   npm run replay -- data/captures/boardroom.jsonl --tool get_room_status
+ *   npm run replay -- capture.jsonl --until 95000 --tool 'set_volume:{"level":"low"}'
+ *
+ * Options:
+ *   --tool <name[:json args]>  Tool to run after the replay (repeatable, in order)
+ *   --until <ms>               Stop the replay at this capture time
+ *   --speed <n>                0 = instant (default), 1 = recorded timing, 10 = ten times faster
+ *   --profile <path>           Room profile of the recorded room (default room-profile.json)
+ */
+import { parseArgs } from 'util';
+import { resolve } from 'path';
+import { WebSocketManager } from '../shared/clientWebSocketForV2.js';
+import { readCapture } from '../shared/bridgeCapture.js';
+import { loadRoomProfile } from '../shared/roomProfile.js';
+import roomPool from '../shared/roomPool.js';
+import { initializeTools, executeTool } from '../tools/index.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    tool: { type: 'string', multiple: true, default: [] },
+    until: { type: 'string' },
+    speed: { type: 'string', default: '0' },
+    // Default: ROOM_PROFILE or room-profile.json
+    profile: { type: 'string' }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: npm run replay -- <capture.jsonl> [--tool name[:json args]] [--until ms] [--speed n]');
+  process.exit(1);
+}
+
+function parseToolOption(option) {
+  const split = option.indexOf(':');
+  if (split === -1) return { name: option, args: {} };
+  try {
+    return { name: option.slice(0, split), args: JSON.parse(option.slice(split + 1)) };
+  } catch (e) {
+    throw new Error(`Invalid arguments for ${option.slice(0, split)}: ${e.message}`);
+  }
+}
+
+const file = resolve(positionals[0]);
+const { header } = readCapture(file);
+const tools = values.tool.map(parseToolOption);
+const roomName = header.room || 'default';
+
+const manager = new WebSocketManager();
+roomPool.add(roomName, {}, manager);
+initializeTools();
+
+await manager.init({
+  roomName,
+  controllerId: header.controllerId,
+  profile: loadRoomProfile(values.profile),
+  replayFile: file,
+  replaySpeed: Number(values.speed),
+  replayUntil: values.until !== undefined ? Number(values.until) : undefined
+});
+
+const { delivered, total } = await manager.socket.finished;
+console.log(`Replayed ${delivered}/${total} events of ${file} (recorded ${header.startedAt}, room ${roomName})`);
+
+let failed = false;
+for (const { name, args } of tools) {
+  try {
+    const result = await executeTool(name, args, { transport: 'replay', room: roomName });
+    console.log(`\n${name} ${JSON.stringify(args)}\n${JSON.stringify(result, null, 2)}`);
+  } catch (e) {
+    failed = true;
+    console.log(`\n${name} ${JSON.stringify(args)}\nError: ${e.message}`);
+  }
+}
+
+manager.disconnect();
+process.exit(failed ? 1 : 0);
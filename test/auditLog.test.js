@@ -0,0 +1,44 @@
+import './helpers.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordExecution, flush, queryAudit } from '../shared/auditLog.js';
+
+// ctx.auth as the auth middleware of server-unified.js builds it
+const record = (auth) => recordExecution({
+  name: 'room_status',
+  args: {},
+  ctx: { transport: 'rest', auth },
+  room: 'boardroom',
+  status: 'success',
+  result: {},
+  startedAt: Date.now(),
+  durationMs: 1,
+  transactionIds: []
+});
+
+describe('audit identity', () => {
+  it('records the OAuth client of a token from /oauth/token, which has it as the subject', async () => {
+    record({ type: 'oauth', tier: 'basic', sub: 'vapi-client', user: { sub: 'vapi-client', tier: 'basic' }, ip: '10.0.0.5' });
+    await flush();
+
+    const [entry] = (await queryAudit({ identity: 'vapi-client' })).entries;
+    assert.deepEqual(entry.identity, { type: 'oauth', tier: 'basic', sub: 'vapi-client', clientId: 'vapi-client', ip: '10.0.0.5' });
+  });
+
+  it('takes the client from the azp claim of an identity provider token', async () => {
+    record({ type: 'oauth', tier: 'premium', sub: 'user-42', user: { sub: 'user-42', azp: 'room-panel' } });
+    await flush();
+
+    const [entry] = (await queryAudit({ identity: 'room-panel' })).entries;
+    assert.equal(entry.identity.sub, 'user-42');
+    assert.equal(entry.identity.clientId, 'room-panel');
+  });
+
+  it('has no client for an API key', async () => {
+    record({ type: 'apikey', tier: 'basic', keyId: 'abc123' });
+    await flush();
+
+    const [entry] = (await queryAudit({ identity: 'abc123' })).entries;
+    assert.equal('clientId' in entry.identity, false);
+  });
+});
@@ -0,0 +1,102 @@
+import { startSimulatedRoom } from './helpers.js';
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiresConfirmation, issueConfirmation, redeemConfirmation } from '../shared/confirmations.js';
+import { ConfirmationFailed } from '../shared/errors.js';
+import { executeTool } from '../tools/index.js';
+
+const alice = { type: 'apikey', keyId: 'alice' };
+const bob = { type: 'apikey', keyId: 'bob' };
+const call = { tool: 'screen_power', args: { on: false }, room: 'boardroom', auth: alice };
+
+describe('confirmation tokens', () => {
+  afterEach(() => {
+    delete process.env.CONFIRM_TOOLS;
+  });
+
+  it('reads CONFIRM_TOOLS on use', () => {
+    assert.equal(requiresConfirmation('screen_power'), false);
+    process.env.CONFIRM_TOOLS = 'reconnect, screen_power';
+    assert.equal(requiresConfirmation('screen_power'), true);
+    assert.equal(requiresConfirmation('set_lights'), false);
+  });
+
+  it('redeems a token once, for the call it was issued for', () => {
+    const { token } = issueConfirmation(call);
+    // Argument order does not matter
+    redeemConfirmation(token, { ...call, args: { on: false } });
+    assert.throws(() => redeemConfirmation(token, call), /invalid or expired/);
+  });
+
+  it('refuses another caller, room, tool or arguments', () => {
+    const cases = [
+      [{ ...call, auth: bob }, /different call/],
+      [{ ...call, room: 'huddle' }, /different call/],
+      [{ ...call, tool: 'reconnect' }, /different call/],
+      [{ ...call, args: { on: true } }, /Arguments changed/]
+    ];
+    for (const [other, message] of cases) {
+      const { token } = issueConfirmation(call);
+      assert.throws(() => redeemConfirmation(token, other), (e) => e instanceof ConfirmationFailed && message.test(e.message));
+    }
+  });
+
+  it('expires after CONFIRM_TTL_SECONDS', () => {
+    process.env.CONFIRM_TTL_SECONDS = '60';
+    const { token, expiresAt } = issueConfirmation(call);
+    assert.ok(new Date(expiresAt).getTime() - Date.now() <= 60000);
+
+    const now = Date.now;
+    Date.now = () => now() + 61000;
+    try {
+      assert.throws(() => redeemConfirmation(token, call), /invalid or expired/);
+    } finally {
+      Date.now = now;
+      delete process.env.CONFIRM_TTL_SECONDS;
+    }
+  });
+});
+
+describe('two-phase tool calls', () => {
+  let room;
+  before(async () => {
+    room = await startSimulatedRoom();
+  });
+  after(() => room.stop());
+  afterEach(() => {
+    delete process.env.CONFIRM_TOOLS;
+  });
+
+  const ctx = { transport: 'rest', auth: alice };
+
+  it('previews without changing anything, then applies with the token', async () => {
+    process.env.CONFIRM_TOOLS = 'screen_power';
+    const preview = await executeTool('screen_power', { on: false }, ctx);
+    assert.equal(preview.confirmationRequired, true);
+    assert.equal(preview.tool, 'screen_power');
+    assert.equal((await room.ws.getState()).screenPower, 1);
+
+    await executeTool('screen_power', { on: false, confirmationToken: preview.confirmationToken }, ctx);
+    assert.equal((await room.ws.getState()).screenPower, 0);
+  });
+
+  it('refuses a token from another caller or for other arguments', async () => {
+    process.env.CONFIRM_TOOLS = 'screen_power';
+    const preview = await executeTool('screen_power', { on: true }, ctx);
+
+    await assert.rejects(
+      executeTool('screen_power', { on: true, confirmationToken: preview.confirmationToken }, { ...ctx, auth: bob }),
+      ConfirmationFailed
+    );
+    const again = await executeTool('screen_power', { on: true }, ctx);
+    await assert.rejects(
+      executeTool('screen_power', { on: false, confirmationToken: again.confirmationToken }, ctx),
+      /Arguments changed/
+    );
+  });
+
+  it('refuses unattended calls', async () => {
+    process.env.CONFIRM_TOOLS = 'screen_power';
+    await assert.rejects(executeTool('screen_power', { on: true }, { transport: 'scheduler' }), /cannot run unattended/);
+  });
+});
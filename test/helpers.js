@@ -0,0 +1,69 @@
+/**
+ * Test Helpers
+ * Import first in every test file: loggers read LOG_LEVEL when their module loads, and each test
+ * file (its own process under node --test) gets an empty data directory.
+ */
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'bucontrol-test-'));
+process.env.DATA_DIR = dataDir;
+process.on('exit', () => rmSync(dataDir, { recursive: true, force: true }));
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE = join(__dirname, '..', 'simulator', 'fixtures', 'boardroom.json');
+
+/**
+ * Wait until a condition holds
+ * @throws {Error} after timeoutMs
+ */
+export async function waitFor(condition, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * The board room on the bridge simulator, as the pool's default room, with the tools registered
+ * @param {object} [options]
+ * @param {object} [options.faults] - Simulator faults (see simulator/bridgeSimulator.js)
+ * @returns {Promise<{ simulator: BridgeSimulator, ws: WebSocketManager, stop: Function }>}
+ */
+export async function startSimulatedRoom({ faults = {} } = {}) {
+  // Imported here so the environment above is set before these modules load
+  const { BridgeSimulator, loadFixture } = await import('../simulator/bridgeSimulator.js');
+  const { WebSocketManager } = await import('../shared/clientWebSocketForV2.js');
+  const { default: roomPool } = await import('../shared/roomPool.js');
+  const { initializeTools } = await import('../tools/index.js');
+
+  const simulator = new BridgeSimulator({ fixture: loadFixture(FIXTURE), faults });
+  const { port } = await simulator.start({ port: 0 });
+
+  const ws = new WebSocketManager();
+  const config = {
+    roomName: 'boardroom',
+    controllerId: 'modular-controller-config',
+    websocketHost: '127.0.0.1',
+    websocketPort: port,
+    commandTimeout: 1000
+  };
+  roomPool.add('boardroom', config, ws);
+  initializeTools();
+  await ws.init(config);
+  await waitFor(async () => ws.isIdentified && (await ws.getState()).lightingLevel !== null);
+
+  return {
+    simulator,
+    ws,
+    async stop() {
+      ws.disconnect();
+      await simulator.stop();
+    }
+  };
+}
@@ -0,0 +1,92 @@
+import './helpers.js';
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import policy, { compilePolicy } from '../shared/policy.js';
+import { Unauthorized } from '../shared/errors.js';
+import { initializeTools, executeTool } from '../tools/index.js';
+
+const POLICY = {
+  default: { deny: ['reconnect'] },
+  tiers: {
+    basic: {
+      deny: ['set_control_generic', 'get_audit_log'],
+      limits: { set_volume: { level: { max: -10, allowed: ['mute', 'low', 'medium'] } } }
+    },
+    premium: {}
+  },
+  scopes: {
+    'bucontrol:read': { allow: ['get_*', 'list_*'] }
+  },
+  identities: {
+    'keyId:kiosk': { allow: ['get_*', 'recall_scene'] }
+  }
+};
+
+const basic = { type: 'apikey', tier: 'basic', keyId: 'b1' };
+const premium = { type: 'apikey', tier: 'premium', keyId: 'p1' };
+
+describe('policy', () => {
+  beforeEach(() => policy.set(POLICY));
+  after(() => policy.set(null));
+
+  it('allows everything without a policy', () => {
+    policy.set(null);
+    assert.equal(policy.canUse('reconnect', basic), true);
+    assert.doesNotThrow(() => policy.check('set_volume', { level: 10 }, basic));
+  });
+
+  it('never checks internal calls (no caller)', () => {
+    assert.doesNotThrow(() => policy.check('reconnect', {}, undefined));
+  });
+
+  it('applies deny lists of every matching rule set', () => {
+    assert.equal(policy.canUse('reconnect', premium), false);
+    assert.equal(policy.canUse('get_audit_log', basic), false);
+    assert.equal(policy.canUse('get_audit_log', premium), true);
+    assert.throws(() => policy.check('set_control_generic', {}, basic), Unauthorized);
+  });
+
+  it('lets the most specific allow list decide', () => {
+    const kiosk = { type: 'apikey', tier: 'premium', keyId: 'kiosk' };
+    assert.equal(policy.canUse('get_lights', kiosk), true);
+    assert.equal(policy.canUse('recall_scene', kiosk), true);
+    assert.equal(policy.canUse('set_lights', kiosk), false);
+  });
+
+  it('narrows to the token scopes the policy defines', () => {
+    const reader = { type: 'oauth', sub: 'u1', scopes: ['bucontrol:read'] };
+    assert.equal(policy.canUse('get_volume', reader), true);
+    assert.equal(policy.canUse('set_volume', reader), false);
+    assert.equal(policy.canUse('set_volume', { type: 'oauth', sub: 'u2', scopes: ['other'] }), true);
+  });
+
+  it('checks argument limits: allowed values and numeric ranges', () => {
+    assert.doesNotThrow(() => policy.check('set_volume', { level: 'low' }, basic));
+    assert.doesNotThrow(() => policy.check('set_volume', { level: -30 }, basic));
+    assert.throws(() => policy.check('set_volume', { level: 'max' }, basic), /level="max" \(allowed: mute, low, medium or a number <= -10/);
+    assert.throws(() => policy.check('set_volume', { level: 0 }, basic), /maximum -10/);
+    assert.doesNotThrow(() => policy.check('set_volume', { level: 'max' }, premium));
+  });
+
+  it('answers allows() like check() without throwing', () => {
+    assert.equal(policy.allows('set_volume', { level: 'max' }, basic), false);
+    assert.equal(policy.allows('set_volume', { level: 'low' }, basic), true);
+  });
+
+  it('refuses a tool call before it runs, with the forbidden code', async () => {
+    initializeTools();
+    await assert.rejects(
+      executeTool('set_volume', { level: 'MAX' }, { transport: 'rest', auth: basic }),
+      (e) => e instanceof Unauthorized && e.code === 'forbidden' && e.status === 403
+    );
+  });
+});
+
+describe('compilePolicy', () => {
+  it('rejects unknown sections, keys and identity types', () => {
+    assert.throws(() => compilePolicy({ users: {} }), /Unknown policy section "users"/);
+    assert.throws(() => compilePolicy({ tiers: { basic: { permit: [] } } }), /unknown key "permit"/);
+    assert.throws(() => compilePolicy({ identities: { 'user:x': {} } }), /key must be/);
+    assert.throws(() => compilePolicy({ default: { limits: { set_volume: { level: { max: 'loud' } } } } }), /max must be a number/);
+  });
+});
@@ -0,0 +1,37 @@
+import './helpers.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadRoomProfile } from '../shared/roomProfile.js';
+import { getLayoutTemplates, templateKey } from '../shared/layoutTemplates.js';
+
+const writeProfile = (name, profile) => {
+  const file = join(process.env.DATA_DIR, name);
+  writeFileSync(file, JSON.stringify(profile));
+  return file;
+};
+
+const template = (width) => ({
+  slots: ['main'],
+  windows: [{ slot: 'main', x: 0, y: 0, width, height: 100 }]
+});
+
+describe('loadRoomProfile', () => {
+  it('stores layout names as lookup keys', () => {
+    const profile = loadRoomProfile(writeProfile('keys.json', {
+      layouts: { BigLeft: template(70), 'Wide Main': template(100) }
+    }));
+
+    assert.deepEqual(Object.keys(profile.layouts), ['bigleft', 'wide-main']);
+    assert.equal(getLayoutTemplates(profile)[templateKey('BigLeft')].windows[0].width, 70);
+    assert.ok(getLayoutTemplates(profile)[templateKey('wide_main')]);
+  });
+
+  it('keeps the first of two names with the same key', () => {
+    const profile = loadRoomProfile(writeProfile('clash.json', {
+      layouts: { 'Big Left': template(70), big_left: template(60) }
+    }));
+    assert.equal(profile.layouts['big-left'].windows[0].width, 70);
+  });
+});
@@ -0,0 +1,186 @@
+import { waitFor } from './helpers.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RulesEngine } from '../shared/rules.js';
+import { writeJsonl } from '../shared/dataStore.js';
+
+const room = { name: 'boardroom', ws: { getSourceCatalog: () => ({ name: (source) => source }) } };
+
+const rule = (name, fields = {}) => ({
+  id: name,
+  name,
+  room: 'boardroom',
+  enabled: true,
+  when: { fact: 'lights', above: 50 },
+  then: [{ tool: 'set_lights', args: { level: 20 } }],
+  cooldownSeconds: 0,
+  ...fields
+});
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('rule loop protection', () => {
+  let engine;
+  let executeTool;
+
+  beforeEach(() => {
+    engine = new RulesEngine();
+    executeTool = async () => 'ok';
+    engine.executeTool = (...args) => executeTool(...args);
+    engine.started = true;
+    process.env.RULE_CHAIN_WINDOW_MS = '1';
+  });
+
+  afterEach(() => {
+    for (const name of ['RULE_CHAIN_WINDOW_MS', 'RULE_MAX_CHAIN_DEPTH', 'RULE_MAX_FIRINGS_PER_MINUTE']) {
+      delete process.env[name];
+    }
+    writeJsonl('rule-runs.jsonl', []);
+  });
+
+  const add = (...rules) => rules.forEach(r => engine.rules.set(r.id, r));
+  const blockedReasons = (id) => engine.history({ ruleId: id }).filter(r => r.status === 'blocked').map(r => r.reason);
+
+  it('fires on the edge only, once the first value set the baseline', async () => {
+    add(rule('bright'));
+    const fired = [];
+    executeTool = async (tool, args, ctx) => fired.push({ tool, ctx });
+
+    for (const level of [80, 10, 70, 90]) {
+      engine.evaluate(room, { lightingLevel: level });
+      await pause(5);
+    }
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].ctx.transport, 'rules');
+    assert.equal(fired[0].ctx.ruleId, 'bright');
+  });
+
+  it('holds back firings inside the cooldown', async () => {
+    add(rule('bright', { cooldownSeconds: 60 }));
+    assert.equal((await engine.fire(room, engine.find('bright'), 80)).status, 'success');
+    await pause(5);
+    assert.equal(await engine.fire(room, engine.find('bright'), 80), null);
+    assert.deepEqual(blockedReasons('bright'), ['cooldown']);
+  });
+
+  it('does not let a rule re-trigger itself through its own actions', async () => {
+    add(rule('bright'));
+    let echo;
+    executeTool = async () => {
+      // The state change caused by the action arrives while the rule is still firing
+      echo = await engine.fire(room, engine.find('bright'), 80);
+    };
+
+    assert.equal((await engine.fire(room, engine.find('bright'), 80)).status, 'success');
+    assert.equal(echo, null);
+    assert.deepEqual(blockedReasons('bright'), ['loop: triggered by its own actions']);
+
+    // Once the chain window has passed, the rule fires again
+    executeTool = async () => 'ok';
+    await pause(5);
+    assert.equal((await engine.fire(room, engine.find('bright'), 80)).status, 'success');
+  });
+
+  it('cuts a chain of rules off after RULE_MAX_CHAIN_DEPTH', async () => {
+    process.env.RULE_MAX_CHAIN_DEPTH = '2';
+    add(rule('first'), rule('second'), rule('third'));
+    const fired = [];
+    executeTool = async (tool, args, ctx) => {
+      fired.push(ctx.ruleId);
+      const following = ctx.ruleId === 'first' ? 'second' : ctx.ruleId === 'second' ? 'third' : null;
+      if (following) await engine.fire(room, engine.find(following), 80);
+    };
+
+    await engine.fire(room, engine.find('first'), 80);
+    assert.deepEqual(fired, ['first', 'second']);
+    assert.deepEqual(blockedReasons('third'), ['loop: chain of more than 2 rules']);
+  });
+
+  it('disables a rule firing more than RULE_MAX_FIRINGS_PER_MINUTE times', async () => {
+    process.env.RULE_MAX_FIRINGS_PER_MINUTE = '3';
+    add(rule('flapping'));
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await engine.fire(room, engine.find('flapping'), 80)).status, 'success');
+      await pause(5);
+    }
+    assert.equal(await engine.fire(room, engine.find('flapping'), 80), null);
+    assert.deepEqual(blockedReasons('flapping'), ['rate limit: rule disabled']);
+
+    const disabled = engine.find('flapping');
+    assert.equal(disabled.enabled, false);
+    assert.equal(disabled.disabledReason, 'fired more than 3 times in a minute');
+    // Disabled rules are no longer evaluated
+    assert.deepEqual(engine.rulesFor(room), []);
+  });
+
+  it('logs a failed firing instead of leaving an unhandled rejection', async () => {
+    add(rule('bright'));
+    const failures = [];
+    engine.fire = async () => { throw new Error('disk full'); };
+    engine.fireFailed = (r, failed, error) => failures.push({ rule: failed.id, error: error.message });
+
+    engine.evaluate(room, { lightingLevel: 10 });
+    engine.evaluate(room, { lightingLevel: 80 });
+    await waitFor(() => failures.length === 1);
+    assert.deepEqual(failures, [{ rule: 'bright', error: 'disk full' }]);
+  });
+});
+
+describe('rule rooms', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RulesEngine();
+    engine.rooms = { defaultRoom: 'boardroom' };
+    engine.getTool = () => ({ inputSchema: { type: 'object' } });
+    engine.started = true;
+  });
+
+  afterEach(() => writeJsonl('rule-runs.jsonl', []));
+
+  const create = (name, ruleRoom) => engine.add({
+    name,
+    room: ruleRoom,
+    when: { fact: 'screen', equals: false },
+    then: [{ tool: 'set_lights', args: { level: 100 } }]
+  });
+
+  it('keeps names unique per room, not across rooms', () => {
+    create('conference privacy', 'boardroom');
+    create('conference privacy', 'huddle');
+    assert.throws(() => create('Conference Privacy', 'huddle'), /already exists in this room/);
+  });
+
+  it('finds, disables and deletes only rules of the given room', () => {
+    const huddle = create('lights up', 'huddle');
+
+    assert.equal(engine.find('lights up', { room: 'boardroom' }), null);
+    assert.equal(engine.find(huddle.id, { room: 'boardroom' }), null);
+    assert.equal(engine.setEnabled('lights up', false, { room: 'boardroom' }), null);
+    assert.equal(engine.remove(huddle.id, { room: 'boardroom' }), null);
+
+    assert.equal(engine.setEnabled('lights up', false, { room: 'huddle' }).enabled, false);
+    assert.equal(engine.remove('lights up', { room: 'huddle' }).id, huddle.id);
+    assert.equal(engine.find(huddle.id), null);
+  });
+
+  it('lists and fires a rule without a room in the default room only', () => {
+    const roomless = create('lights up', null);
+    const ids = (name) => engine.list({ room: name }).map(r => r.id);
+
+    assert.deepEqual(ids('boardroom'), [roomless.id]);
+    assert.deepEqual(ids('huddle'), []);
+    assert.deepEqual(engine.rulesFor({ name: 'boardroom' }).map(r => r.id), [roomless.id]);
+    assert.deepEqual(engine.rulesFor({ name: 'huddle' }), []);
+  });
+
+  it('keeps the firing history of each room apart', async () => {
+    engine.executeTool = async () => 'ok';
+    const boardroom = create('lights up', 'boardroom');
+    await engine.fire({ name: 'boardroom' }, boardroom, false);
+    await engine.fire({ name: 'huddle' }, create('lights up', 'huddle'), false);
+
+    assert.deepEqual(engine.history({ room: 'boardroom' }).map(r => r.ruleId), [boardroom.id]);
+  });
+});
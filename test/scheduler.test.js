@@ -0,0 +1,169 @@
+import { waitFor } from './helpers.js';
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime } from '../shared/cron.js';
+import scheduler, { Scheduler } from '../shared/scheduler.js';
+import policy from '../shared/policy.js';
+import { initializeTools, getTool } from '../tools/index.js';
+import { writeJson, readJsonl, writeJsonl } from '../shared/dataStore.js';
+
+const MINUTE = 60 * 1000;
+
+// Local time, as cron evaluates it
+const local = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe('cron', () => {
+  it('parses ranges, lists, steps and names', () => {
+    const cron = parseCron('*/15 8-18/2 1,15 jan-mar mon-fri');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [8, 10, 12, 14, 16, 18]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  });
+
+  it('finds the next weekday occurrence', () => {
+    // Friday 2024-05-03 08:00 -> Monday 07:30
+    assert.deepEqual(nextCronTime('30 7 * * 1-5', local(2024, 5, 3, 8)), local(2024, 5, 6, 7, 30));
+    // Strictly after: at 07:30 itself, the next day
+    assert.deepEqual(nextCronTime('30 7 * * 1-5', local(2024, 5, 6, 7, 30)), local(2024, 5, 7, 7, 30));
+  });
+
+  it('expands macros', () => {
+    assert.deepEqual(nextCronTime('@daily', local(2024, 5, 3, 8)), local(2024, 5, 4));
+    assert.deepEqual(nextCronTime('@monthly', local(2024, 5, 3, 8)), local(2024, 6, 1));
+    assert.deepEqual(nextCronTime('@hourly', local(2024, 5, 3, 8, 10)), local(2024, 5, 3, 9));
+  });
+
+  it('matches either day of month or day of week when both are restricted', () => {
+    // The 15th or a Monday, from Wednesday 2024-05-08
+    assert.deepEqual(nextCronTime('0 9 15 * mon', local(2024, 5, 8, 10)), local(2024, 5, 13, 9));
+    assert.deepEqual(nextCronTime('0 9 15 * mon', local(2024, 5, 13, 10)), local(2024, 5, 15, 9));
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute 60 is out of range/);
+    assert.throws(() => parseCron('* * * * funday'), /Invalid day of week/);
+    assert.throws(() => parseCron('5-1 * * * *'), /Invalid minute range/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+  });
+
+  it('reports expressions that never match', () => {
+    assert.throws(() => nextCronTime('0 0 30 2 *'), /never matches/);
+  });
+});
+
+describe('scheduler catch-up', () => {
+  let scheduler;
+
+  afterEach(() => {
+    scheduler?.stop();
+    writeJsonl('schedule-runs.jsonl', []);
+  });
+
+  const job = (fields) => ({
+    id: fields.name,
+    tool: 'set_lights',
+    args: { level: 50 },
+    room: null,
+    cron: null,
+    at: fields.cron ? null : fields.nextRunAt,
+    catchUp: 'once',
+    paused: false,
+    runCount: 0,
+    ...fields
+  });
+
+  function startWith(jobs) {
+    writeJson('schedules.json', jobs);
+    const calls = [];
+    scheduler = new Scheduler();
+    scheduler.start({
+      executeTool: async (tool, args, ctx) => {
+        calls.push({ tool, args, ctx });
+        return 'ok';
+      },
+      getTool: () => ({ name: 'set_lights' })
+    });
+    return calls;
+  }
+
+  const runs = () => readJsonl('schedule-runs.jsonl');
+
+  it('runs a recent missed run once and moves a recurring job past now', async () => {
+    const due = Date.now() - 10 * MINUTE;
+    const calls = startWith([job({ name: 'every-minute', cron: '* * * * *', nextRunAt: new Date(due).toISOString() })]);
+
+    await waitFor(() => runs().length === 1);
+    const [run] = runs();
+    assert.equal(run.status, 'success');
+    assert.equal(run.late, true);
+    assert.ok(run.missedRuns >= 10, `missedRuns ${run.missedRuns}`);
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].ctx.transport, 'scheduler');
+    const saved = scheduler.find('every-minute');
+    assert.ok(new Date(saved.nextRunAt).getTime() > Date.now());
+    assert.equal(saved.runCount, 1);
+  });
+
+  it('logs runs past SCHEDULE_CATCH_UP_MINUTES as missed', () => {
+    process.env.SCHEDULE_CATCH_UP_MINUTES = '30';
+    try {
+      const calls = startWith([job({ name: 'late', nextRunAt: new Date(Date.now() - 45 * MINUTE).toISOString() })]);
+      assert.equal(calls.length, 0);
+      assert.equal(runs()[0].status, 'missed');
+      assert.match(runs()[0].reason, /more than 30 minutes late/);
+      // One-shot jobs are gone once missed
+      assert.equal(scheduler.list().length, 0);
+    } finally {
+      delete process.env.SCHEDULE_CATCH_UP_MINUTES;
+    }
+  });
+
+  it('never runs late with catchUp skip', () => {
+    const calls = startWith([job({ name: 'skip', cron: '0 * * * *', catchUp: 'skip', nextRunAt: new Date(Date.now() - 5 * MINUTE).toISOString() })]);
+    assert.equal(calls.length, 0);
+    assert.equal(runs()[0].reason, 'catch-up disabled');
+    assert.equal(scheduler.find('skip').lastStatus, 'missed');
+    assert.ok(new Date(scheduler.find('skip').nextRunAt).getTime() > Date.now());
+  });
+
+  it('runs a due one-shot job and removes it', async () => {
+    const calls = startWith([job({ name: 'once', nextRunAt: new Date(Date.now() - 1000).toISOString() })]);
+    await waitFor(() => runs().length === 1);
+    assert.equal(runs()[0].status, 'success');
+    assert.equal(runs()[0].late, undefined);
+    assert.equal(calls.length, 1);
+    assert.equal(scheduler.list().length, 0);
+  });
+});
+
+describe('schedule_action', () => {
+  const scheduleAction = (args, ctx) => getTool('schedule_action').handler(args, { room: 'boardroom', ...ctx });
+  const basic = { auth: { type: 'apikey', tier: 'basic', keyId: 'b1' } };
+
+  before(() => {
+    initializeTools();
+    scheduler.start({ executeTool: async () => 'ok', getTool });
+    policy.set({ tiers: { basic: { limits: { set_volume: { level: { allowed: ['mute', 'low'] } } } } } });
+  });
+
+  after(() => {
+    scheduler.stop();
+    policy.set(null);
+  });
+
+  it('refuses schedule tools called by an alias', async () => {
+    await assert.rejects(scheduleAction({ tool: 'delete_schedule', args: { id: 'x' }, inMinutes: 5 }), /Schedule tools cannot be scheduled/);
+  });
+
+  it('checks the policy against the arguments that will run', async () => {
+    const { schedule } = await scheduleAction({ tool: 'set_volume', args: { level: 'LOW' }, inMinutes: 5 }, basic);
+    assert.deepEqual(schedule.args, { level: 'low' });
+
+    await assert.rejects(scheduleAction({ tool: 'set_volume', args: { level: 'HIGH' }, inMinutes: 5 }, basic), /Not allowed/);
+  });
+});
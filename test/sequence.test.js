@@ -0,0 +1,76 @@
+import { startSimulatedRoom } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeTool, onToolExecuted } from '../tools/index.js';
+
+const ctx = { transport: 'rest' };
+
+describe('run_sequence rollback', () => {
+  let room;
+  before(async () => {
+    // The mixer output fails, so set_volume does
+    room = await startSimulatedRoom({ faults: { failControls: ['output.1.gain'] } });
+  });
+  after(() => room.stop());
+
+  beforeEach(async () => {
+    await executeTool('set_lights', { level: 80 }, ctx);
+    await executeTool('screen_power', { on: true }, ctx);
+  });
+
+  const steps = [
+    { tool: 'set_lights', args: { level: 30 } },
+    { tool: 'screen_power', args: { on: false } },
+    { tool: 'set_volume', args: { level: 'low' } },
+    { tool: 'set_lights', args: { level: 60 } }
+  ];
+
+  it('stops at the failed step and restores what the steps changed', async () => {
+    const report = await executeTool('run_sequence', { steps, rollbackOnError: true }, ctx);
+
+    assert.equal(report.success, false);
+    assert.equal(report.stoppedAt, 2);
+    assert.deepEqual(report.steps.map(s => s.status), ['success', 'success', 'error', 'skipped']);
+    // Last changed first; the failed step's write was refused, so it is not a change
+    assert.deepEqual(report.rollback.restored, ['screen', 'lights']);
+    assert.deepEqual(report.rollback.failed, []);
+
+    const state = await room.ws.getState();
+    assert.equal(state.lightingLevel, 80);
+    assert.equal(state.screenPower, 1);
+  });
+
+  it('leaves the changes in place without rollbackOnError', async () => {
+    const report = await executeTool('run_sequence', { steps }, ctx);
+
+    assert.equal(report.stoppedAt, 2);
+    assert.equal(report.rollback, undefined);
+    const state = await room.ws.getState();
+    assert.equal(state.lightingLevel, 30);
+    assert.equal(state.screenPower, 0);
+  });
+
+  // Last: the room stays disconnected
+  it('stops a voice sequence when the bridge drops instead of reporting the step as done', async () => {
+    const executions = [];
+    const unsubscribe = onToolExecuted(e => executions.push(e));
+    const dropping = [
+      { tool: 'set_lights', args: { level: 30 } },
+      { tool: 'screen_power', args: { on: false }, delayMs: 100 },
+      { tool: 'set_lights', args: { level: 60 } }
+    ];
+    setTimeout(() => room.ws.disconnect(), 50);
+
+    try {
+      const spoken = await executeTool('run_sequence', { steps: dropping, rollbackOnError: true }, { transport: 'voice' });
+      assert.match(spoken, /^Stopped at screen power/);
+    } finally {
+      unsubscribe();
+    }
+
+    const steps = executions.filter(e => e.nested);
+    assert.deepEqual(steps.map(e => [e.name, e.status]), [['set_lights', 'success'], ['screen_power', 'error']]);
+    assert.equal(steps[1].errorCode, 'unavailable');
+    assert.equal(executions.find(e => e.name === 'run_sequence').status, 'partial');
+  });
+});
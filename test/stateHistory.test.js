@@ -0,0 +1,109 @@
+import { startSimulatedRoom } from './helpers.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import stateHistory from '../shared/stateHistory.js';
+import { readJsonl, writeJsonl } from '../shared/dataStore.js';
+import { InvalidArgument } from '../shared/errors.js';
+import { executeTool } from '../tools/index.js';
+
+const HISTORY_FILE = 'state-history.jsonl';
+const wall = (source) => `BV1:E:A${source}:1:W1S${source}X0Y0W100H100A0`;
+
+describe('get_state_history at', () => {
+  let room;
+  before(async () => {
+    room = await startSimulatedRoom();
+    // The history of the simulated room is written here, not recorded from its state
+    stateHistory.record('boardroom', { screenPower: 1, hardwareState: wall(1), lightingLevel: 70 }, new Date('2024-05-06T09:00:00Z'));
+    stateHistory.record('boardroom', { hardwareState: wall(2) }, new Date('2024-05-06T10:00:00Z'));
+    stateHistory.record('other', { screenPower: 0 }, new Date('2024-05-06T09:30:00Z'));
+    await stateHistory.flush();
+  });
+  after(() => room.stop());
+
+  const at = (time) => executeTool('get_state_history', { at: time }, { transport: 'rest' });
+
+  it('returns the values then, since when they held, and a summary', async () => {
+    const result = await at('2024-05-06T09:45:00Z');
+
+    assert.equal(result.room, 'boardroom');
+    assert.equal(result.at, '2024-05-06T09:45:00.000Z');
+    assert.equal(result.summary.screen, true);
+    assert.equal(result.summary.sourceName, 'Laptop');
+    assert.equal(result.values.lightingLevel, 70);
+    assert.equal(result.since.hardwareState, '2024-05-06T09:00:00.000Z');
+    // Never recorded
+    assert.equal(result.values.volumeLevel, null);
+    assert.equal(result.since.volumeLevel, null);
+  });
+
+  it('includes a change made at that very moment', async () => {
+    const result = await at('2024-05-06T10:00:00Z');
+    assert.equal(result.summary.sourceName, 'ClickShare');
+    assert.equal(result.since.hardwareState, '2024-05-06T10:00:00.000Z');
+  });
+
+  it('knows nothing before the first change, and only the room\'s own', async () => {
+    const result = await at('2024-05-06T08:59:59Z');
+    assert.ok(Object.values(result.values).every(value => value === null));
+
+    // other's screen change at 09:30 is not the board room's
+    assert.equal((await stateHistory.valuesAt({ room: 'other', at: '2024-05-06T09:45:00Z' })).values.screenPower, 0);
+    assert.equal((await at('2024-05-06T09:45:00Z')).values.screenPower, 1);
+  });
+
+  it('refuses a time that is not a date', async () => {
+    await assert.rejects(at('yesterday at noon'), InvalidArgument);
+    await assert.rejects(stateHistory.valuesAt({ room: 'boardroom' }), InvalidArgument);
+  });
+});
+
+describe('state history pruning', () => {
+  const HOUR = 60 * 60 * 1000;
+  const ago = (ms) => new Date(Date.now() - ms);
+
+  beforeEach(async () => {
+    await stateHistory.flush();
+    writeJsonl(HISTORY_FILE, []);
+    stateHistory.lastValues.clear();
+
+    process.env.STATE_HISTORY_RETENTION_DAYS = '1';
+    stateHistory.record('prune', { screenPower: 1 }, ago(120 * HOUR));
+    stateHistory.record('prune', { screenPower: 0 }, ago(96 * HOUR));
+    stateHistory.record('prune', { lightingLevel: 10 }, ago(72 * HOUR));
+    stateHistory.record('prune', { lightingLevel: 20 }, ago(2 * HOUR));
+    stateHistory.record('prune', { lightingLevel: 30 }, ago(HOUR));
+    stateHistory.record('prune', { volumeLevel: -20 }, ago(HOUR / 2));
+    await stateHistory.flush();
+  });
+
+  afterEach(() => {
+    delete process.env.STATE_HISTORY_RETENTION_DAYS;
+    delete process.env.STATE_HISTORY_MAX_ENTRIES;
+  });
+
+  const kept = () => readJsonl(HISTORY_FILE).map(e => [e.key, e.value]);
+
+  it('drops old entries but keeps the newest one of each key', async () => {
+    assert.equal(await stateHistory.prune(), 1);
+    assert.deepEqual(kept(), [['screenPower', 0], ['lightingLevel', 10], ['lightingLevel', 20], ['lightingLevel', 30], ['volumeLevel', -20]]);
+
+    // Still known inside the retention period
+    const { values } = await stateHistory.valuesAt({ room: 'prune', at: ago(3 * HOUR).toISOString() });
+    assert.equal(values.screenPower, 0);
+    assert.equal(values.lightingLevel, 10);
+  });
+
+  it('keeps at most the newest entries, with baselines for the keys they drop', async () => {
+    process.env.STATE_HISTORY_MAX_ENTRIES = '2';
+
+    assert.equal(await stateHistory.prune(), 2);
+    assert.deepEqual(kept(), [['screenPower', 0], ['lightingLevel', 20], ['lightingLevel', 30], ['volumeLevel', -20]]);
+  });
+
+  it('changes nothing within the limits', async () => {
+    process.env.STATE_HISTORY_RETENTION_DAYS = '30';
+    assert.equal(await stateHistory.prune(), 0);
+    assert.equal(kept().length, 6);
+  });
+});
@@ -0,0 +1,123 @@
+import { startSimulatedRoom } from './helpers.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import actionHistory from '../shared/actionHistory.js';
+import { runWithCallContext } from '../shared/callContext.js';
+import policy from '../shared/policy.js';
+import { NotFound, Unauthorized, ConfirmationFailed } from '../shared/errors.js';
+import { executeTool, onToolExecuted } from '../tools/index.js';
+
+const POLICY = {
+  tiers: {
+    basic: { limits: { set_volume: { level: { allowed: ['mute', 'low', 'medium'] } } } },
+    premium: {}
+  }
+};
+
+const basic = { transport: 'mcp', sessionId: 'basic-session', auth: { type: 'apikey', tier: 'basic', keyId: 'b1' } };
+const premium = { transport: 'mcp', sessionId: 'premium-session', auth: { type: 'apikey', tier: 'premium', keyId: 'p1' } };
+
+describe('undo_last_action', () => {
+  let room;
+  let unsubscribe;
+
+  before(async () => {
+    room = await startSimulatedRoom();
+    unsubscribe = onToolExecuted(execution => actionHistory.record(execution));
+    policy.set(POLICY);
+  });
+
+  after(async () => {
+    unsubscribe();
+    policy.set(null);
+    await room.stop();
+  });
+
+  beforeEach(async () => {
+    await executeTool('set_lights', { level: 80 }, { transport: 'rest' });
+    await executeTool('set_volume', { level: 'medium' }, { transport: 'rest' });
+    await executeTool('screen_power', { on: true }, { transport: 'rest' });
+    actionHistory.clear();
+  });
+
+  afterEach(() => {
+    delete process.env.CONFIRM_TOOLS;
+  });
+
+  const state = () => room.ws.getState();
+
+  it('has nothing to undo in a fresh room', async () => {
+    await assert.rejects(executeTool('undo_last_action', {}, basic), NotFound);
+  });
+
+  it('restores the values from before the caller\'s last action', async () => {
+    await executeTool('set_lights', { level: 30 }, basic);
+    assert.equal((await state()).lightingLevel, 30);
+
+    const result = await executeTool('undo_last_action', {}, basic);
+    assert.equal(result.success, true);
+    assert.equal(result.undone.tool, 'set_lights');
+    assert.equal((await state()).lightingLevel, 80);
+
+    // Undone actions are not undone twice
+    await assert.rejects(executeTool('undo_last_action', {}, basic), /Nothing to undo/);
+  });
+
+  it('reads the value before from the room when the cache does not have it', async () => {
+    delete room.ws.state.lightingLevel;
+    room.ws.state.timestamp = 0;
+
+    const call = { transactionIds: [], changes: [] };
+    await runWithCallContext(call, () => room.ws.setFunction('lights', 30));
+    assert.equal(call.changes.length, 1);
+    assert.equal(call.changes[0].previous, 80);
+    assert.equal(call.changes[0].value, 30);
+  });
+
+  it('falls back to the room\'s latest action the caller could have made itself', async () => {
+    await executeTool('set_lights', { level: 30 }, premium);
+    await executeTool('set_volume', { level: 'high' }, premium);
+
+    // A basic caller may not set the volume to high, so it cannot undo to it either way
+    const result = await executeTool('undo_last_action', {}, basic);
+    assert.equal(result.undone.tool, 'set_lights');
+    assert.equal((await state()).lightingLevel, 80);
+    assert.equal((await state()).volumeLevel, 0);
+
+    const next = await executeTool('undo_last_action', {}, premium);
+    assert.equal(next.undone.tool, 'set_volume');
+    assert.equal((await state()).volumeLevel, -20);
+  });
+
+  it('previews undoing a tool that requires confirmation, then applies it with the token', async () => {
+    process.env.CONFIRM_TOOLS = 'screen_power';
+    const confirm = await executeTool('screen_power', { on: false }, premium);
+    await executeTool('screen_power', { on: false, confirmationToken: confirm.confirmationToken }, premium);
+    assert.equal((await state()).screenPower, 0);
+
+    const preview = await executeTool('undo_last_action', {}, premium);
+    assert.equal(preview.confirmationRequired, true);
+    assert.equal(preview.preview.tool, 'screen_power');
+    assert.equal((await state()).screenPower, 0);
+
+    // The token is the caller's
+    await assert.rejects(
+      executeTool('undo_last_action', { confirmationToken: preview.confirmationToken }, basic),
+      ConfirmationFailed
+    );
+
+    const again = await executeTool('undo_last_action', {}, premium);
+    const result = await executeTool('undo_last_action', { confirmationToken: again.confirmationToken }, premium);
+    assert.equal(result.success, true);
+    assert.equal((await state()).screenPower, 1);
+  });
+
+  it('refuses unattended undo of a tool that requires confirmation', async () => {
+    process.env.CONFIRM_TOOLS = 'screen_power';
+    const confirm = await executeTool('screen_power', { on: false }, premium);
+    await executeTool('screen_power', { on: false, confirmationToken: confirm.confirmationToken }, premium);
+
+    await assert.rejects(executeTool('undo_last_action', {}, { transport: 'scheduler' }), Unauthorized);
+    assert.equal((await state()).screenPower, 0);
+  });
+});
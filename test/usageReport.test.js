@@ -0,0 +1,99 @@
+import './helpers.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import stateHistory from '../shared/stateHistory.js';
+import { reportRange, buildUsageReport, usageReportCsv } from '../shared/usageReport.js';
+import { InvalidArgument } from '../shared/errors.js';
+
+// Local time, like the reports: 2024-05-06 is a Monday
+const at = (day, hour, minute = 0) => new Date(2024, 4, day, hour, minute);
+const wall = (source) => `BV1:E:A${source}:1:W1S${source}X0Y0W100H100A0`;
+
+const catalog = { name: (id) => (id === 1 ? 'Laptop, "front"' : `Source ${id}`) };
+
+describe('reportRange', () => {
+  it('covers one local day', () => {
+    const { from, to } = reportRange('day', '2024-05-08');
+    assert.deepEqual([from, to], [at(8, 0), at(9, 0)]);
+  });
+
+  it('starts a week on Monday, also for a Sunday', () => {
+    for (const date of ['2024-05-06', '2024-05-08', '2024-05-12']) {
+      const { from, to } = reportRange('week', date);
+      assert.deepEqual([from, to], [at(6, 0), at(13, 0)], date);
+    }
+  });
+
+  it('defaults to the period containing now', () => {
+    assert.deepEqual(reportRange('day', undefined, at(8, 15, 30)).from, at(8, 0));
+  });
+
+  it('refuses unknown periods and dates that do not exist', () => {
+    assert.throws(() => reportRange('month', '2024-05-08'), InvalidArgument);
+    assert.throws(() => reportRange('day', '2024-02-30'), InvalidArgument);
+  });
+});
+
+describe('buildUsageReport', () => {
+  before(async () => {
+    // Known from the evening before; on 08:00-12:00, source 1 then 2 from 10:00
+    stateHistory.record('board', { screenPower: 0, lightingLevel: 50, hardwareState: wall(1) }, at(5, 22));
+    stateHistory.record('board', { screenPower: 1 }, at(6, 8));
+    stateHistory.record('board', { hardwareState: wall(2), lightingLevel: 80 }, at(6, 10));
+    stateHistory.record('board', { screenPower: 0 }, at(6, 12));
+    await stateHistory.flush();
+  });
+
+  const report = (options) => buildUsageReport({ room: 'board', catalog, ...options });
+
+  it('weights each value by the time it held', async () => {
+    const day = await report({ period: 'day', date: '2024-05-06', now: at(9, 0) });
+
+    assert.equal(day.coveredHours, 24);
+    assert.deepEqual(day.screen, { onHours: 4, offHours: 20, unknownHours: 0 });
+    // Only while the screen is on
+    assert.deepEqual(day.sources.map(s => [s.source, s.hours, s.share]), [[1, 2, 0.5], [2, 2, 0.5]]);
+    // 50 until 10:00, 80 after
+    assert.equal(day.lighting.averageLevel, Math.round((50 * 10 + 80 * 14) / 24));
+    assert.deepEqual(day.lighting.distribution.filter(d => d.hours > 0), [
+      { range: '26-50', hours: 10 },
+      { range: '76-100', hours: 14 }
+    ]);
+    assert.equal(day.volume.averageDb, null);
+    assert.equal(day.volume.unknownHours, 24);
+  });
+
+  it('counts times before the first recorded value as unknown', async () => {
+    const day = await report({ period: 'day', date: '2024-05-05', now: at(9, 0) });
+    assert.deepEqual(day.screen, { onHours: 0, offHours: 2, unknownHours: 22 });
+  });
+
+  it('reports a running period up to now', async () => {
+    const day = await report({ period: 'day', date: '2024-05-06', now: at(6, 11) });
+
+    assert.equal(day.coveredHours, 11);
+    assert.equal(day.to, at(7, 0).toISOString());
+    assert.deepEqual(day.screen, { onHours: 3, offHours: 8, unknownHours: 0 });
+    assert.deepEqual(day.sources.map(s => [s.source, s.hours]), [[1, 2], [2, 1]]);
+
+    const week = await report({ period: 'week', date: '2024-05-06', now: at(6, 11) });
+    assert.equal(week.coveredHours, 11);
+  });
+
+  it('covers nothing of a period that has not started', async () => {
+    const day = await report({ period: 'day', date: '2024-05-07', now: at(6, 11) });
+    assert.equal(day.coveredHours, 0);
+    assert.deepEqual(day.screen, { onHours: 0, offHours: 0, unknownHours: 0 });
+  });
+
+  it('quotes CSV fields with commas and quotes', async () => {
+    const day = await report({ period: 'day', date: '2024-05-06', now: at(9, 0) });
+    const lines = usageReportCsv([day]).trimEnd().split('\n');
+
+    assert.equal(lines[0], 'room,period,date,section,metric,value');
+    assert.ok(lines.includes('board,day,2024-05-06,source_hours,"Laptop, ""front""",2'));
+    assert.ok(lines.includes('board,day,2024-05-06,source_hours,Source 2,2'));
+    // Unknown averages are empty fields
+    assert.ok(lines.includes('board,day,2024-05-06,volume,average_db,'));
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseWindowCommand,
+  tryParseWindowCommand,
+  serializeWindowCommand,
+  validateLayout,
+  getPrimarySource
+} from '../shared/windowCommand.js';
+
+describe('parseWindowCommand', () => {
+  it('parses the header and every window', () => {
+    const layout = parseWindowCommand('BV1:E:A2:2:W1S1X0Y0W50H100A0:W2S3X50Y0W50H100A0');
+    assert.deepEqual(layout, {
+      version: 1,
+      enabled: true,
+      audio: 2,
+      windows: [
+        { id: 1, source: 1, x: 0, y: 0, width: 50, height: 100, alpha: 0 },
+        { id: 2, source: 3, x: 50, y: 0, width: 50, height: 100, alpha: 0 }
+      ]
+    });
+  });
+
+  it('reads the D flag as a disabled wall', () => {
+    assert.equal(parseWindowCommand('BV1:D:A1:1:W1S1X0Y0W100H100A0').enabled, false);
+  });
+
+  it('ignores surrounding whitespace', () => {
+    assert.equal(parseWindowCommand('  BV1:E:A1:1:W1S4X0Y0W100H100A0\n').windows[0].source, 4);
+  });
+
+  it('rejects malformed commands with the field at fault', () => {
+    const cases = [
+      ['', /non-empty string/],
+      ['BV1:E:A1:0', /header .* and at least one window/],
+      ['XV1:E:A1:1:W1S1X0Y0W100H100A0', /protocol identifier "XV1"/],
+      ['BV1:X:A1:1:W1S1X0Y0W100H100A0', /flag "X"/],
+      ['BV1:E:B1:1:W1S1X0Y0W100H100A0', /audio field "B1"/],
+      ['BV1:E:A1:one:W1S1X0Y0W100H100A0', /window count "one"/],
+      ['BV1:E:A1:2:W1S1X0Y0W100H100A0', /count is 2 but 1 window/],
+      ['BV1:E:A1:1:W1S1X0Y0W100A0', /Invalid window 1/]
+    ];
+    for (const [command, message] of cases) {
+      assert.throws(() => parseWindowCommand(command), message, command);
+    }
+  });
+
+  it('round-trips through serializeWindowCommand', () => {
+    const command = 'BV1:E:A1:3:W1S1X0Y0W100H100A0:W2S2X60Y60W30H30A0:W3S4X5Y5W20H20A10';
+    assert.equal(serializeWindowCommand(parseWindowCommand(command)), command);
+  });
+});
+
+describe('tryParseWindowCommand', () => {
+  it('returns null instead of throwing', () => {
+    assert.equal(tryParseWindowCommand(null), null);
+    assert.equal(tryParseWindowCommand('garbage'), null);
+    assert.equal(tryParseWindowCommand('BV1:E:A1:1:W1S2X0Y0W100H100A0').windows[0].source, 2);
+  });
+});
+
+describe('serializeWindowCommand', () => {
+  it('numbers windows by position and fills defaults', () => {
+    const command = serializeWindowCommand({
+      windows: [
+        { id: 7, source: 2, x: 0, y: 0, width: 100, height: 100 },
+        { source: 1, x: 70, y: 70, width: 30, height: 30, alpha: 0 }
+      ]
+    });
+    assert.equal(command, 'BV1:E:A1:2:W1S2X0Y0W100H100A0:W2S1X70Y70W30H30A0');
+  });
+
+  it('writes D for a disabled layout', () => {
+    assert.match(serializeWindowCommand({ enabled: false, windows: [] }), /^BV1:D:A1:0$/);
+  });
+});
+
+describe('validateLayout', () => {
+  const full = (overrides = {}) => ({
+    audio: 1,
+    windows: [{ id: 1, source: 1, x: 0, y: 0, width: 100, height: 100, alpha: 0, ...overrides }]
+  });
+
+  it('accepts a full-screen layout', () => {
+    assert.deepEqual(validateLayout(full()), []);
+  });
+
+  it('reports geometry, alpha and source problems', () => {
+    assert.ok(validateLayout(full({ x: 50 })).some(e => /overflows the wall/.test(e)));
+    assert.ok(validateLayout(full({ alpha: 20 })).some(e => /Window 1 alpha must be 0/.test(e)));
+    assert.ok(validateLayout(full({ width: 50.5 })).some(e => /width must be an integer/.test(e)));
+    assert.ok(validateLayout(full({ source: 9 }), { sourceIds: [1, 2] }).some(e => /source must be one of 1, 2/.test(e)));
+  });
+
+  it('limits the number of windows', () => {
+    const window = { source: 1, x: 0, y: 0, width: 10, height: 10, alpha: 0 };
+    assert.ok(validateLayout({ audio: 1, windows: [] }).some(e => /Window count/.test(e)));
+    assert.ok(validateLayout({ audio: 1, windows: Array(5).fill(window) }).some(e => /Window count/.test(e)));
+  });
+});
+
+describe('getPrimarySource', () => {
+  it('takes the source of window 1', () => {
+    assert.equal(getPrimarySource(parseWindowCommand('BV1:E:A1:2:W1S3X0Y0W100H100A0:W2S1X70Y70W30H30A0')), 3);
+    assert.equal(getPrimarySource(null), null);
+  });
+});
@@ -0,0 +1,37 @@
+import { startSimulatedRoom } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeTool } from '../tools/index.js';
+import { NotFound } from '../shared/errors.js';
+
+const ctx = { transport: 'rest' };
+
+describe('window references', () => {
+  let room;
+  before(async () => {
+    room = await startSimulatedRoom();
+  });
+  after(() => room.stop());
+
+  // Window 2 shows source 3 and window 3 shows source 2, so numbers and source IDs disagree
+  beforeEach(async () => {
+    await executeTool('set_layout', {
+      windows: [
+        { source: 1, x: 0, y: 0, width: 100, height: 100 },
+        { source: 3, x: 60, y: 5, width: 35, height: 35 },
+        { source: 2, x: 60, y: 60, width: 35, height: 35 }
+      ]
+    }, ctx);
+  });
+
+  const sources = result => result.layout.windows.map(w => w.source);
+
+  it('takes a number as the window number', async () => {
+    assert.deepEqual(sources(await executeTool('remove_window', { window: 2 }, ctx)), [1, 2]);
+  });
+
+  it('takes a numeric string as the window number, not as a source ID', async () => {
+    assert.deepEqual(sources(await executeTool('remove_window', { window: '2' }, ctx)), [1, 2]);
+    await assert.rejects(executeTool('remove_window', { window: '7' }, ctx), NotFound);
+  });
+});
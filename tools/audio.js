@@ -21,22 +21,22 @@ export const audioTools = [
       },
       required: ['level']
     },
-    handler: async (args, ctx) => {
-      let level = args.level;
-      let dbValue;
-
-      if (typeof level === 'string') {
-        dbValue = VOLUME_MAP[level.toLowerCase()];
-        if (dbValue === undefined) {
-          throw new Error('Invalid volume level. Use: mute, low, medium, high, max');
-        }
-      } else if (typeof level === 'number') {
-        dbValue = Math.max(-100, Math.min(10, level));
-      } else {
-        throw new Error('Invalid volume level');
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        level: { type: 'number', description: 'Volume set, in dB' },
+        levelName: { type: 'string', description: 'Named level when the volume matches one' },
+        unit: { type: 'string', enum: ['dB'] }
       }
+    },
+    handler: async (args, ctx) => {
+      // Validation only lets through a preset name (lowercased) or a dB value
+      const dbValue = typeof args.level === 'string'
+        ? VOLUME_MAP[args.level]
+        : Math.max(-100, Math.min(10, args.level));
 
-      await ctx.ws.sendControl('mixer', 'output.1.gain', dbValue);
+      await ctx.ws.setFunction('volume', dbValue);
 
       // Find friendly name for response
       const levelName = Object.entries(VOLUME_MAP)
@@ -55,6 +55,14 @@ export const audioTools = [
     name: 'get_volume',
     description: 'Get current volume level',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        level: { type: 'number', description: 'Volume in dB' },
+        levelName: { type: 'string', description: 'Named level (mute, low, medium, high, max) when the volume matches one' },
+        unit: { type: 'string', enum: ['dB'] }
+      }
+    },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
       const dbValue = state.volumeLevel;
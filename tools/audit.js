@@ -0,0 +1,74 @@
+/**
+ * Audit Tools
+ * Query the log of tool executions ("who turned the screen off?")
+ */
+import { queryAudit } from '../shared/auditLog.js';
+
+export const auditTools = [
+  {
+    name: 'get_audit_log',
+    needsBridge: false,
+    description: 'Query the audit log of tool executions (newest first): time, transport, caller identity, room, tool, arguments, result or error, duration and bridge transaction IDs. Filter by tool, transport (mcp, voice, rest, scheduler, rules), identity (API key id, OAuth subject or client, or IP), room, status (success, error, unavailable, confirmation_required, partial) and time range.',
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string', description: 'Only calls of this tool, e.g. "screen_power"' },
+        transport: { type: 'string', description: 'Only calls from this transport: mcp, voice, rest, scheduler, rules' },
+        identity: { type: 'string', description: 'Only calls by this API key id, OAuth subject or client, or IP address' },
+        auditRoom: { type: 'string', description: 'Only calls in this room' },
+        status: { type: 'string', enum: ['success', 'error', 'unavailable', 'confirmation_required', 'partial'], description: 'Only calls with this outcome' },
+        since: { type: 'string', description: 'ISO date-time, e.g. "2024-05-01T08:00:00Z"' },
+        until: { type: 'string', description: 'ISO date-time (exclusive)' },
+        limit: { type: 'number', description: 'Maximum entries to return (default 20, max 1000)' },
+        offset: { type: 'number', description: 'Entries to skip, for paging (default 0)' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer', description: 'Matching entries' },
+        count: { type: 'integer', description: 'Entries returned' },
+        entries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              timestamp: { type: 'string', format: 'date-time' },
+              transport: { type: ['string', 'null'] },
+              identity: { type: ['object', 'null'], description: 'type, tier, sub, keyId, clientId, ip' },
+              room: { type: ['string', 'null'] },
+              tool: { type: 'string' },
+              args: { type: 'object' },
+              status: { type: 'string', enum: ['success', 'error', 'unavailable', 'confirmation_required', 'partial'] },
+              result: { description: 'Tool result, truncated' },
+              error: { type: 'string' },
+              errorCode: { type: 'string' },
+              durationMs: { type: 'number' },
+              transactionIds: { type: 'array', items: { type: 'string' } },
+              scheduleId: { type: 'string' },
+              ruleId: { type: 'string' },
+              nested: { type: 'boolean', description: 'A step of run_sequence' }
+            }
+          }
+        }
+      }
+    },
+    handler: async (args) => {
+      const { total, entries } = await queryAudit({
+        tool: args.tool,
+        transport: args.transport,
+        identity: args.identity,
+        room: args.auditRoom,
+        status: args.status,
+        since: args.since,
+        until: args.until,
+        limit: args.limit || 20,
+        offset: args.offset
+      });
+      return { total, count: entries.length, entries };
+    }
+  }
+];
+
+export default auditTools;
@@ -2,6 +2,13 @@
  * Component Tools (Advanced)
  * Low-level access to Q-SYS components
  */
+import { ComponentMissing } from '../shared/errors.js';
+
+// Cached value of a discovered control (controls are { value, ... } objects or bare values)
+function controlValue(control) {
+  if (control === undefined) return null;
+  return control && typeof control === 'object' && 'value' in control ? control.value : control;
+}
 
 export const componentTools = [
   {
@@ -14,6 +21,23 @@ export const componentTools = [
         filter: { type: 'string', description: 'Filter by component name' }
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        components: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              controlCount: { type: 'integer' }
+            }
+          }
+        }
+      }
+    },
     handler: async (args, ctx) => {
       let list = Object.values(ctx.ws.discoveredComponents.list);
       if (args.filter) {
@@ -42,9 +66,17 @@ export const componentTools = [
       },
       required: ['componentName']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        controls: { type: 'object', description: 'Control id -> cached control' }
+      }
+    },
     handler: async (args, ctx) => {
       const component = ctx.ws.findComponent(args.componentName);
-      if (!component) throw new Error(`Component not found: ${args.componentName}`);
+      if (!component) throw new ComponentMissing(`Component not found: ${args.componentName}`);
 
       // Subscribe to this component for state updates (on-demand)
       try {
@@ -70,12 +102,21 @@ export const componentTools = [
       },
       required: ['componentName', 'controlId']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        componentId: { type: 'string' },
+        componentName: { type: 'string' },
+        controlId: { type: 'string' },
+        control: { description: 'Cached control: { value, ... } or the bare value' }
+      }
+    },
     handler: async (args, ctx) => {
       const component = ctx.ws.findComponent(args.componentName);
-      if (!component) throw new Error(`Component not found: ${args.componentName}`);
+      if (!component) throw new ComponentMissing(`Component not found: ${args.componentName}`);
 
       const control = component.controls[args.controlId];
-      if (!control) throw new Error(`Control not found: ${args.controlId}`);
+      if (!control) throw new ComponentMissing(`Control not found: ${args.controlId}`);
 
       // Subscribe to this specific control for updates (on-demand)
       try {
@@ -107,9 +148,29 @@ export const componentTools = [
       },
       required: ['componentName', 'controlId', 'value']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        component: { type: 'string' },
+        controlId: { type: 'string' }
+      }
+    },
+    preview: async (args, ctx) => {
+      const component = ctx.ws.findComponent(args.componentName);
+      if (!component) throw new ComponentMissing(`Component not found: ${args.componentName}`);
+      return {
+        component: component.name,
+        componentId: component.id,
+        control: args.controlId,
+        knownControl: args.controlId in component.controls,
+        currentValue: controlValue(component.controls[args.controlId]),
+        proposedValue: args.value
+      };
+    },
     handler: async (args, ctx) => {
       const component = ctx.ws.findComponent(args.componentName);
-      if (!component) throw new Error(`Component not found: ${args.componentName}`);
+      if (!component) throw new ComponentMissing(`Component not found: ${args.componentName}`);
       await ctx.ws.sendControl(component.id, args.controlId, args.value);
 
       // Subscribe to this control for future updates (on-demand)
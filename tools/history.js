@@ -0,0 +1,273 @@
+/**
+ * History Tools
+ * Undo the last change ("no, put it back") from the values recorded before each write, and look
+ * back at the room's state ("when was the screen last turned on?")
+ */
+import actionHistory, { controlLabel } from '../shared/actionHistory.js';
+import stateHistory, { HISTORY_KEYS } from '../shared/stateHistory.js';
+import policy from '../shared/policy.js';
+import { requiresConfirmation, issueConfirmation, redeemConfirmation } from '../shared/confirmations.js';
+import { getCallContext } from '../shared/callContext.js';
+import { NotFound, Unauthorized } from '../shared/errors.js';
+import { summarizeState } from './status.js';
+
+// Undoing writes what the original tool wrote: only actions whose tool and arguments the
+// caller's policy allows are undone (the room-wide fallback never reaches past the caller's rights)
+const undoableBy = (auth) => (action) => policy.allows(action.tool, action.args, auth);
+
+function describeAction(action, session) {
+  return {
+    id: action.id,
+    tool: action.tool,
+    args: action.args,
+    time: action.time,
+    transport: action.transport,
+    thisSession: Boolean(session) && action.session === session,
+    undone: action.undone,
+    changes: action.changes.map(c => ({ control: controlLabel(c), previous: c.previous, value: c.value }))
+  };
+}
+
+// Result shape of describeAction
+const actionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    tool: { type: 'string' },
+    args: { type: 'object' },
+    time: { type: 'string', format: 'date-time' },
+    transport: { type: ['string', 'null'] },
+    thisSession: { type: 'boolean' },
+    undone: { type: 'boolean' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { control: { type: 'string' }, previous: {}, value: {} }
+      }
+    }
+  }
+};
+
+export const historyTools = [
+  {
+    name: 'undo_last_action',
+    description: 'Undo the last change in the room ("no, put it back"): restores every control the last state-changing tool call (set_lights, set_volume, set_layout, privacy_glass, screen_power, set_control_generic, scenes, sequences...) changed to the value it had before. Takes this session\'s last action, or the room\'s last action if this session has none, skipping actions the caller could not have made. Undoing a tool that requires confirmation returns a preview and a confirmationToken first. Call again to undo the action before that.',
+    voiceDescription: 'Undo the last change, e.g. "no, put it back", "undo that", "change it back".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        confirmationToken: { type: 'string', description: 'Token from the preview, when the action to undo requires confirmation' }
+      }
+    },
+    outputSchema: {
+      oneOf: [
+        {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', description: 'Every control was restored' },
+            undone: {
+              type: 'object',
+              properties: { id: { type: 'string' }, tool: { type: 'string' }, args: { type: 'object' }, time: { type: 'string' } }
+            },
+            restored: { type: 'array', items: { type: 'object', properties: { control: { type: 'string' }, value: {} } } },
+            skipped: { type: 'array', items: { type: 'object', properties: { control: { type: 'string' }, reason: { type: 'string' } } } },
+            failed: { type: 'array', items: { type: 'object', properties: { control: { type: 'string' }, error: { type: 'string' } } } }
+          }
+        },
+        {
+          type: 'object',
+          description: 'Preview, when the action to undo requires confirmation',
+          properties: {
+            confirmationRequired: { type: 'boolean', enum: [true] },
+            tool: { type: 'string' },
+            room: { type: 'string' },
+            preview: actionSchema,
+            confirmationToken: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            message: { type: 'string' }
+          }
+        }
+      ]
+    },
+    handler: async (args, ctx) => {
+      const action = actionHistory.last({ room: ctx.room, session: ctx.sessionId, allowed: undoableBy(ctx.auth) });
+      if (!action) throw new NotFound('Nothing to undo.');
+
+      // An action of a two-phase tool (CONFIRM_TOOLS) is undone in two phases too - unless the
+      // undo itself was just confirmed as one
+      if (requiresConfirmation(action.tool) && !requiresConfirmation('undo_last_action')) {
+        const confirm = { tool: 'undo_last_action', args: { action: action.id }, room: ctx.room, auth: ctx.auth };
+        if (ctx.transport === 'scheduler' || ctx.transport === 'rules') {
+          throw new Unauthorized(`Undoing ${action.tool} requires confirmation and cannot run unattended`);
+        }
+        if (!args.confirmationToken) {
+          const call = getCallContext();
+          if (call) call.status = 'confirmation_required';
+          const { token, expiresAt } = issueConfirmation(confirm);
+          return {
+            confirmationRequired: true,
+            tool: 'undo_last_action',
+            room: ctx.room,
+            preview: describeAction(action, ctx.sessionId),
+            confirmationToken: token,
+            expiresAt,
+            message: `Nothing was changed. ${action.tool} requires confirmation: to undo it, call undo_last_action again with confirmationToken.`
+          };
+        }
+        redeemConfirmation(args.confirmationToken, confirm);
+      }
+
+      const restored = [];
+      const skipped = [];
+      const failed = [];
+
+      // Reverse order: the last write is undone first
+      for (const change of [...action.changes].reverse()) {
+        const control = controlLabel(change);
+        if (change.previous === null || change.previous === undefined) {
+          skipped.push({ control, reason: 'Previous value unknown' });
+          continue;
+        }
+        try {
+          if (change.function) {
+            await ctx.ws.setFunction(change.function, change.previous);
+          } else {
+            await ctx.ws.sendControl(change.componentId, change.controlId, change.previous);
+          }
+          restored.push({ control, value: change.previous });
+        } catch (e) {
+          failed.push({ control, error: e.message });
+        }
+      }
+
+      // Partly undone is still undone - the next undo goes further back
+      if (restored.length > 0 || failed.length === 0) actionHistory.markUndone(action);
+
+      return {
+        success: failed.length === 0 && skipped.length === 0,
+        undone: { id: action.id, tool: action.tool, args: action.args, time: action.time },
+        restored,
+        skipped,
+        failed
+      };
+    },
+    formatVoice: (result) => {
+      // The assistant needs the token to confirm, as with any two-phase tool
+      if (result.confirmationRequired) return result;
+      const what = result.undone.tool.replace(/_/g, ' ');
+      if (result.success) return `Undone ${what}.`;
+      if (result.restored.length === 0) return `Could not undo ${what}.`;
+      return `Partly undone ${what}: could not restore ${[...result.skipped, ...result.failed].map(c => c.control).join(', ')}.`;
+    }
+  },
+  {
+    name: 'get_action_history',
+    needsBridge: false,
+    description: 'Recent state-changing tool calls in the room (newest first), each with the controls it changed, their previous and new values, and whether it was undone. Use to see what undo_last_action would restore.',
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', minimum: 1, maximum: 50, description: 'Maximum actions to return (default 10)' },
+        sessionOnly: { type: 'boolean', description: 'Only this session\'s actions (default false: the whole room)' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        room: { type: 'string' },
+        count: { type: 'integer' },
+        nextUndo: { type: ['string', 'null'], description: 'Id of the action undo_last_action would undo' },
+        actions: { type: 'array', items: actionSchema }
+      }
+    },
+    handler: async (args, ctx) => {
+      const actions = actionHistory.list({
+        room: ctx.room,
+        session: args.sessionOnly ? (ctx.sessionId || null) : undefined,
+        limit: args.limit || 10
+      });
+      const next = actionHistory.last({ room: ctx.room, session: ctx.sessionId, allowed: undoableBy(ctx.auth) });
+      return {
+        room: ctx.room,
+        count: actions.length,
+        nextUndo: next ? next.id : null,
+        actions: actions.map(a => describeAction(a, ctx.sessionId))
+      };
+    }
+  },
+  {
+    name: 'get_state_history',
+    needsBridge: false,
+    description: `Recorded changes of the room state (newest first), e.g. "when was the screen last turned on" (key screenPower, value 1, limit 1) or "what was showing at 14:00" (at). Keys: ${HISTORY_KEYS.join(', ')}. screenPower, privacyGlass and didoOutput are 1/0, lightingLevel 0-100, volumeLevel dB, hardwareState the video wall WindowCommand. With "at", returns the state at that moment instead, with a summary (source name, screen, lights...).`,
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', enum: HISTORY_KEYS, description: 'Only changes of this state value' },
+        value: { description: 'Only changes to this value, e.g. 1 for screenPower turned on' },
+        at: { type: 'string', description: 'ISO date-time: the state at that moment, e.g. "2024-05-01T14:00:00+02:00"' },
+        since: { type: 'string', description: 'ISO date-time' },
+        until: { type: 'string', description: 'ISO date-time (exclusive)' },
+        limit: { type: 'number', description: 'Maximum changes to return (default 20, max 1000)' },
+        offset: { type: 'number', description: 'Changes to skip, for paging (default 0)' }
+      }
+    },
+    outputSchema: {
+      oneOf: [
+        {
+          type: 'object',
+          properties: {
+            room: { type: 'string' },
+            total: { type: 'integer', description: 'Matching changes' },
+            count: { type: 'integer', description: 'Changes returned' },
+            entries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  timestamp: { type: 'string', format: 'date-time' },
+                  room: { type: 'string' },
+                  key: { type: 'string', enum: HISTORY_KEYS },
+                  value: {},
+                  previous: {}
+                }
+              }
+            }
+          }
+        },
+        {
+          type: 'object',
+          description: 'With "at"',
+          properties: {
+            room: { type: 'string' },
+            at: { type: 'string', format: 'date-time' },
+            summary: { type: 'object', description: 'As room_status' },
+            values: { type: 'object', description: 'Each key\'s value then (null when unknown)' },
+            since: { type: 'object', description: 'Since when each key had that value' }
+          }
+        }
+      ]
+    },
+    handler: async (args, ctx) => {
+      if (args.at) {
+        const { at, values, since } = await stateHistory.valuesAt({ room: ctx.room, at: args.at });
+        return { room: ctx.room, at, summary: summarizeState(values, ctx.ws.getSourceCatalog()), values, since };
+      }
+
+      const { total, entries } = await stateHistory.query({
+        room: ctx.room,
+        key: args.key,
+        value: args.value,
+        since: args.since,
+        until: args.until,
+        limit: args.limit || 20,
+        offset: args.offset
+      });
+      return { room: ctx.room, total, count: entries.length, entries };
+    }
+  }
+];
+
+export default historyTools;
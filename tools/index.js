@@ -3,7 +3,12 @@
  * Single source of truth for all tools across MCP, Voice, and Stdio transports
  */
 import pRetry from 'p-retry';
-import wsManager from '../shared/clientWebSocketForV2.js';
+import roomPool from '../shared/roomPool.js';
+import { runWithCallContext, getCallContext } from '../shared/callContext.js';
+import policy from '../shared/policy.js';
+import { requiresConfirmation, issueConfirmation, redeemConfirmation } from '../shared/confirmations.js';
+import { checkSchema, normalizeToolArguments, validateToolArguments } from '../shared/schemaValidation.js';
+import { NotFound, NotConnected, Unauthorized, describeError } from '../shared/errors.js';
 import { SOURCE_NAMES, SOURCE_IDS, VOLUME_MAP } from '../shared/constants.js';
 import { screenTools } from './screen.js';
 import { videoTools } from './video.js';
@@ -13,6 +18,15 @@ import { roomTools } from './room.js';
 import { statusTools } from './status.js';
 import { componentTools } from './components.js';
 import { userTools } from './user.js';
+import { sceneTools } from './scenes.js';
+import { layoutTools } from './layouts.js';
+import { windowTools } from './windows.js';
+import { scheduleTools } from './schedules.js';
+import { ruleTools } from './rules.js';
+import { auditTools } from './audit.js';
+import { sequenceTools } from './sequence.js';
+import { historyTools } from './history.js';
+import { reportTools } from './reports.js';
 
 // Re-export constants for convenience
 export { SOURCE_NAMES, SOURCE_IDS, VOLUME_MAP };
@@ -27,6 +41,7 @@ const toolRegistry = new Map();
  */
 export function registerTool(tool) {
   if (!tool.name) throw new Error('Tool must have a name');
+  if (tool.inputSchema) checkSchema(tool.inputSchema);
   toolRegistry.set(tool.name, tool);
 
   // Register aliases
@@ -51,46 +66,120 @@ export function getAllTools() {
   return Array.from(toolRegistry.values()).filter(t => !t.isAlias);
 }
 
+/**
+ * Add the optional "room" argument to a tool schema (only when several rooms are configured)
+ */
+function withRoomArgument(schema) {
+  if (roomPool.size < 2) return schema;
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      room: {
+        type: 'string',
+        description: `Room to control (default: the session's room). Rooms: ${roomPool.names().join(', ')}`
+      }
+    }
+  };
+}
+
+/**
+ * Two-phase tools (CONFIRM_TOOLS): mention the flow and add the confirmationToken argument
+ */
+function withConfirmation(tool, description, schema) {
+  if (!requiresConfirmation(tool.name)) return { description, schema };
+  return {
+    description: `${description} Requires confirmation: the first call changes nothing and returns a preview with a confirmationToken; call again with the same arguments and the token to apply.`,
+    schema: {
+      ...schema,
+      properties: {
+        ...schema.properties,
+        confirmationToken: { type: 'string', description: 'Token from the preview call' }
+      }
+    }
+  };
+}
+
+/**
+ * Fill source placeholders in descriptions and schemas from the room's source catalog
+ * {sources} -> "1=Laptop, 2=ClickShare, ...", {sourceNames} -> "laptop, clickshare, ..."
+ */
+function withSources(value, catalog) {
+  if (typeof value === 'string') {
+    return value
+      .replace(/\{sources\}/g, catalog.describe())
+      .replace(/\{sourceNames\}/g, catalog.names());
+  }
+  if (Array.isArray(value)) return value.map(v => withSources(v, catalog));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, withSources(v, catalog)]));
+  }
+  return value;
+}
+
+// Source catalog for tool definitions (the default room when the room is unknown)
+function definitionCatalog(room) {
+  try {
+    return roomPool.resolve(room).ws.getSourceCatalog();
+  } catch (e) {
+    return roomPool.resolve().ws.getSourceCatalog();
+  }
+}
+
 /**
  * Get MCP tool definitions (for ListTools)
+ * @param {object} [options]
+ * @param {string} [options.room] - Room whose sources are listed in descriptions
+ * @param {object} [options.auth] - Caller; only tools the policy lets it use are listed
  */
-export function getMcpToolDefinitions() {
-  return getAllTools().map(tool => ({
-    name: tool.name,
-    description: tool.description,
-    inputSchema: tool.inputSchema
-  }));
+export function getMcpToolDefinitions({ room, auth } = {}) {
+  const catalog = definitionCatalog(room);
+  return getAllTools().filter(t => policy.canUse(t.name, auth)).map(tool => {
+    const { description, schema } = withConfirmation(tool, tool.description, tool.inputSchema);
+    return {
+      name: tool.name,
+      description: withSources(description, catalog),
+      inputSchema: withRoomArgument(withSources(schema, catalog))
+    };
+  });
 }
 
 /**
  * Get VAPI tool definitions (for voice webhook)
+ * @param {object} [options]
+ * @param {string} [options.room] - Room whose sources are listed in descriptions
+ * @param {object} [options.auth] - Caller; only tools the policy lets it use are listed
  */
-export function getVapiToolDefinitions() {
+export function getVapiToolDefinitions({ room, auth } = {}) {
+  const catalog = definitionCatalog(room);
   return getAllTools()
-    .filter(t => t.voiceEnabled !== false)
-    .map(tool => ({
-      type: 'function',
-      function: {
-        name: tool.name,
-        description: tool.voiceDescription || tool.description,
-        parameters: tool.inputSchema
-      }
-    }));
+    .filter(t => t.voiceEnabled !== false && policy.canUse(t.name, auth))
+    .map(tool => {
+      const { description, schema } = withConfirmation(tool, tool.voiceDescription || tool.description, tool.inputSchema);
+      return {
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: withSources(description, catalog),
+          parameters: withRoomArgument(withSources(schema, catalog))
+        }
+      };
+    });
 }
 
 /**
  * Wait for WebSocket connection to be ready (with timeout)
  * Gracefully handles brief reconnection windows
  */
-async function waitForConnection(timeoutMs = 5000) {
-  if (wsManager.isConnected && wsManager.isIdentified) {
+async function waitForConnection(ws, timeoutMs = 5000) {
+  if (ws.isConnected && ws.isIdentified) {
     return true;
   }
 
   const startTime = Date.now();
   return new Promise((resolve) => {
     const checkInterval = setInterval(() => {
-      if (wsManager.isConnected && wsManager.isIdentified) {
+      if (ws.isConnected && ws.isIdentified) {
         clearInterval(checkInterval);
         resolve(true);
       } else if (Date.now() - startTime >= timeoutMs) {
@@ -101,60 +190,191 @@ async function waitForConnection(timeoutMs = 5000) {
   });
 }
 
+/**
+ * Listeners notified after every tool execution (audit log)
+ */
+const executionListeners = new Set();
+
+/**
+ * Subscribe to tool executions
+ * @param {Function} listener - Called with { name, args, ctx, room, status, result|error+errorCode, startedAt, durationMs, transactionIds, changes, nested }
+ *   changes: controls the call wrote, with their previous values; nested: run by another tool (run_sequence)
+ * @returns {Function} Unsubscribe
+ */
+export function onToolExecuted(listener) {
+  executionListeners.add(listener);
+  return () => executionListeners.delete(listener);
+}
+
+function notifyExecuted(execution) {
+  for (const listener of executionListeners) {
+    try {
+      listener(execution);
+    } catch (e) {
+      console.error(`[Tools] Execution listener failed: ${e.message}`);
+    }
+  }
+}
+
 /**
  * Execute a tool with retry logic for resilience
  * @param {string} name - Tool name
- * @param {object} args - Tool arguments
- * @param {object} ctx - Execution context { transport: 'mcp'|'voice'|'stdio', ... }
+ * @param {object} args - Tool arguments (optional "room" selects the room)
+ * @param {object} ctx - Execution context { transport: 'mcp'|'voice'|'rest'|'stdio'|'scheduler'|'rules'|'replay', room?: default room, auth?: caller identity, sessionId?: MCP session or voice call (action history), ... }
  */
 export async function executeTool(name, args = {}, ctx = {}) {
+  // A call made by another tool (run_sequence) also counts towards that tool's changes
+  const parent = getCallContext();
+  const call = { transactionIds: [], changes: [], room: null, status: 'success', nested: Boolean(parent) };
+  const startedAt = Date.now();
+  const finish = (outcome) => {
+    parent?.changes?.push(...call.changes);
+    notifyExecuted({
+      name,
+      args,
+      ctx,
+      room: call.room,
+      startedAt,
+      durationMs: Date.now() - startedAt,
+      transactionIds: call.transactionIds,
+      changes: call.changes,
+      nested: call.nested,
+      ...outcome
+    });
+  };
+
+  try {
+    const result = await runWithCallContext(call, () => dispatchTool(name, args, ctx));
+    finish({ status: call.status, result });
+    return result;
+  } catch (e) {
+    finish({ status: 'error', error: e.message, errorCode: describeError(e).code });
+    throw e;
+  }
+}
+
+/**
+ * Resolve the room, wait for its connection and run the tool
+ */
+async function dispatchTool(name, args, ctx) {
+  const call = getCallContext();
   const tool = getTool(name);
   if (!tool) {
-    throw new Error(`Unknown tool: ${name}`);
+    throw new NotFound(`Unknown tool: ${name}`);
   }
 
+  // Room precedence: explicit argument, then the caller's default (session / API key)
+  const { room: roomArg, ...rawArgs } = args || {};
+  const toolArgs = normalizeToolArguments(tool, rawArgs);
+
+  // Authorization: aliases share their tool's policy
+  policy.check(tool.originalName || name, toolArgs, ctx.auth);
+
+  // Arguments must match the inputSchema before any handler or preview sees them
+  const { confirmationToken, ...callArgs } = toolArgs;
+  validateToolArguments(tool, callArgs);
+
+  // Tools that summarise every room handle "all" themselves (no single connection to wait for)
+  if (roomArg === 'all' && tool.allRooms) {
+    call.room = 'all';
+    const result = await tool.handler({ ...toolArgs, room: 'all' }, {
+      ...ctx,
+      ws: roomPool.resolve(ctx.room).ws,
+      room: 'all',
+      rooms: roomPool
+    });
+    return ctx.transport === 'voice' && tool.formatVoice ? tool.formatVoice(result) : result;
+  }
+
+  const room = roomPool.resolve(roomArg || ctx.room);
+  const ws = room.ws;
+  call.room = room.name;
+
   // Wait for connection if not currently connected (handles brief reconnection windows)
-  if (!wsManager.isConnected || !wsManager.isIdentified) {
-    const connected = await waitForConnection(5000);
+  // Tools that only read local records (needsBridge: false) answer while the bridge is down
+  if (tool.needsBridge !== false && (!ws.isConnected || !ws.isIdentified)) {
+    const connected = await waitForConnection(ws, 5000);
     if (!connected) {
-      // Return graceful message for voice instead of throwing
-      if (ctx.transport === 'voice') {
+      // Return graceful message for voice instead of throwing - but a step of a sequence must
+      // fail, so the sequence stops (and rolls back) instead of counting it as done
+      if (ctx.transport === 'voice' && !call.nested) {
+        call.status = 'unavailable';
         return 'System is temporarily unavailable. Please try again in a moment.';
       }
-      throw new Error('Not connected to control system');
+      throw new NotConnected('Not connected to control system');
     }
   }
 
+  const runCtx = {
+    ...ctx,
+    ws,
+    room: room.name,
+    rooms: roomPool,
+    profile: room.config.profile
+  };
+
+  // Two-phase tools (CONFIRM_TOOLS): preview first, run only with the preview's token
+  const toolName = tool.originalName || name;
+  if (requiresConfirmation(toolName)) {
+    if (ctx.transport === 'scheduler' || ctx.transport === 'rules') {
+      throw new Unauthorized(`${toolName} requires confirmation and cannot run unattended`);
+    }
+    if (!confirmationToken) {
+      call.status = 'confirmation_required';
+      return previewTool(tool, callArgs, runCtx);
+    }
+    redeemConfirmation(confirmationToken, { tool: toolName, args: callArgs, room: room.name, auth: ctx.auth });
+    return runTool(tool, callArgs, runCtx);
+  }
+
+  return runTool(tool, toolArgs, runCtx);
+}
+
+/**
+ * First phase of a confirmed call: what the tool would change, and the token that applies it
+ */
+async function previewTool(tool, args, ctx) {
+  const toolName = tool.originalName || tool.name;
+  // Tools without a preview of their own show the call as given
+  const preview = tool.preview ? await tool.preview(args, ctx) : { tool: toolName, args };
+  const { token, expiresAt } = issueConfirmation({ tool: toolName, args, room: ctx.room, auth: ctx.auth });
+  return {
+    confirmationRequired: true,
+    tool: toolName,
+    room: ctx.room,
+    preview,
+    confirmationToken: token,
+    expiresAt,
+    message: `Nothing was changed. To apply, call ${toolName} again with the same arguments and confirmationToken.`
+  };
+}
+
+/**
+ * Run a tool handler with retries and transport-specific formatting
+ */
+async function runTool(tool, args, ctx) {
+  const { name } = tool;
+  const ws = ctx.ws;
+
   // Execute with retry logic for transient failures (timeouts, etc.)
   const result = await pRetry(
     async () => {
       // Re-check connection before each attempt
-      if (!wsManager.isConnected || !wsManager.isIdentified) {
-        const err = new Error('Connection lost during execution');
-        err.bailout = true; // Signal pRetry to stop retrying
-        throw err;
+      if (tool.needsBridge !== false && (!ws.isConnected || !ws.isIdentified)) {
+        throw new NotConnected('Connection lost during execution');
       }
 
       // Execute handler
-      return tool.handler(args, {
-        ws: wsManager,
-        ...ctx
-      });
+      return tool.handler(args, ctx);
     },
     {
       retries: 3,
       minTimeout: 1000,
       maxTimeout: 5000,
-      shouldRetry: (error) => {
-        // Don't retry connection errors - they won't help
-        if (error.bailout || error.message.includes('Connection lost') ||
-            error.message.includes('Not connected')) {
-          return false;
-        }
-        return true;
-      },
+      // Only retry what a retry can fix (bridge timeouts) - invalid input or a lost connection fails at once
+      shouldRetry: (error) => describeError(error).retryable,
       onFailedAttempt: (error) => {
-        if (!error.bailout) {
+        if (describeError(error).retryable) {
           console.warn(`[Tools] ${name} attempt ${error.attemptNumber} failed: ${error.message}`);
         }
       }
@@ -187,7 +407,9 @@ export function formatMcpResult(result) {
 export function initializeTools() {
   // Register all tool categories
   [...screenTools, ...videoTools, ...lightingTools, ...audioTools,
-   ...roomTools, ...statusTools, ...componentTools, ...userTools]
+   ...roomTools, ...statusTools, ...componentTools, ...userTools, ...sceneTools,
+   ...layoutTools, ...windowTools, ...scheduleTools, ...ruleTools, ...auditTools, ...sequenceTools,
+   ...historyTools, ...reportTools]
     .forEach(tool => registerTool(tool));
 
   console.log(`[Tools] Registered ${getAllTools().length} tools`);
@@ -200,6 +422,7 @@ export default {
   getMcpToolDefinitions,
   getVapiToolDefinitions,
   executeTool,
+  onToolExecuted,
   formatMcpResult,
   initializeTools,
   SOURCE_NAMES,
@@ -0,0 +1,152 @@
+/**
+ * Layout Tools
+ * Apply named video wall layout templates (fullscreen, side-by-side, PiP, quad, ...)
+ */
+import { serializeWindowCommand } from '../shared/windowCommand.js';
+import { getLayoutTemplates, buildTemplateLayout, templateKey } from '../shared/layoutTemplates.js';
+import { loadRoomProfile } from '../shared/roomProfile.js';
+import { sourceCatalog, resolveSourceId } from './video.js';
+import { InvalidArgument, NotFound } from '../shared/errors.js';
+
+// Templates for the room being controlled (falls back to the default room profile)
+function templates(ctx) {
+  return getLayoutTemplates(ctx?.profile || loadRoomProfile());
+}
+
+// Map the sources argument (object by slot name, or array in slot order) onto template slots
+function resolveSlotSources(templateName, template, sources = {}, catalog) {
+  const bySlot = Array.isArray(sources)
+    ? Object.fromEntries(template.slots.map((slot, i) => [slot, sources[i]]))
+    : sources;
+
+  const resolved = {};
+  const missing = [];
+
+  for (const slot of template.slots) {
+    const value = bySlot[slot] ?? template.defaults?.[slot];
+    if (value === undefined || value === null) {
+      missing.push(slot);
+      continue;
+    }
+    const sourceId = resolveSourceId(value, catalog);
+    if (!sourceId) {
+      throw new InvalidArgument(`Invalid source "${value}" for slot ${slot}`);
+    }
+    resolved[slot] = sourceId;
+  }
+
+  if (missing.length > 0) {
+    throw new InvalidArgument(`Layout ${templateName} needs sources for: ${missing.join(', ')}`);
+  }
+
+  return resolved;
+}
+
+export const layoutTools = [
+  {
+    name: 'list_layouts',
+    description: 'List available video wall layout templates and the source slots each one takes',
+    voiceDescription: 'List available video wall layouts. Use when user asks "What layouts are there?"',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        layouts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              description: { type: ['string', 'null'] },
+              slots: { type: 'array', items: { type: 'string' } },
+              defaults: { type: 'object', description: 'Default source per slot' }
+            }
+          }
+        }
+      }
+    },
+    handler: async (args, ctx) => {
+      const all = templates(ctx);
+      return {
+        count: Object.keys(all).length,
+        layouts: Object.entries(all).map(([name, t]) => ({
+          name,
+          description: t.description || null,
+          slots: t.slots,
+          defaults: t.defaults || {}
+        }))
+      };
+    },
+    formatVoice: (result) => `${result.count} layouts: ${result.layouts.map(l => l.name.replace(/-/g, ' ')).join(', ')}.`
+  },
+
+  {
+    name: 'apply_layout',
+    description: 'Apply a named video wall layout template. Built-in: fullscreen (main), side-by-side (left, right), pip-top-right / pip-top-left / pip-bottom-right / pip-bottom-left (main, pip), quad (top-left, top-right, bottom-left, bottom-right), presenter-plus-camera (presenter, camera). Use list_layouts for room-specific templates. Prefer this over set_layout for PiP and split screens.',
+    voiceDescription: 'Apply a video wall layout. Layouts: fullscreen, side-by-side, pip-top-right, pip-bottom-left, quad, presenter-plus-camera. Sources: {sources}. Use when user says "Laptop with conference in the corner" or "Split screen laptop and ClickShare".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        layout: { type: 'string', description: 'Template name, e.g. "pip-top-right"' },
+        sources: {
+          oneOf: [
+            {
+              type: 'object',
+              description: 'Source per slot, e.g. { "main": "laptop", "pip": "conference" }',
+              additionalProperties: { oneOf: [{ type: 'number' }, { type: 'string' }] }
+            },
+            {
+              type: 'array',
+              description: 'Sources in slot order, e.g. ["laptop", "conference"]',
+              items: { oneOf: [{ type: 'number' }, { type: 'string' }] }
+            }
+          ]
+        }
+      },
+      required: ['layout']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        layout: { type: 'string' },
+        slots: { type: 'object', description: 'Source name per slot' },
+        command: { type: 'string', description: 'WindowCommand sent to the video wall' },
+        alreadySet: { type: 'boolean', description: 'The wall already showed this layout' }
+      }
+    },
+    handler: async (args, ctx) => {
+      const all = templates(ctx);
+      const name = templateKey(args.layout);
+      const template = all[name];
+
+      if (!template) {
+        throw new NotFound(`Unknown layout "${args.layout}". Available: ${Object.keys(all).join(', ')}`);
+      }
+
+      const catalog = sourceCatalog(ctx);
+      const slotSources = resolveSlotSources(name, template, args.sources, catalog);
+      const cmd = serializeWindowCommand(buildTemplateLayout(template, slotSources));
+
+      const state = await ctx.ws.getState();
+      const slots = Object.fromEntries(
+        Object.entries(slotSources).map(([slot, id]) => [slot, catalog.name(id)])
+      );
+
+      // Idempotent check
+      if (state.hardwareState === cmd) {
+        return { success: true, alreadySet: true, layout: name, slots };
+      }
+
+      await ctx.ws.setFunction('videoWall', cmd);
+      return { success: true, layout: name, slots, command: cmd };
+    },
+    formatVoice: (result) => {
+      if (result.alreadySet) return 'Already showing that.';
+      return 'Done.';
+    }
+  }
+];
+
+export default layoutTools;
@@ -15,12 +15,19 @@ export const lightingTools = [
         level: {
           oneOf: [
             { type: 'number', description: '0-100 for absolute, or negative to dim relatively' },
-            { type: 'string', description: '+20 to brighten, -20 to dim' }
+            { type: 'string', pattern: '^[+-]?\\d+$', description: '+20 to brighten, -20 to dim' }
           ]
         }
       },
       required: ['level']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        level: { type: 'number', minimum: 0, maximum: 100, description: 'Brightness set (relative changes resolved)' }
+      }
+    },
     handler: async (args, ctx) => {
       let level = args.level;
       const state = await ctx.ws.getState();
@@ -42,7 +49,7 @@ export const lightingTools = [
       // Clamp to valid range
       level = Math.max(0, Math.min(100, level));
 
-      await ctx.ws.sendControl('lighting', 'ZoneDimLevel1', level);
+      await ctx.ws.setFunction('lights', level);
       return { success: true, level };
     },
     formatVoice: (result) => {
@@ -57,6 +64,10 @@ export const lightingTools = [
     aliases: ['get_lighting_level'],
     description: 'Get current lighting level',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: { level: { type: 'number', minimum: 0, maximum: 100, description: 'Brightness percentage' } }
+    },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
       return { level: state.lightingLevel };
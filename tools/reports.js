@@ -0,0 +1,113 @@
+/**
+ * Report Tools
+ * Room utilisation for facilities ("how much is the screen actually used?")
+ */
+import { REPORT_PERIODS, buildUsageReport } from '../shared/usageReport.js';
+
+const hoursByKey = (key) => ({
+  type: 'array',
+  items: { type: 'object', properties: { [key]: { type: 'string' }, hours: { type: 'number' } } }
+});
+
+const failureCounts = (key) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      [key]: { type: 'string' },
+      calls: { type: 'integer' },
+      failed: { type: 'integer' },
+      failureRate: { type: 'number' }
+    }
+  }
+});
+
+// Result shape of buildUsageReport
+const usageReportSchema = {
+  type: 'object',
+  properties: {
+    room: { type: 'string' },
+    period: { type: 'string', enum: REPORT_PERIODS },
+    date: { type: 'string', description: 'First day of the period' },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    generatedAt: { type: 'string', format: 'date-time' },
+    coveredHours: { type: 'number', description: 'Hours of the period up to now' },
+    screen: {
+      type: 'object',
+      properties: { onHours: { type: 'number' }, offHours: { type: 'number' }, unknownHours: { type: 'number' } }
+    },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { source: { type: 'integer' }, name: { type: 'string' }, hours: { type: 'number' }, share: { type: 'number' } }
+      }
+    },
+    lighting: {
+      type: 'object',
+      properties: { averageLevel: { type: ['number', 'null'] }, distribution: hoursByKey('range'), unknownHours: { type: 'number' } }
+    },
+    volume: {
+      type: 'object',
+      properties: { averageDb: { type: ['number', 'null'] }, distribution: hoursByKey('level'), unknownHours: { type: 'number' } }
+    },
+    interactions: {
+      type: 'object',
+      properties: { total: { type: 'integer' }, byTransport: { type: 'object', description: 'Transport -> requests' } }
+    },
+    failures: {
+      type: 'object',
+      properties: {
+        calls: { type: 'integer' },
+        failed: { type: 'integer' },
+        failureRate: { type: 'number' },
+        byCode: { type: 'object', description: 'Error code -> failures' },
+        byTransport: failureCounts('transport'),
+        byTool: failureCounts('tool')
+      }
+    }
+  }
+};
+
+export const reportTools = [
+  {
+    name: 'get_usage_report',
+    allRooms: true,
+    needsBridge: false,
+    description: 'Usage report of the room for a day or a week (Monday to Sunday): screen-on hours, hours per source shown on the video wall, lighting and volume distributions (hours per range/preset and averages), interactions per transport (voice, mcp, rest, scheduler, rules) and failure rates per transport and tool. Built from the recorded state history and the audit log. Pass room "all" for every room.',
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        period: { type: 'string', enum: REPORT_PERIODS, description: 'day (default) or week' },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'A date in the period, e.g. "2024-05-01" (default: today)' }
+      }
+    },
+    outputSchema: {
+      oneOf: [
+        usageReportSchema,
+        {
+          type: 'object',
+          description: 'room "all"',
+          properties: { reports: { type: 'array', items: usageReportSchema } }
+        }
+      ]
+    },
+    handler: async (args, ctx) => {
+      const report = (room) => buildUsageReport({
+        room: room.name,
+        period: args.period || 'day',
+        date: args.date,
+        catalog: room.ws.getSourceCatalog()
+      });
+
+      if (args.room === 'all') {
+        return { reports: await Promise.all(ctx.rooms.list().map(report)) };
+      }
+      return report(ctx.rooms.resolve(ctx.room));
+    }
+  }
+];
+
+export default reportTools;
@@ -16,6 +16,14 @@ export const roomTools = [
       },
       required: ['frosted']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        frosted: { type: 'boolean' },
+        alreadySet: { type: 'boolean', description: 'The glass was already in this state' }
+      }
+    },
     handler: async (args, ctx) => {
       const frosted = args.frosted;
       const state = await ctx.ws.getState();
@@ -25,7 +33,7 @@ export const roomTools = [
         return { success: true, alreadySet: true, frosted };
       }
 
-      await ctx.ws.sendControl('gpio', 'pin.8.digital.out', frosted ? 1 : 0);
+      await ctx.ws.setFunction('glass', frosted ? 1 : 0);
       return { success: true, frosted };
     },
     formatVoice: (result) => {
@@ -40,6 +48,7 @@ export const roomTools = [
     name: 'get_privacy_glass',
     description: 'Get privacy glass state',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: { type: 'object', properties: { frosted: { type: 'boolean' } } },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
       return { frosted: state.privacyGlass === 1 };
@@ -0,0 +1,227 @@
+/**
+ * Rule Tools
+ * Manage automation rules ("when the screen turns off, set the lights to 100")
+ */
+import rulesEngine, { FACTS } from '../shared/rules.js';
+import policy from '../shared/policy.js';
+import { NotFound } from '../shared/errors.js';
+
+const ruleSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    room: { type: ['string', 'null'] },
+    when: {
+      type: 'object',
+      properties: {
+        fact: { type: 'string' },
+        equals: {},
+        notEquals: {},
+        above: { type: 'number' },
+        below: { type: 'number' },
+        forSeconds: { type: 'number' }
+      }
+    },
+    then: {
+      type: 'array',
+      items: { type: 'object', properties: { tool: { type: 'string' }, args: { type: 'object' } } }
+    },
+    cooldownSeconds: { type: 'number' },
+    enabled: { type: 'boolean' },
+    disabledReason: { type: ['string', 'null'] },
+    source: { type: 'string', enum: ['tool', 'profile'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    createdBy: { type: ['string', 'null'] }
+  }
+};
+
+const firingSchema = {
+  type: 'object',
+  properties: {
+    ruleId: { type: 'string' },
+    name: { type: 'string' },
+    room: { type: 'string' },
+    fact: { type: 'string' },
+    value: { description: 'Value that triggered the rule' },
+    startedAt: { type: 'string', format: 'date-time' },
+    finishedAt: { type: 'string', format: 'date-time' },
+    status: { type: 'string', enum: ['success', 'error', 'blocked'] },
+    reason: { type: 'string', description: 'Why loop protection blocked the firing' },
+    actions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          tool: { type: 'string' },
+          status: { type: 'string', enum: ['success', 'error'] },
+          result: {},
+          error: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+export const ruleTools = [
+  {
+    name: 'create_rule',
+    description: `Create an automation rule: when a room fact changes to a value (optionally for N seconds), run a list of tools. Facts: ${FACTS.join(', ')} (connected.<source> is true while that input is connected, e.g. connected.conference). Give exactly one condition: equals, notEquals, above or below. Rules fire once each time the condition becomes true.`,
+    voiceDescription: 'Create an automation rule. Use when user says "When the conference camera connects, frost the glass and dim the lights to 60" or "Whenever the screen turns off, turn the lights up". Set then to the tools to run and their args.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Rule name, e.g. "conference privacy"' },
+        fact: { type: 'string', description: `What to watch: ${FACTS.join(', ')}` },
+        equals: { description: 'Fire when the fact changes to this value (true/false, number or source name)' },
+        notEquals: { description: 'Fire when the fact changes away from this value' },
+        above: { type: 'number', description: 'Fire when a number rises above this' },
+        below: { type: 'number', description: 'Fire when a number drops below this' },
+        forSeconds: { type: 'number', description: 'Only fire if the condition holds this long (default 0)' },
+        then: {
+          type: 'array',
+          description: 'Tools to run in order, e.g. [{ "tool": "set_lights", "args": { "level": 100 } }]',
+          items: {
+            type: 'object',
+            properties: {
+              tool: { type: 'string' },
+              args: { type: 'object' }
+            },
+            required: ['tool']
+          }
+        },
+        cooldownSeconds: { type: 'number', description: 'Minimum time between firings (default 10)' },
+        description: { type: 'string', description: 'Optional description' }
+      },
+      required: ['name', 'fact', 'then']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, rule: ruleSchema }
+    },
+    handler: async (args, ctx) => {
+      const when = { fact: args.fact };
+      for (const key of ['equals', 'notEquals', 'above', 'below', 'forSeconds']) {
+        if (args[key] !== undefined) when[key] = args[key];
+      }
+
+      // Refuse now rather than at every firing
+      for (const action of args.then || []) {
+        if (action?.tool) policy.check(action.tool, action.args || {}, ctx.auth);
+      }
+
+      const rule = rulesEngine.add({
+        name: args.name,
+        when,
+        then: args.then,
+        room: ctx.room || null,
+        cooldownSeconds: args.cooldownSeconds,
+        description: args.description,
+        createdBy: ctx.transport || null,
+        auth: ctx.auth
+      });
+
+      return { success: true, rule };
+    },
+    formatVoice: (result) => `Rule ${result.rule.name} created.`
+  },
+
+  {
+    name: 'list_rules',
+    needsBridge: false,
+    description: 'List automation rules for this room (from the room profile and created with create_rule) with their enabled state',
+    voiceDescription: 'List automation rules. Use when user asks "What rules are set up?" or "What happens automatically?"',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: { count: { type: 'integer' }, rules: { type: 'array', items: ruleSchema } }
+    },
+    handler: async (args, ctx) => {
+      const rules = rulesEngine.list({ room: ctx.room });
+      return { count: rules.length, rules };
+    },
+    formatVoice: (result) => {
+      if (result.count === 0) return 'No automation rules.';
+      const names = result.rules.map(r => r.enabled ? r.name : `${r.name} (disabled)`);
+      return `${result.count} rules: ${names.join(', ')}.`;
+    }
+  },
+
+  {
+    name: 'delete_rule',
+    description: 'Delete an automation rule of this room by id or name. Rules from the room profile cannot be deleted, only disabled.',
+    voiceDescription: 'Delete an automation rule. Use when user says "Remove the conference privacy rule".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Rule id or name' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, deleted: { type: 'string', description: 'Name of the deleted rule' } }
+    },
+    handler: async (args, ctx) => {
+      const rule = rulesEngine.remove(args.id, { room: ctx.room });
+      if (!rule) throw new NotFound(`Rule not found: ${args.id}`);
+      return { success: true, deleted: rule.name };
+    },
+    formatVoice: (result) => `Deleted rule ${result.deleted}.`
+  },
+
+  {
+    name: 'enable_rule',
+    description: 'Enable or disable an automation rule of this room. Also re-enables a rule that loop protection switched off.',
+    voiceDescription: 'Turn an automation rule on or off. Use when user says "Disable the lights rule" or "Turn the privacy rule back on".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Rule id or name' },
+        enabled: { type: 'boolean', description: 'true to enable, false to disable' }
+      },
+      required: ['id', 'enabled']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, alreadySet: { type: 'boolean' }, rule: ruleSchema }
+    },
+    handler: async (args, ctx) => {
+      const current = rulesEngine.find(args.id, { room: ctx.room });
+      if (!current) throw new NotFound(`Rule not found: ${args.id}`);
+      if (current.enabled === args.enabled) {
+        return { success: true, alreadySet: true, rule: current };
+      }
+      return { success: true, rule: rulesEngine.setEnabled(current.id, args.enabled, { reason: 'disabled by user' }) };
+    },
+    formatVoice: (result) => {
+      if (result.alreadySet) return result.rule.enabled ? 'Already enabled.' : 'Already disabled.';
+      return result.rule.enabled ? `Enabled ${result.rule.name}.` : `Disabled ${result.rule.name}.`;
+    }
+  },
+
+  {
+    name: 'get_rule_history',
+    description: 'Get the firing history of this room\'s automation rules (newest first): the triggering value, each action\'s outcome, and firings blocked by loop protection',
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Only firings of this rule (id or name)' },
+        limit: { type: 'number', description: 'Maximum entries to return (default 20)' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { count: { type: 'integer' }, history: { type: 'array', items: firingSchema } }
+    },
+    handler: async (args, ctx) => {
+      const ruleId = args.id ? (rulesEngine.find(args.id, { room: ctx.room })?.id || args.id) : undefined;
+      const history = rulesEngine.history({ ruleId, room: ctx.room, limit: args.limit || 20 });
+      return { count: history.length, history };
+    }
+  }
+];
+
+export default ruleTools;
@@ -0,0 +1,176 @@
+/**
+ * Scene Tools
+ * Save and recall named room setups (screen, layout, DIDO, glass, lights, volume)
+ */
+import {
+  captureScene,
+  applySceneValues,
+  listScenes,
+  getScene,
+  saveScene,
+  deleteScene,
+  SCENE_CONTROLS
+} from '../shared/scenes.js';
+import { NotFound, Conflict } from '../shared/errors.js';
+
+// Only one recall at a time per room - two interleaved recalls would leave a mixed room
+// room name -> scene being applied
+const recallsInProgress = new Map();
+
+// Captured values, by state key
+const sceneValuesSchema = {
+  type: 'object',
+  properties: Object.fromEntries(SCENE_CONTROLS.map(({ key }) => [key, {}]))
+};
+
+const sceneLabels = { type: 'array', items: { type: 'string', enum: SCENE_CONTROLS.map(c => c.label) } };
+
+export const sceneTools = [
+  {
+    name: 'save_scene',
+    description: 'Save the current room state (screen, video wall layout, DIDO, glass, lights, volume) as a named scene',
+    voiceDescription: 'Save the current room setup as a named scene. Use when user says "Save this as presentation mode" or "Remember this setup".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Scene name, e.g. "presentation"' },
+        description: { type: 'string', description: 'Optional description' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        scene: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: ['string', 'null'] },
+            values: sceneValuesSchema,
+            createdAt: { type: 'number', description: 'Epoch milliseconds' },
+            updatedAt: { type: 'number', description: 'Epoch milliseconds' }
+          }
+        }
+      }
+    },
+    handler: async (args, ctx) => {
+      const state = await ctx.ws.getState();
+      const scene = saveScene(ctx.room, args.name, captureScene(state), args.description);
+      return { success: true, scene };
+    },
+    formatVoice: (result) => `Saved scene ${result.scene.name}.`
+  },
+
+  {
+    name: 'recall_scene',
+    aliases: ['apply_scene'],
+    description: 'Recall a saved scene. Controls are applied in order (screen, layout, DIDO, glass, lights, volume); if any step fails, the controls already changed are rolled back.',
+    voiceDescription: 'Recall a saved room scene. Use when user says "Presentation mode", "Set up for a meeting" or names a saved scene.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Scene name' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        scene: { type: 'string' },
+        changed: sceneLabels,
+        unchanged: sceneLabels,
+        skipped: { ...sceneLabels, description: 'Not captured in the scene' }
+      }
+    },
+    handler: async (args, ctx) => {
+      const scene = getScene(ctx.room, args.name);
+      if (!scene) {
+        throw new NotFound(`Scene not found: ${args.name}`);
+      }
+
+      if (recallsInProgress.has(ctx.room)) {
+        throw new Conflict(`Scene "${recallsInProgress.get(ctx.room)}" is still being applied`);
+      }
+
+      recallsInProgress.set(ctx.room, scene.name);
+      try {
+        const result = await applySceneValues(ctx.ws, scene.values);
+        return { success: true, scene: scene.name, ...result };
+      } finally {
+        recallsInProgress.delete(ctx.room);
+      }
+    },
+    formatVoice: (result) => {
+      if (result.changed.length === 0) return `Already in ${result.scene}.`;
+      return 'Done.';
+    }
+  },
+
+  {
+    name: 'list_scenes',
+    description: 'List the room\'s saved scenes',
+    voiceDescription: 'List saved room scenes. Use when user asks "What scenes are there?"',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        scenes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              description: { type: ['string', 'null'] },
+              values: sceneValuesSchema,
+              updatedAt: { type: 'number', description: 'Epoch milliseconds' }
+            }
+          }
+        }
+      }
+    },
+    handler: async (args, ctx) => {
+      const scenes = listScenes(ctx.room);
+      return {
+        count: scenes.length,
+        scenes: scenes.map(s => ({
+          name: s.name,
+          description: s.description,
+          values: s.values,
+          updatedAt: s.updatedAt
+        }))
+      };
+    },
+    formatVoice: (result) => {
+      if (result.count === 0) return 'No saved scenes.';
+      return `${result.count} scenes: ${result.scenes.map(s => s.name).join(', ')}.`;
+    }
+  },
+
+  {
+    name: 'delete_scene',
+    description: 'Delete a saved scene',
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Scene name' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, name: { type: 'string' } }
+    },
+    handler: async (args, ctx) => {
+      if (!deleteScene(ctx.room, args.name)) {
+        throw new NotFound(`Scene not found: ${args.name}`);
+      }
+      return { success: true, name: args.name };
+    }
+  }
+];
+
+export default sceneTools;
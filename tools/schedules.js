@@ -0,0 +1,244 @@
+/**
+ * Schedule Tools
+ * Run room actions later or on a recurring schedule ("lights off every weekday at 19:00")
+ */
+import scheduler, { CATCH_UP_POLICIES } from '../shared/scheduler.js';
+import policy from '../shared/policy.js';
+import { normalizeToolArguments } from '../shared/schemaValidation.js';
+import { InvalidArgument, NotFound } from '../shared/errors.js';
+import { getTool } from './index.js';
+
+// Scheduler tools cannot schedule themselves
+const SCHEDULE_TOOLS = ['schedule_action', 'list_schedules', 'cancel_schedule', 'pause_schedule', 'get_schedule_runs'];
+
+// Spoken form of a run time, e.g. "Monday 7:00 PM"
+function speakTime(iso) {
+  return new Date(iso).toLocaleString('en-US', { weekday: 'long', hour: 'numeric', minute: '2-digit' });
+}
+
+// "19:00" -> next occurrence of that time today or tomorrow; anything else is parsed as a date
+function parseRunTime(at) {
+  const clock = String(at).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!clock) return new Date(at);
+
+  const date = new Date();
+  date.setHours(parseInt(clock[1]), parseInt(clock[2]), 0, 0);
+  if (date.getTime() <= Date.now()) date.setDate(date.getDate() + 1);
+  return date;
+}
+
+function findJob(ref) {
+  const job = scheduler.find(ref);
+  if (!job) throw new NotFound(`Schedule not found: ${ref}`);
+  return job;
+}
+
+const jobSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    tool: { type: 'string' },
+    args: { type: 'object' },
+    room: { type: ['string', 'null'] },
+    cron: { type: ['string', 'null'] },
+    at: { type: ['string', 'null'], format: 'date-time', description: 'One-shot run time' },
+    catchUp: { type: 'string', enum: CATCH_UP_POLICIES },
+    paused: { type: 'boolean' },
+    createdAt: { type: 'string', format: 'date-time' },
+    createdBy: { type: ['string', 'null'], description: 'Transport that created the job' },
+    nextRunAt: { type: 'string', format: 'date-time' },
+    lastRunAt: { type: ['string', 'null'], format: 'date-time' },
+    lastStatus: { type: ['string', 'null'], enum: ['success', 'error', 'missed', null] },
+    lastError: { type: ['string', 'null'] },
+    runCount: { type: 'integer' }
+  }
+};
+
+const runSchema = {
+  type: 'object',
+  properties: {
+    jobId: { type: 'string' },
+    name: { type: 'string' },
+    tool: { type: 'string' },
+    room: { type: ['string', 'null'] },
+    scheduledFor: { type: 'string', format: 'date-time' },
+    startedAt: { type: 'string', format: 'date-time' },
+    finishedAt: { type: 'string', format: 'date-time' },
+    durationMs: { type: 'number' },
+    status: { type: 'string', enum: ['success', 'error', 'missed'] },
+    result: { description: 'Tool result, truncated' },
+    error: { type: 'string' },
+    late: { type: 'boolean', description: 'A caught-up missed run' },
+    missedRuns: { type: 'integer' },
+    reason: { type: 'string', description: 'Why a missed run was not caught up' }
+  }
+};
+
+export const scheduleTools = [
+  {
+    name: 'schedule_action',
+    description: 'Schedule any tool to run later or repeatedly. Give exactly one of: cron (recurring, 5-field cron in server local time, e.g. "0 19 * * 1-5" = weekdays at 19:00), at (one-shot, ISO date-time or "HH:MM" for the next occurrence) or inMinutes (one-shot, relative). Missed runs are caught up once if at most an hour late unless catchUp is "skip".',
+    voiceDescription: 'Schedule a room action for later or on a repeating schedule. Use when user says "Turn the lights off every weekday at 7 PM" or "Turn the screen off in 20 minutes". Set tool to the tool that does the action and args to its arguments.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string', description: 'Tool to run, e.g. "set_lights"' },
+        args: { type: 'object', description: 'Arguments for the tool, e.g. { "level": 0 }' },
+        cron: { type: 'string', description: 'Recurring schedule: minute hour day month weekday, e.g. "0 19 * * 1-5"' },
+        at: { type: 'string', description: 'One-shot run time: ISO date-time or "HH:MM"' },
+        inMinutes: { type: 'number', description: 'One-shot run this many minutes from now' },
+        name: { type: 'string', description: 'Optional name, e.g. "evening lights off"' },
+        catchUp: { type: 'string', enum: CATCH_UP_POLICIES, description: 'Missed runs: "once" (default) runs once if at most an hour late, "skip" never runs late' }
+      },
+      required: ['tool']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, schedule: jobSchema }
+    },
+    handler: async (args, ctx) => {
+      // Check what will actually run: the tool behind an alias, with normalized arguments
+      const target = getTool(args.tool);
+      if (!target) throw new NotFound(`Unknown tool: ${args.tool}`);
+      const tool = target.originalName || target.name;
+      const toolArgs = normalizeToolArguments(target, args.args || {});
+
+      if (SCHEDULE_TOOLS.includes(tool)) {
+        throw new InvalidArgument('Schedule tools cannot be scheduled');
+      }
+      // Refuse now rather than at every run
+      policy.check(tool, toolArgs, ctx.auth);
+
+      const given = ['cron', 'at', 'inMinutes'].filter(k => args[k] !== undefined && args[k] !== null && args[k] !== '');
+      if (given.length !== 1) {
+        throw new InvalidArgument('Give exactly one of: cron, at, inMinutes');
+      }
+
+      let at;
+      if (args.at !== undefined) {
+        at = parseRunTime(args.at);
+      } else if (args.inMinutes !== undefined) {
+        if (!(args.inMinutes > 0)) throw new InvalidArgument('inMinutes must be greater than 0');
+        at = new Date(Date.now() + args.inMinutes * 60 * 1000);
+      }
+
+      const job = scheduler.add({
+        tool,
+        args: toolArgs,
+        room: ctx.room || null,
+        cron: args.cron,
+        at,
+        name: args.name,
+        catchUp: args.catchUp,
+        createdBy: ctx.transport || null,
+        auth: ctx.auth
+      });
+
+      return { success: true, schedule: job };
+    },
+    formatVoice: (result) => {
+      const next = speakTime(result.schedule.nextRunAt);
+      return result.schedule.cron ? `Scheduled. First run ${next}.` : `Scheduled for ${next}.`;
+    }
+  },
+
+  {
+    name: 'list_schedules',
+    needsBridge: false,
+    description: 'List scheduled actions with their next run time, paused state and last outcome',
+    voiceDescription: 'List scheduled room actions. Use when user asks "What is scheduled?"',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: { count: { type: 'integer' }, schedules: { type: 'array', items: jobSchema } }
+    },
+    handler: async () => {
+      const schedules = scheduler.list();
+      return { count: schedules.length, schedules };
+    },
+    formatVoice: (result) => {
+      if (result.count === 0) return 'Nothing is scheduled.';
+      const items = result.schedules.map(s => s.paused
+        ? `${s.name}, paused`
+        : `${s.name}, next ${speakTime(s.nextRunAt)}`);
+      return `${result.count} scheduled: ${items.join('; ')}.`;
+    }
+  },
+
+  {
+    name: 'cancel_schedule',
+    aliases: ['delete_schedule'],
+    description: 'Delete a scheduled action by id or name',
+    voiceDescription: 'Cancel a scheduled action. Use when user says "Cancel the evening lights off".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Schedule id or name' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, cancelled: { type: 'string', description: 'Name of the deleted schedule' } }
+    },
+    handler: async (args) => {
+      const job = scheduler.remove(args.id);
+      if (!job) throw new NotFound(`Schedule not found: ${args.id}`);
+      return { success: true, cancelled: job.name };
+    },
+    formatVoice: (result) => `Cancelled ${result.cancelled}.`
+  },
+
+  {
+    name: 'pause_schedule',
+    description: 'Pause or resume a scheduled action. Runs that fall due while paused are skipped.',
+    voiceDescription: 'Pause or resume a scheduled action. Use when user says "Pause the morning schedule" or "Resume it".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Schedule id or name' },
+        paused: { type: 'boolean', description: 'true to pause (default), false to resume' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, alreadySet: { type: 'boolean' }, schedule: jobSchema }
+    },
+    handler: async (args) => {
+      const paused = args.paused !== false;
+      const before = findJob(args.id).paused;
+      const job = scheduler.setPaused(args.id, paused);
+      return { success: true, alreadySet: before === paused, schedule: job };
+    },
+    formatVoice: (result) => {
+      if (result.alreadySet) return result.schedule.paused ? 'Already paused.' : 'Already running.';
+      return result.schedule.paused ? `Paused ${result.schedule.name}.` : `Resumed ${result.schedule.name}.`;
+    }
+  },
+
+  {
+    name: 'get_schedule_runs',
+    description: 'Get the run log of scheduled actions (newest first): when each run was due, when it ran and its outcome (success, error or missed)',
+    voiceEnabled: false,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Only runs of this schedule (id or name)' },
+        limit: { type: 'number', description: 'Maximum runs to return (default 20)' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { count: { type: 'integer' }, runs: { type: 'array', items: runSchema } }
+    },
+    handler: async (args) => {
+      const jobId = args.id ? (scheduler.find(args.id)?.id || args.id) : undefined;
+      const runs = scheduler.history({ jobId, limit: args.limit || 20 });
+      return { count: runs.length, runs };
+    }
+  }
+];
+
+export default scheduleTools;
@@ -16,6 +16,14 @@ export const screenTools = [
       },
       required: ['on']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        enabled: { type: 'boolean' },
+        alreadySet: { type: 'boolean', description: 'The screen was already in this state' }
+      }
+    },
     handler: async (args, ctx) => {
       const on = args.on;
       const state = await ctx.ws.getState();
@@ -26,7 +34,7 @@ export const screenTools = [
         return { success: true, alreadySet: true, enabled: on };
       }
 
-      await ctx.ws.sendControl('hdmiDisplay', 'hdmi.enabled.button', on ? 1 : 0);
+      await ctx.ws.setFunction('screen', on ? 1 : 0);
       return { success: true, enabled: on };
     },
     formatVoice: (result) => {
@@ -41,6 +49,7 @@ export const screenTools = [
     name: 'get_screen_power',
     description: 'Get screen power state',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: { type: 'object', properties: { enabled: { type: 'boolean' } } },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
       return { enabled: state.screenPower === 1 };
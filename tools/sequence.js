@@ -0,0 +1,226 @@
+/**
+ * Sequence Tools
+ * Run several tool calls in one request ("screen on, laptop, lights 50, frost glass") - one round
+ * trip for voice assistants instead of one per action
+ */
+import policy from '../shared/policy.js';
+import { requiresConfirmation } from '../shared/confirmations.js';
+import { getCallContext } from '../shared/callContext.js';
+import { compact, controlLabel } from '../shared/actionHistory.js';
+import { normalizeToolArguments, validateSchema } from '../shared/schemaValidation.js';
+import { InvalidArgument, NotFound, describeError } from '../shared/errors.js';
+import { getTool, executeTool } from './index.js';
+
+const MAX_STEPS = 20;
+const MAX_DELAY_MS = 30000;
+
+// Tools that cannot be steps (no nesting)
+const SEQUENCE_TOOLS = ['run_sequence'];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check every step before the first one runs: known tool, valid arguments, allowed for the caller
+ * @throws {NotFound|InvalidArgument|Unauthorized}
+ */
+function checkSteps(steps, auth) {
+  steps.forEach((step, i) => {
+    const tool = getTool(step.tool);
+    if (!tool) throw new NotFound(`steps[${i}]: unknown tool ${step.tool}`);
+
+    const name = tool.originalName || tool.name;
+    if (SEQUENCE_TOOLS.includes(name)) {
+      throw new InvalidArgument(`steps[${i}]: ${name} cannot be nested`);
+    }
+    if (requiresConfirmation(name)) {
+      throw new InvalidArgument(`steps[${i}]: ${name} requires confirmation and cannot run in a sequence`);
+    }
+
+    const args = normalizeToolArguments(tool, step.args || {});
+    if ('room' in args) {
+      throw new InvalidArgument(`steps[${i}]: steps run in the sequence's room - pass room to run_sequence instead`);
+    }
+    const errors = tool.inputSchema ? validateSchema(tool.inputSchema, args) : [];
+    if (errors.length > 0) {
+      const fields = errors.map(e => ({ field: `steps[${i}].args.${e.field}`, message: e.message }));
+      throw new InvalidArgument(
+        `Invalid arguments for steps[${i}] (${name}): ${fields.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        { errors: fields }
+      );
+    }
+
+    policy.check(name, args, auth);
+  });
+}
+
+/**
+ * Put every control the steps wrote back to its value before the sequence, last written first
+ * Best effort - a control that fails does not stop the others.
+ * @param {object[]} changes - call.changes of the steps, in write order
+ */
+async function rollbackChanges(ws, changes) {
+  const restored = [];
+  const failed = [];
+
+  // One write per control, back to the value before its first write (last changed first)
+  for (const change of compact(changes).reverse()) {
+    const control = controlLabel(change);
+    if (change.previous === null || change.previous === undefined) {
+      failed.push({ control, error: 'Previous value unknown' });
+      continue;
+    }
+    try {
+      if (change.function) {
+        await ws.setFunction(change.function, change.previous);
+      } else {
+        await ws.sendControl(change.componentId, change.controlId, change.previous);
+      }
+      restored.push(control);
+    } catch (e) {
+      failed.push({ control, error: e.message });
+    }
+  }
+
+  return { restored, failed };
+}
+
+export const sequenceTools = [
+  {
+    name: 'run_sequence',
+    description: `Run several tools in order in one call, e.g. screen on, switch source, set lights, frost glass. Each step is { tool, args, delayMs?, continueOnError? }. All steps are checked first; if one is invalid nothing runs. A failing step stops the sequence (later steps are skipped) unless it has continueOnError. With rollbackOnError, a stopped sequence puts every control its steps changed back to its value before the first step, in reverse order. Returns a report per step. Max ${MAX_STEPS} steps.`,
+    voiceDescription: 'Do several room actions at once. Use when the user asks for more than one thing, e.g. "Screen on, show the laptop, lights to 50 and frost the glass". Put each action in steps as { tool, args }.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_STEPS,
+          description: 'Tool calls in order, e.g. [{ "tool": "screen_power", "args": { "on": true } }, { "tool": "set_lights", "args": { "level": 50 } }]',
+          items: {
+            type: 'object',
+            properties: {
+              tool: { type: 'string', description: 'Tool name' },
+              args: { type: 'object', description: 'Arguments for the tool' },
+              delayMs: { type: 'number', minimum: 0, maximum: MAX_DELAY_MS, description: 'Wait this long before the step (default 0)' },
+              continueOnError: { type: 'boolean', description: 'Keep going if this step fails (default false: stop)' }
+            },
+            required: ['tool']
+          }
+        },
+        rollbackOnError: {
+          type: 'boolean',
+          description: 'If the sequence stops on a failed step, restore every control the steps changed to its value before the first step (default false)'
+        }
+      },
+      required: ['steps']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', description: 'Every step succeeded' },
+        completed: { type: 'integer' },
+        failed: { type: 'integer' },
+        skipped: { type: 'integer' },
+        stoppedAt: { type: ['integer', 'null'], description: 'Index of the step that stopped the sequence' },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              step: { type: 'integer' },
+              tool: { type: 'string' },
+              status: { type: 'string', enum: ['success', 'error', 'skipped'] },
+              result: { description: 'The step\'s tool result' },
+              error: { type: 'string' },
+              code: { type: 'string', description: 'Error code' },
+              durationMs: { type: 'number' }
+            }
+          }
+        },
+        rollback: {
+          type: 'object',
+          description: 'With rollbackOnError, when the sequence stopped',
+          properties: {
+            restored: { type: 'array', items: { type: 'string' } },
+            failed: { type: 'array', items: { type: 'object', properties: { control: { type: 'string' }, error: { type: 'string' } } } }
+          }
+        }
+      }
+    },
+    handler: async (args, ctx) => {
+      checkSteps(args.steps, ctx.auth);
+
+      // Steps add the controls they write (with the values before) to this call's changes
+      const call = getCallContext();
+      const firstChange = call?.changes?.length ?? 0;
+
+      const steps = [];
+      let stoppedAt = null;
+
+      for (const [i, step] of args.steps.entries()) {
+        if (stoppedAt !== null) {
+          steps.push({ step: i, tool: step.tool, status: 'skipped' });
+          continue;
+        }
+
+        if (step.delayMs) await wait(step.delayMs);
+
+        const startedAt = Date.now();
+        try {
+          // Each step is a full tool call: policy, validation, audit and events as if called directly
+          const result = await executeTool(step.tool, step.args || {}, {
+            transport: ctx.transport,
+            auth: ctx.auth,
+            sessionId: ctx.sessionId,
+            room: ctx.room,
+            geminiModel: ctx.geminiModel,
+            grabMjpegFrame: ctx.grabMjpegFrame
+          });
+          steps.push({ step: i, tool: step.tool, status: 'success', result, durationMs: Date.now() - startedAt });
+        } catch (e) {
+          const { code, message } = describeError(e);
+          steps.push({ step: i, tool: step.tool, status: 'error', error: message, code, durationMs: Date.now() - startedAt });
+          if (!step.continueOnError) stoppedAt = i;
+        }
+      }
+
+      const failed = steps.filter(s => s.status === 'error').length;
+      const report = {
+        success: failed === 0,
+        completed: steps.filter(s => s.status === 'success').length,
+        failed,
+        skipped: steps.filter(s => s.status === 'skipped').length,
+        stoppedAt,
+        steps
+      };
+
+      // Only confirmed writes are changes, so a failed step's write is not restored
+      if (stoppedAt !== null && args.rollbackOnError) {
+        report.rollback = await rollbackChanges(ctx.ws, call?.changes?.slice(firstChange) || []);
+      }
+
+      // Audit log and events show a sequence with failed steps as partial
+      if (call && failed > 0) call.status = 'partial';
+
+      return report;
+    },
+    formatVoice: (result) => {
+      if (result.success) return 'Done.';
+
+      const failedSteps = result.steps.filter(s => s.status === 'error');
+      if (result.stoppedAt === null) {
+        return `Done, except ${failedSteps.map(s => s.tool.replace(/_/g, ' ')).join(' and ')}.`;
+      }
+
+      const stopped = result.steps[result.stoppedAt];
+      const parts = [`Stopped at ${stopped.tool.replace(/_/g, ' ')}: ${stopped.error.replace(/[.!?]?$/, '.')}`];
+      if (result.rollback) {
+        parts.push(result.rollback.failed.length === 0 ? 'Changes undone.' : 'Could not undo everything.');
+      }
+      return parts.join(' ');
+    }
+  }
+];
+
+export default sequenceTools;
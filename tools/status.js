@@ -2,69 +2,135 @@
  * Status Tools
  * Room status, connection status, help
  */
-import { SOURCE_NAMES, VOLUME_MAP } from '../shared/constants.js';
+import { VOLUME_MAP } from '../shared/constants.js';
+import { parseCurrentSource } from './video.js';
+
+// Summarise a room's state for room_status (and the room state resource)
+export function summarizeState(state, catalog) {
+  // Parse current source from hardware state
+  const currentSource = parseCurrentSource(state.hardwareState);
+
+  return {
+    screen: state.screenPower === 1,
+    source: currentSource,
+    sourceName: currentSource ? catalog.name(currentSource) : null,
+    lights: state.lightingLevel,
+    volume: state.volumeLevel,
+    glass: state.privacyGlass === 1,
+    dido: state.didoOutput === 1,
+    connectedSources: state.connectedSources
+  };
+}
+
+// Spoken summary of one room's status
+function describeStatus(result) {
+  const parts = [];
+
+  // Screen and source
+  if (result.screen) {
+    parts.push(`Screen on, showing ${result.sourceName || `source ${result.source}`}`);
+  } else {
+    parts.push('Screen off');
+  }
+
+  // Lights
+  if (result.lights === 0) {
+    parts.push('lights off');
+  } else if (result.lights === 100) {
+    parts.push('lights full');
+  } else {
+    parts.push(`lights at ${Math.round(result.lights)} percent`);
+  }
+
+  // Volume
+  const volName = Object.entries(VOLUME_MAP)
+    .find(([, v]) => Math.abs(v - result.volume) < 5)?.[0];
+  if (volName === 'mute') {
+    parts.push('muted');
+  } else if (volName) {
+    parts.push(`volume ${volName}`);
+  } else {
+    parts.push(`volume ${result.volume} dB`);
+  }
+
+  // Glass
+  parts.push(result.glass ? 'glass frosted' : 'glass clear');
+
+  return parts.join(', ');
+}
+
+// Result of summarizeState (room_status, REST /room)
+const stateSummarySchema = {
+  type: 'object',
+  properties: {
+    screen: { type: 'boolean', description: 'Screen power' },
+    source: { type: ['number', 'null'], description: 'Source on the video wall' },
+    sourceName: { type: ['string', 'null'] },
+    lights: { type: 'number', description: 'Lighting level 0-100' },
+    volume: { type: 'number', description: 'Volume in dB' },
+    glass: { type: 'boolean', description: 'Privacy glass frosted' },
+    dido: { type: 'boolean', description: 'DIDO output enabled' },
+    connectedSources: { type: ['array', 'null'], description: 'Sources with a signal, as reported by the controller' }
+  }
+};
 
 export const statusTools = [
   {
     name: 'room_status',
-    description: 'Get complete room status including screen, source, lights, volume, and glass',
+    allRooms: true,
+    description: 'Get complete room status including screen, source, lights, volume, and glass. Pass room "all" to summarise every room.',
     voiceDescription: 'Get current room status including screen, source, lights, volume, and glass. Use when user asks "What\'s the status?" or "Is everything on?"',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      oneOf: [
+        stateSummarySchema,
+        {
+          type: 'object',
+          description: 'room "all"',
+          properties: {
+            rooms: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  room: { type: 'string' },
+                  displayName: { type: 'string' },
+                  connected: { type: 'boolean' },
+                  error: { type: 'string' },
+                  ...stateSummarySchema.properties
+                }
+              }
+            }
+          }
+        }
+      ]
+    },
     handler: async (args, ctx) => {
-      const state = await ctx.ws.getState();
-
-      // Parse current source from hardware state
-      let currentSource = null;
-      if (state.hardwareState) {
-        const match = String(state.hardwareState).match(/W1S(\d)/);
-        if (match) currentSource = parseInt(match[1]);
+      if (args.room === 'all') {
+        const rooms = await Promise.all(ctx.rooms.list().map(async (room) => {
+          const summary = { room: room.name, displayName: room.displayName };
+          if (!room.ws.isConnected || !room.ws.isIdentified) {
+            return { ...summary, connected: false };
+          }
+          try {
+            return { ...summary, connected: true, ...summarizeState(await room.ws.getState(), room.ws.getSourceCatalog()) };
+          } catch (e) {
+            return { ...summary, connected: false, error: e.message };
+          }
+        }));
+        return { rooms };
       }
 
-      return {
-        screen: state.screenPower === 1,
-        source: currentSource,
-        sourceName: currentSource ? SOURCE_NAMES[currentSource] : null,
-        lights: state.lightingLevel,
-        volume: state.volumeLevel,
-        glass: state.privacyGlass === 1,
-        dido: state.didoOutput === 1,
-        connectedSources: state.connectedSources
-      };
+      return summarizeState(await ctx.ws.getState(), ctx.ws.getSourceCatalog());
     },
     formatVoice: (result) => {
-      const parts = [];
-
-      // Screen and source
-      if (result.screen) {
-        parts.push(`Screen on, showing ${result.sourceName || `source ${result.source}`}`);
-      } else {
-        parts.push('Screen off');
+      if (result.rooms) {
+        return result.rooms.map(r => r.connected
+          ? `${r.displayName}: ${describeStatus(r)}.`
+          : `${r.displayName}: not connected.`
+        ).join(' ');
       }
-
-      // Lights
-      if (result.lights === 0) {
-        parts.push('lights off');
-      } else if (result.lights === 100) {
-        parts.push('lights full');
-      } else {
-        parts.push(`lights at ${Math.round(result.lights)} percent`);
-      }
-
-      // Volume
-      const volName = Object.entries(VOLUME_MAP)
-        .find(([, v]) => Math.abs(v - result.volume) < 5)?.[0];
-      if (volName === 'mute') {
-        parts.push('muted');
-      } else if (volName) {
-        parts.push(`volume ${volName}`);
-      } else {
-        parts.push(`volume ${result.volume} dB`);
-      }
-
-      // Glass
-      parts.push(result.glass ? 'glass frosted' : 'glass clear');
-
-      return parts.join(', ') + '.';
+      return describeStatus(result) + '.';
     }
   },
 
@@ -72,15 +138,37 @@ export const statusTools = [
     name: 'get_connection_status',
     description: 'Get WebSocket connection status',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        connected: { type: 'boolean' },
+        identified: { type: 'boolean' },
+        components: { type: 'integer', description: 'Discovered components' },
+        profile: {
+          type: ['object', 'null'],
+          description: 'Room profile check after discovery',
+          properties: {
+            ok: { type: 'boolean' },
+            functions: { type: 'object', description: 'Room function -> matched component' },
+            missing: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    },
     handler: async (args, ctx) => {
       return {
         connected: ctx.ws.isConnected,
         identified: ctx.ws.isIdentified,
-        components: Object.keys(ctx.ws.discoveredComponents.list).length
+        components: Object.keys(ctx.ws.discoveredComponents.list).length,
+        profile: ctx.ws.profileReport
       };
     },
     formatVoice: (result) => {
       if (result.connected && result.identified) {
+        const missing = result.profile?.missing || [];
+        if (missing.length > 0) {
+          return `Connected with ${result.components} components. Not found: ${missing.join(', ')}.`;
+        }
         return `Connected with ${result.components} components.`;
       }
       return 'Not connected.';
@@ -92,6 +180,10 @@ export const statusTools = [
     description: 'Force WebSocket reconnection',
     voiceDescription: 'Reconnect to the room control system. Use when health is degraded or when told to reconnect.',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, components: { type: 'integer' } }
+    },
     handler: async (args, ctx) => {
       await ctx.ws.reconnect();
       return {
@@ -107,14 +199,20 @@ export const statusTools = [
     description: 'Get usage instructions for the AV system',
     voiceDescription: 'Get detailed instructions on how to use the AV system. Use when user asks for help, is confused, or you are unsure what to do.',
     inputSchema: { type: 'object', properties: {} },
-    handler: async () => {
+    outputSchema: {
+      type: 'object',
+      properties: { help: { type: 'string' } }
+    },
+    handler: async (args, ctx) => {
+      const sources = ctx.ws.getSourceCatalog().sources.map(s => `${s.name} (${s.id})`).join(', ');
       return {
         help: `I control the BUControl AV system. Here's what I can do:
 
 VIDEO WALL:
 - Show a source: "Show the laptop", "Switch to AppleTV"
-- Sources: Laptop (1), ClickShare (2), AppleTV (3), Conference (4)
+- Sources: ${sources}
 - Complex layouts: "Split screen laptop and conference", "Picture-in-picture with AppleTV in corner"
+- Layout templates: fullscreen, side-by-side, picture-in-picture in any corner, quad, presenter plus camera
 - Check what's showing: "What's on the laptop?", "Describe all sources"
 
 LIGHTING:
@@ -129,6 +227,8 @@ OTHER:
 - Screen: "Screen on", "Screen off"
 - Privacy glass: "Frost the glass", "Clear the glass"
 - Status: "What's the room status?"
+- Scheduling: "Lights off every weekday at 7 PM", "Turn the screen off in 20 minutes"
+- Automation: "When the conference camera connects, frost the glass"
 
 What would you like to do?`
       };
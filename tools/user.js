@@ -2,6 +2,8 @@
  * User Tools
  * Microsoft Graph integration, authentication, file access
  */
+import { serializeWindowCommand } from '../shared/windowCommand.js';
+import { NotFound, Unauthorized, CommandFailed } from '../shared/errors.js';
 
 // Token storage (injected from server)
 let msGraphTokens = null;
@@ -13,11 +15,13 @@ export function setTokenStorage(storage) {
 // Helper to call Microsoft Graph API
 async function callGraphAPI(endpoint, options = {}) {
   if (!msGraphTokens?.current) {
-    throw new Error('No Microsoft account signed in. Please sign in from the room display.');
+    const message = 'No Microsoft account signed in. Please sign in from the room display.';
+    throw new Unauthorized(message, { voice: message });
   }
 
   if (Date.now() > msGraphTokens.current.expiresAt) {
-    throw new Error('Microsoft token expired. Please sign in again from the room display.');
+    const message = 'Microsoft token expired. Please sign in again from the room display.';
+    throw new Unauthorized(message, { voice: message });
   }
 
   const url = endpoint.startsWith('http') ? endpoint : `https://graph.microsoft.com/v1.0${endpoint}`;
@@ -33,17 +37,48 @@ async function callGraphAPI(endpoint, options = {}) {
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: { message: response.statusText } }));
-    throw new Error(error.error?.message || `Graph API error: ${response.status}`);
+    const message = error.error?.message || `Graph API error: ${response.status}`;
+    if (response.status === 404) throw new NotFound(message);
+    if (response.status === 401 || response.status === 403) throw new Unauthorized(message);
+    throw new CommandFailed(message);
   }
 
   return response.json();
 }
 
+const fileSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    webUrl: { type: 'string' },
+    lastModified: { type: 'string', format: 'date-time' },
+    size: { type: 'integer', description: 'Bytes' }
+  }
+};
+
+const fileList = (key) => ({
+  type: 'object',
+  properties: {
+    count: { type: 'integer' },
+    [key]: { type: 'array', items: fileSchema }
+  }
+});
+
 export const userTools = [
   {
     name: 'get_auth_status',
     description: 'Check if a Microsoft user is signed in',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        authenticated: { type: 'boolean' },
+        user: { type: 'string', description: 'Display name of the signed-in user' },
+        expiresAt: { type: 'number', description: 'Token expiry, epoch milliseconds' },
+        isExpired: { type: 'boolean' }
+      }
+    },
     handler: async () => {
       if (!msGraphTokens?.current) {
         return { authenticated: false };
@@ -66,6 +101,7 @@ export const userTools = [
     name: 'sign_out',
     description: 'Clear Microsoft authentication tokens',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: { type: 'object', properties: { success: { type: 'boolean' } } },
     handler: async () => {
       if (msGraphTokens) {
         msGraphTokens.current = null;
@@ -80,6 +116,15 @@ export const userTools = [
     aliases: ['graph_get_user'],
     description: 'Get signed-in Microsoft user info',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        displayName: { type: 'string' },
+        email: { type: 'string' },
+        jobTitle: { type: ['string', 'null'] },
+        department: { type: ['string', 'null'] }
+      }
+    },
     handler: async () => {
       const user = await callGraphAPI('/me');
       return {
@@ -102,6 +147,16 @@ export const userTools = [
         limit: { type: 'number', description: 'Max files to return (default 10)' }
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        files: {
+          type: 'array',
+          items: { ...fileSchema, properties: { ...fileSchema.properties, mimeType: { type: 'string' } } }
+        }
+      }
+    },
     handler: async (args) => {
       const limit = args.limit || 10;
       const result = await callGraphAPI(`/me/drive/recent?$top=${limit}`);
@@ -133,6 +188,7 @@ export const userTools = [
         limit: { type: 'number', description: 'Max files (default 10)' }
       }
     },
+    outputSchema: fileList('presentations'),
     handler: async (args) => {
       const limit = args.limit || 10;
       const result = await callGraphAPI(`/me/drive/root/search(q='.pptx')?$top=50`);
@@ -165,6 +221,7 @@ export const userTools = [
         limit: { type: 'number', description: 'Max files (default 10)' }
       }
     },
+    outputSchema: fileList('keynotes'),
     handler: async (args) => {
       const limit = args.limit || 10;
       const result = await callGraphAPI(`/me/drive/root/search(q='.key')?$top=50`);
@@ -198,6 +255,13 @@ export const userTools = [
         limit: { type: 'number', description: 'Max files per type (default 5)' }
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        pptx: { type: 'array', items: fileSchema },
+        pdf: { type: 'array', items: fileSchema }
+      }
+    },
     handler: async (args) => {
       const limit = args.limit || 5;
 
@@ -255,6 +319,14 @@ export const userTools = [
       },
       required: ['fileId']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ...fileSchema.properties,
+        createdBy: { type: 'string' },
+        mimeType: { type: 'string' }
+      }
+    },
     handler: async (args) => {
       const file = await callGraphAPI(`/me/drive/items/${args.fileId}`);
       return {
@@ -280,6 +352,15 @@ export const userTools = [
       },
       required: ['fileId']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        downloadUrl: { type: 'string', description: 'Short-lived pre-authenticated URL' },
+        webUrl: { type: 'string' }
+      }
+    },
     handler: async (args) => {
       const file = await callGraphAPI(`/me/drive/items/${args.fileId}`);
       return {
@@ -302,13 +383,30 @@ export const userTools = [
       },
       required: ['fileId']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        fileName: { type: 'string' },
+        source: { type: 'string' },
+        shortcutUrl: { type: 'string', description: 'iOS Shortcut URL that opens the file' },
+        instructions: { type: 'string' }
+      }
+    },
     handler: async (args, ctx) => {
       // Get file info
       const file = await callGraphAPI(`/me/drive/items/${args.fileId}`);
 
-      // Switch to AppleTV (source 3)
-      const cmd = 'BV1:E:A1:1:W1S3X0Y0W100H100A0';
-      await ctx.ws.sendControl('videoWall', 'WindowCommand', cmd);
+      // Switch to AppleTV full screen
+      const catalog = ctx.ws.getSourceCatalog();
+      const appleTv = catalog.resolve('appletv');
+      if (!appleTv) {
+        throw new NotFound('This room has no AppleTV source');
+      }
+      const cmd = serializeWindowCommand({
+        windows: [{ source: appleTv, x: 0, y: 0, width: 100, height: 100, alpha: 0 }]
+      });
+      await ctx.ws.setFunction('videoWall', cmd);
 
       // Build shortcut URL - the file will be downloaded via our proxy
       const mcpServerUrl = ctx.mcpServerUrl || 'https://app-b5fcfac3-3d40-4e67-8d47-3a357835d274.cleverapps.io';
@@ -318,7 +416,7 @@ export const userTools = [
       return {
         success: true,
         fileName: file.name,
-        source: 'AppleTV',
+        source: catalog.name(appleTv),
         shortcutUrl,
         instructions: 'Tap "Start Presentation" on the room display to begin.'
       };
@@ -2,35 +2,82 @@
  * Video Tools
  * Control video wall sources, layouts, DIDO output
  */
-import { SOURCE_NAMES, SOURCE_IDS } from '../shared/constants.js';
+import { buildSourceCatalog } from '../shared/sourceCatalog.js';
+import {
+  MAX_WINDOWS,
+  parseWindowCommand,
+  tryParseWindowCommand,
+  serializeWindowCommand,
+  validateLayout,
+  getPrimarySource
+} from '../shared/windowCommand.js';
+import { InvalidArgument, NotFound, VisionUnavailable } from '../shared/errors.js';
+
+// Result shape of describeLayout
+export const layoutSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    audio: { type: 'integer', description: 'Source whose audio plays' },
+    windows: {
+      type: 'array',
+      description: 'Bottom window first',
+      items: {
+        type: 'object',
+        properties: {
+          window: { type: 'integer' },
+          source: { type: 'integer' },
+          sourceName: { type: 'string' },
+          x: { type: 'number' },
+          y: { type: 'number' },
+          width: { type: 'number' },
+          height: { type: 'number' },
+          opacity: { type: 'number', description: 'Percent' }
+        }
+      }
+    }
+  }
+};
+
+const sourceResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    source: { type: 'integer' },
+    sourceName: { type: 'string' },
+    alreadySet: { type: 'boolean', description: 'The source was already showing' }
+  }
+};
+
+const windowCountResult = {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, windowCount: { type: 'integer' } }
+};
 
 export const videoTools = [
   {
     name: 'set_source',
-    description: 'Switch video wall to a single source. Sources: 1=Laptop, 2=ClickShare, 3=AppleTV, 4=Conference',
-    voiceDescription: 'Switch video wall source. Sources: 1=Laptop, 2=ClickShare, 3=AppleTV, 4=Conference. Use when user says "Show the laptop" or "Switch to AppleTV".',
+    description: 'Switch video wall to a single source. Sources: {sources}',
+    voiceDescription: 'Switch video wall source. Sources: {sources}. Use when user says "Show the laptop" or "Switch to AppleTV".',
     inputSchema: {
       type: 'object',
       properties: {
         source: {
           oneOf: [
-            { type: 'number', description: '1=Laptop, 2=ClickShare, 3=AppleTV, 4=Conference' },
-            { type: 'string', description: 'Source name: laptop, clickshare, appletv, conference' }
+            { type: 'number', description: '{sources}' },
+            { type: 'string', description: 'Source name: {sourceNames}' }
           ]
         }
       },
       required: ['source']
     },
+    outputSchema: sourceResult,
     handler: async (args, ctx) => {
-      let sourceId = args.source;
-
-      // Handle string source names
-      if (typeof sourceId === 'string') {
-        sourceId = SOURCE_IDS[sourceId.toLowerCase()] || parseInt(sourceId);
-      }
+      const catalog = sourceCatalog(ctx);
+      const sourceId = resolveSourceId(args.source, catalog);
 
-      if (isNaN(sourceId) || sourceId < 1 || sourceId > 4) {
-        throw new Error('Invalid source. Use 1-4 or: laptop, clickshare, appletv, conference');
+      if (!sourceId) {
+        throw new InvalidArgument(`Invalid source. Use: ${catalog.describe()}`);
       }
 
       const state = await ctx.ws.getState();
@@ -38,14 +85,16 @@ export const videoTools = [
 
       // Idempotent check
       if (currentSource === sourceId) {
-        return { success: true, alreadySet: true, source: sourceId, sourceName: SOURCE_NAMES[sourceId] };
+        return { success: true, alreadySet: true, source: sourceId, sourceName: catalog.name(sourceId) };
       }
 
       // Build WindowCommand for single source fullscreen
-      const cmd = `BV1:E:A1:1:W1S${sourceId}X0Y0W100H100A0`;
-      await ctx.ws.sendControl('videoWall', 'WindowCommand', cmd);
+      const cmd = serializeWindowCommand({
+        windows: [{ source: sourceId, x: 0, y: 0, width: 100, height: 100, alpha: 0 }]
+      });
+      await ctx.ws.setFunction('videoWall', cmd);
 
-      return { success: true, source: sourceId, sourceName: SOURCE_NAMES[sourceId] };
+      return { success: true, source: sourceId, sourceName: catalog.name(sourceId) };
     },
     formatVoice: (result) => {
       if (result.alreadySet) {
@@ -58,18 +107,40 @@ export const videoTools = [
   {
     name: 'list_sources',
     aliases: ['list_video_sources'],
-    description: 'List video sources and their connection status',
+    description: 'List video sources with their numbers, names, aliases and connection status',
     voiceDescription: 'List available video sources and connection status. Use when user asks "What sources are available?"',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['success', 'unknown'], description: 'unknown until the controller reports connected sources' },
+        sources: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              name: { type: 'string' },
+              aliases: { type: 'array', items: { type: 'string' } },
+              connected: { type: ['boolean', 'null'] },
+              snapshotUrl: { type: ['string', 'null'] },
+              proxiedPreviewUrl: { type: ['string', 'null'] }
+            }
+          }
+        }
+      }
+    },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
-      const sources = state.connectedSources || [];
+      const catalog = sourceCatalog(ctx);
 
       return {
-        status: sources.length > 0 ? 'success' : 'unknown',
-        sources: sources.map((s, i) => ({
-          id: i + 1,
-          name: SOURCE_NAMES[i + 1],
+        // "unknown" until the controller has reported ConnectedSources
+        status: state.connectedSources?.length > 0 ? 'success' : 'unknown',
+        sources: catalog.sources.map(s => ({
+          id: s.id,
+          name: s.name,
+          aliases: s.aliases,
           connected: s.connected,
           snapshotUrl: s.snapshotUrl,
           proxiedPreviewUrl: s.proxiedPreviewUrl
@@ -80,9 +151,10 @@ export const videoTools = [
       if (!result.sources || result.sources.length === 0) {
         return 'No sources detected.';
       }
-      const status = result.sources.map(s =>
-        `${s.name} ${s.connected ? 'connected' : 'not connected'}`
-      );
+      const status = result.sources.map(s => {
+        if (s.connected === null) return s.name;
+        return `${s.name} ${s.connected ? 'connected' : 'not connected'}`;
+      });
       return `${result.sources.length} sources: ${status.join(', ')}.`;
     }
   },
@@ -90,17 +162,22 @@ export const videoTools = [
   {
     name: 'set_layout',
     description: 'Set video wall layout with multiple windows for PiP, split screen, etc.',
-    voiceDescription: 'Set video wall layout with multiple windows. Sources: 1=Laptop, 2=ClickShare, 3=AppleTV, 4=Conference. Use when user wants picture-in-picture, split screen, or overlay layouts.',
+    voiceDescription: 'Set video wall layout with multiple windows. Sources: {sources}. Use when user wants picture-in-picture, split screen, or overlay layouts.',
     inputSchema: {
       type: 'object',
       properties: {
         windows: {
           type: 'array',
-          description: 'Array of windows to display (max 4)',
+          description: `Array of windows to display (max ${MAX_WINDOWS})`,
           items: {
             type: 'object',
             properties: {
-              source: { type: 'number', description: '1=Laptop, 2=ClickShare, 3=AppleTV, 4=Conference' },
+              source: {
+                oneOf: [
+                  { type: 'number', description: '{sources}' },
+                  { type: 'string', description: 'Source name: {sourceNames}' }
+                ]
+              },
               x: { type: 'number', description: 'X position 0-100%' },
               y: { type: 'number', description: 'Y position 0-100%' },
               width: { type: 'number', description: 'Width 0-100%' },
@@ -113,43 +190,43 @@ export const videoTools = [
       },
       required: ['windows']
     },
+    outputSchema: windowCountResult,
     handler: async (args, ctx) => {
       const windows = args.windows;
 
       if (!windows || !Array.isArray(windows) || windows.length === 0) {
-        throw new Error('No windows specified');
+        throw new InvalidArgument('No windows specified');
       }
 
-      if (windows.length > 4) {
-        throw new Error('Maximum 4 windows allowed');
+      if (windows.length > MAX_WINDOWS) {
+        throw new InvalidArgument(`Maximum ${MAX_WINDOWS} windows allowed`);
       }
 
-      // Build WindowCommand string
-      const windowParts = windows.map((win, i) => {
-        let sourceId = win.source;
+      const catalog = sourceCatalog(ctx);
 
-        if (typeof sourceId === 'string') {
-          sourceId = SOURCE_IDS[sourceId.toLowerCase()] || parseInt(sourceId);
-        }
+      // Build typed windows, then serialize to a WindowCommand string
+      const layoutWindows = windows.map((win) => {
+        const sourceId = resolveSourceId(win.source, catalog);
 
-        if (isNaN(sourceId) || sourceId < 1 || sourceId > 4) {
-          throw new Error(`Invalid source ${win.source}`);
+        if (!sourceId) {
+          throw new InvalidArgument(`Invalid source ${win.source}. Sources: ${catalog.describe()}`);
         }
 
-        const x = Math.max(0, Math.min(100, win.x || 0));
-        const y = Math.max(0, Math.min(100, win.y || 0));
-        const w = Math.max(1, Math.min(100, win.width || 100));
-        const h = Math.max(1, Math.min(100, win.height || 100));
+        // Protocol requires integer geometry
+        const x = Math.round(Math.max(0, Math.min(100, win.x || 0)));
+        const y = Math.round(Math.max(0, Math.min(100, win.y || 0)));
+        const width = Math.round(Math.max(1, Math.min(100, win.width || 100)));
+        const height = Math.round(Math.max(1, Math.min(100, win.height || 100)));
         // Opacity: 0 = transparent, 100 = opaque
         // WindowCommand: A0 = opaque, A100 = transparent (inverted)
         const opacity = win.opacity !== undefined ? win.opacity : 100;
-        const alpha = 100 - Math.max(0, Math.min(100, opacity));
+        const alpha = 100 - Math.round(Math.max(0, Math.min(100, opacity)));
 
-        return `W${i + 1}S${sourceId}X${x}Y${y}W${w}H${h}A${alpha}`;
+        return { source: sourceId, x, y, width, height, alpha };
       });
 
-      const cmd = `BV1:E:A1:${windows.length}:${windowParts.join(':')}`;
-      await ctx.ws.sendControl('videoWall', 'WindowCommand', cmd);
+      const cmd = serializeWindowCommand({ windows: layoutWindows });
+      await ctx.ws.setFunction('videoWall', cmd);
 
       return { success: true, windowCount: windows.length };
     },
@@ -158,7 +235,7 @@ export const videoTools = [
 
   {
     name: 'send_videowall_command',
-    description: 'Send raw WindowCommand to video wall. Format: BV1:E:A1:1:W1S1X0Y0W100H100A0',
+    description: 'Send raw WindowCommand to video wall. Format: BV1:E:A1:1:W1S1X0Y0W100H100A0. Malformed commands are rejected before reaching the controller.',
     voiceEnabled: false, // Not for voice - too technical
     inputSchema: {
       type: 'object',
@@ -167,26 +244,61 @@ export const videoTools = [
       },
       required: ['command']
     },
+    outputSchema: windowCountResult,
+    preview: async (args, ctx) => {
+      const layout = checkedWindowCommand(args.command, ctx);
+      const state = await ctx.ws.getState();
+      const current = tryParseWindowCommand(state.hardwareState);
+      const catalog = sourceCatalog(ctx);
+      const componentId = ctx.ws.components.videoWall;
+      const component = Object.values(ctx.ws.discoveredComponents.list).find(c => c.id === componentId);
+      return {
+        component: component?.name || null,
+        componentId,
+        control: ctx.ws.functions.videoWall.control,
+        currentValue: state.hardwareState ?? null,
+        proposedValue: args.command.trim(),
+        currentLayout: current ? describeLayout(current, catalog) : null,
+        proposedLayout: describeLayout(layout, catalog)
+      };
+    },
     handler: async (args, ctx) => {
-      await ctx.ws.sendControl('videoWall', 'WindowCommand', args.command);
-      return { success: true };
+      const layout = checkedWindowCommand(args.command, ctx);
+      await ctx.ws.setFunction('videoWall', args.command.trim());
+      return { success: true, windowCount: layout.windows.length };
     }
   },
 
   {
     name: 'get_videowall_status',
-    description: 'Get current video wall hardware state',
+    description: 'Get current video wall layout: every window with its source, position, size and opacity',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['success', 'unknown'] },
+        hardwareState: { type: ['string', 'null'], description: 'Raw WindowCommand' },
+        layout: { oneOf: [layoutSchema, { type: 'null' }] }
+      }
+    },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
+      const layout = tryParseWindowCommand(state.hardwareState);
+
       return {
         status: state.hardwareState ? 'success' : 'unknown',
-        hardwareState: state.hardwareState
+        hardwareState: state.hardwareState,
+        layout: layout ? describeLayout(layout, sourceCatalog(ctx)) : null
       };
     },
     formatVoice: (result) => {
       if (!result.hardwareState) return 'Status unknown.';
-      return `Video wall state: ${result.hardwareState}`;
+      if (!result.layout) return `Video wall state: ${result.hardwareState}`;
+
+      const [primary, ...others] = result.layout.windows;
+      if (!primary) return 'No windows on the video wall.';
+      if (others.length === 0) return `Showing ${primary.sourceName} full screen.`;
+      return `Showing ${primary.sourceName} with ${others.map(w => w.sourceName).join(' and ')} on top.`;
     }
   },
 
@@ -202,6 +314,14 @@ export const videoTools = [
       },
       required: ['enabled']
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        enabled: { type: 'boolean' },
+        alreadySet: { type: 'boolean', description: 'DIDO output was already in this state' }
+      }
+    },
     handler: async (args, ctx) => {
       const enabled = args.enabled;
       const state = await ctx.ws.getState();
@@ -211,7 +331,7 @@ export const videoTools = [
         return { success: true, alreadySet: true, enabled };
       }
 
-      await ctx.ws.sendControl('hdmiDecoder', 'hdmi.out.1.select.hdmi.1', enabled ? 1 : 0);
+      await ctx.ws.setFunction('dido', enabled ? 1 : 0);
       return { success: true, enabled };
     },
     formatVoice: (result) => {
@@ -226,6 +346,7 @@ export const videoTools = [
     name: 'get_dido_output',
     description: 'Get DIDO output state',
     inputSchema: { type: 'object', properties: {} },
+    outputSchema: { type: 'object', properties: { enabled: { type: 'boolean' } } },
     handler: async (args, ctx) => {
       const state = await ctx.ws.getState();
       return { enabled: state.didoOutput === 1 };
@@ -245,46 +366,54 @@ export const videoTools = [
         target: {
           oneOf: [
             { type: 'string', enum: ['screen'], description: 'Analyze currently displayed source (default)' },
-            { type: 'number', description: 'Specific source 1-4: 1=Laptop, 2=ClickShare, 3=AppleTV, 4=Conference' }
+            { type: 'number', description: 'Specific source: {sources}' }
           ],
-          description: 'What to analyze: "screen" (default) for current display, or source number 1-4'
+          description: 'What to analyze: "screen" (default) for current display, or a source number'
         }
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        source: { type: 'integer' },
+        name: { type: 'string' },
+        description: { type: ['string', 'null'] },
+        isCurrentScreen: { type: 'boolean' },
+        message: { type: 'string', description: 'Why nothing was analyzed' },
+        error: { type: 'string' }
+      }
+    },
     handler: async (args, ctx) => {
       if (!ctx.geminiModel) {
-        throw new Error('Vision not available. Set GEMINI_API_KEY.');
+        throw new VisionUnavailable('Vision not available. Set GEMINI_API_KEY.');
       }
 
       const state = await ctx.ws.getState();
-      const sources = state.connectedSources || [];
+      const catalog = sourceCatalog(ctx);
 
-      if (sources.length === 0) {
+      if (!state.connectedSources?.length) {
         return { description: null, message: 'No sources detected.' };
       }
 
       // Determine which source to analyze
-      let sourceIndex;
+      let sourceId;
       const target = args.target || 'screen';
 
       if (target === 'screen' || target === undefined) {
         // Get currently displayed source from hardwareState
-        const currentSource = parseCurrentSource(state.hardwareState);
-        if (!currentSource) {
+        sourceId = parseCurrentSource(state.hardwareState);
+        if (!sourceId) {
           return { description: null, message: 'Screen is off or no source displayed.' };
         }
-        sourceIndex = currentSource - 1;
-      } else if (typeof target === 'number') {
-        if (target < 1 || target > 4) {
-          throw new Error('Invalid source. Use 1-4 or "screen".');
-        }
-        sourceIndex = target - 1;
       } else {
-        throw new Error('Invalid target. Use "screen" or source number 1-4.');
+        sourceId = catalog.resolve(target);
+        if (!sourceId) {
+          throw new InvalidArgument(`Invalid target. Use "screen" or a source: ${catalog.describe()}`);
+        }
       }
 
-      const source = sources[sourceIndex];
-      const sourceName = SOURCE_NAMES[sourceIndex + 1];
+      const source = catalog.get(sourceId);
+      const sourceName = catalog.name(sourceId);
 
       if (!source || !source.connected) {
         return { description: null, message: `${sourceName} is not connected.` };
@@ -305,14 +434,14 @@ export const videoTools = [
         ]);
 
         return {
-          source: sourceIndex + 1,
+          source: sourceId,
           name: sourceName,
           description: result.response.text().trim(),
           isCurrentScreen: target === 'screen' || target === undefined
         };
       } catch (error) {
         return {
-          source: sourceIndex + 1,
+          source: sourceId,
           name: sourceName,
           description: null,
           error: 'Analysis failed: ' + error.message
@@ -339,38 +468,52 @@ export const videoTools = [
       properties: {
         source: {
           type: 'number',
-          description: 'Specific source to analyze (1-4). Omit to analyze all connected sources.'
+          description: 'Specific source to analyze ({sources}). Omit to analyze all connected sources.'
         }
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        descriptions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'integer' },
+              name: { type: 'string' },
+              description: { type: 'string' },
+              error: { type: 'string' }
+            }
+          }
+        },
+        message: { type: 'string', description: 'Why nothing was analyzed' }
+      }
+    },
     handler: async (args, ctx) => {
       // This requires Gemini integration - delegated to specialized handler
       if (!ctx.geminiModel) {
-        throw new Error('Vision not available. Set GEMINI_API_KEY.');
+        throw new VisionUnavailable('Vision not available. Set GEMINI_API_KEY.');
       }
 
       const state = await ctx.ws.getState();
-      const sources = state.connectedSources || [];
+      const catalog = sourceCatalog(ctx);
 
-      if (sources.length === 0) {
+      if (!state.connectedSources?.length) {
         return { descriptions: [], message: 'No sources detected.' };
       }
 
       // Determine which sources to analyze
       let toAnalyze = [];
       if (args.source) {
-        const idx = args.source - 1;
-        if (sources[idx] && sources[idx].connected && sources[idx].proxiedPreviewUrl) {
-          toAnalyze = [{ index: idx, source: sources[idx] }];
+        const source = catalog.get(catalog.resolve(args.source));
+        if (source && source.connected && source.proxiedPreviewUrl) {
+          toAnalyze = [source];
         } else {
-          throw new Error(`${SOURCE_NAMES[args.source]} not connected or no snapshot.`);
+          throw new NotFound(`${catalog.name(args.source)} not connected or no snapshot.`);
         }
       } else {
-        sources.forEach((s, i) => {
-          if (s.connected && s.proxiedPreviewUrl) {
-            toAnalyze.push({ index: i, source: s });
-          }
-        });
+        toAnalyze = catalog.sources.filter(s => s.connected && s.proxiedPreviewUrl);
       }
 
       if (toAnalyze.length === 0) {
@@ -379,10 +522,9 @@ export const videoTools = [
 
       // Analyze each source with Gemini
       const descriptions = [];
-      for (const item of toAnalyze) {
+      for (const source of toAnalyze) {
         try {
-          const name = SOURCE_NAMES[item.index + 1];
-          const frame = await ctx.grabMjpegFrame(item.source.proxiedPreviewUrl);
+          const frame = await ctx.grabMjpegFrame(source.proxiedPreviewUrl);
           const base64 = Buffer.from(await frame.arrayBuffer()).toString('base64');
 
           const result = await ctx.geminiModel.generateContent([
@@ -391,14 +533,14 @@ export const videoTools = [
           ]);
 
           descriptions.push({
-            source: item.index + 1,
-            name,
+            source: source.id,
+            name: source.name,
             description: result.response.text().trim()
           });
         } catch (error) {
           descriptions.push({
-            source: item.index + 1,
-            name: SOURCE_NAMES[item.index + 1],
+            source: source.id,
+            name: source.name,
             error: 'Analysis failed'
           });
         }
@@ -418,11 +560,56 @@ export const videoTools = [
   }
 ];
 
+/**
+ * Parse and validate a raw WindowCommand against the room's sources
+ * @throws {Error} for a malformed or invalid command
+ */
+function checkedWindowCommand(command, ctx) {
+  let layout;
+  try {
+    layout = parseWindowCommand(command);
+  } catch (e) {
+    throw new InvalidArgument(`Invalid WindowCommand: ${e.message}`);
+  }
+
+  const errors = validateLayout(layout, { sourceIds: sourceCatalog(ctx).ids() });
+  if (errors.length > 0) {
+    throw new InvalidArgument(`Invalid WindowCommand: ${errors.join('; ')}`);
+  }
+  return layout;
+}
+
+// Helper to get the source catalog of the room being controlled (built-in sources without a room)
+export function sourceCatalog(ctx) {
+  return ctx?.ws?.getSourceCatalog ? ctx.ws.getSourceCatalog() : buildSourceCatalog();
+}
+
+// Helper to resolve a source number, name or alias to a source ID (null if invalid)
+export function resolveSourceId(source, catalog = buildSourceCatalog()) {
+  return catalog.resolve(source);
+}
+
 // Helper to parse current source from hardware state
-function parseCurrentSource(hardwareState) {
-  if (!hardwareState) return null;
-  const match = String(hardwareState).match(/W1S(\d)/);
-  return match ? parseInt(match[1]) : null;
+export function parseCurrentSource(hardwareState) {
+  return getPrimarySource(tryParseWindowCommand(hardwareState));
+}
+
+// Helper to present a parsed layout with source names and opacity (as used by set_layout)
+export function describeLayout(layout, catalog = buildSourceCatalog()) {
+  return {
+    enabled: layout.enabled,
+    audio: layout.audio,
+    windows: layout.windows.map(w => ({
+      window: w.id,
+      source: w.source,
+      sourceName: catalog.name(w.source),
+      x: w.x,
+      y: w.y,
+      width: w.width,
+      height: w.height,
+      opacity: 100 - w.alpha
+    }))
+  };
 }
 
 export default videoTools;
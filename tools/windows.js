@@ -0,0 +1,312 @@
+/**
+ * Window Tools
+ * Edit the live video wall layout one window at a time (swap, move, resize, ...)
+ * Each tool reads the current layout from hardwareState and re-issues a WindowCommand.
+ */
+import {
+  parseWindowCommand,
+  tryParseWindowCommand,
+  serializeWindowCommand,
+  validateLayout
+} from '../shared/windowCommand.js';
+import { sourceCatalog, resolveSourceId, describeLayout, layoutSchema } from './video.js';
+import { InvalidArgument, NotFound, Conflict } from '../shared/errors.js';
+
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Shared schema for "which window": window number or the name of the source it shows
+const windowRef = {
+  oneOf: [
+    { type: 'integer', description: 'Window number (1 = bottom/main window)' },
+    { type: 'string', description: 'Source shown in the window: {sourceNames}. A numeric string such as "2" is a window number, not a source ID.' }
+  ]
+};
+
+// Result of every window edit (writeLayout)
+const editResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    action: { type: 'string', enum: ['swap', 'move', 'resize', 'replace', 'remove', 'bring_to_front'] },
+    layout: layoutSchema,
+    command: { type: 'string', description: 'WindowCommand sent to the video wall' },
+    alreadySet: { type: 'boolean', description: 'Nothing to change' }
+  }
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+async function readLayout(ctx) {
+  const state = await ctx.ws.getState();
+  const layout = tryParseWindowCommand(state.hardwareState);
+  if (!layout) {
+    throw new Conflict('Current video wall layout is unknown. Use set_layout or apply_layout first.');
+  }
+  return layout;
+}
+
+/**
+ * Find a window by number or by source name
+ * A numeric string is a window number too (voice and REST callers send "2"), never a source ID.
+ * When a source appears in several windows, the topmost one is used.
+ * @returns {number} Index into layout.windows
+ */
+function findWindow(layout, ref, catalog) {
+  if (typeof ref === 'string' && /^\d+$/.test(ref.trim())) ref = Number(ref);
+  if (typeof ref === 'number') {
+    if (!layout.windows[ref - 1]) {
+      throw new NotFound(`No window ${ref}. The wall has ${layout.windows.length} window(s).`);
+    }
+    return ref - 1;
+  }
+
+  const sourceId = resolveSourceId(ref, catalog);
+  if (!sourceId) throw new InvalidArgument(`Invalid window "${ref}"`);
+
+  for (let i = layout.windows.length - 1; i >= 0; i--) {
+    if (layout.windows[i].source === sourceId) return i;
+  }
+  throw new NotFound(`${catalog.name(sourceId)} is not on the video wall`);
+}
+
+/**
+ * Renumber, fix protocol invariants, validate and send the edited layout
+ */
+async function writeLayout(ctx, layout, action) {
+  const catalog = sourceCatalog(ctx);
+  const windows = layout.windows;
+
+  // Bottom window must stay opaque
+  if (windows[0]) windows[0].alpha = 0;
+
+  // Keep audio on a visible source
+  if (!windows.some(w => w.source === layout.audio)) {
+    layout.audio = windows[0].source;
+  }
+
+  const cmd = serializeWindowCommand(layout);
+  const next = parseWindowCommand(cmd);
+  const errors = validateLayout(next, { sourceIds: catalog.ids() });
+  if (errors.length > 0) {
+    throw new InvalidArgument(`Resulting layout is invalid: ${errors.join('; ')}`);
+  }
+
+  await ctx.ws.setFunction('videoWall', cmd);
+  return { success: true, action, layout: describeLayout(next, catalog), command: cmd };
+}
+
+export const windowTools = [
+  {
+    name: 'swap_windows',
+    description: 'Swap the sources of two windows on the current video wall layout, keeping each window\'s position and size',
+    voiceDescription: 'Swap two sources on the video wall. Use when user says "Swap the laptop and the conference" or "Put the camera in the big window".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        first: windowRef,
+        second: windowRef
+      },
+      required: ['first', 'second']
+    },
+    outputSchema: editResult,
+    handler: async (args, ctx) => {
+      const layout = await readLayout(ctx);
+      const catalog = sourceCatalog(ctx);
+      const a = findWindow(layout, args.first, catalog);
+      const b = findWindow(layout, args.second, catalog);
+      if (a === b) throw new InvalidArgument('Both refer to the same window');
+
+      const sourceA = layout.windows[a].source;
+      layout.windows[a].source = layout.windows[b].source;
+      layout.windows[b].source = sourceA;
+
+      return writeLayout(ctx, layout, 'swap');
+    },
+    formatVoice: () => 'Done.'
+  },
+
+  {
+    name: 'move_window',
+    description: 'Move a window to a corner (or the center) of the wall, keeping its size',
+    voiceDescription: 'Move a window to a corner. Corners: top-left, top-right, bottom-left, bottom-right, center. Use when user says "Move the laptop to the left" or "Put the camera bottom right".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        window: windowRef,
+        corner: { type: 'string', enum: CORNERS, description: 'Target position' },
+        margin: { type: 'number', description: 'Distance from the edges in percent (default 5)' }
+      },
+      required: ['window', 'corner']
+    },
+    outputSchema: editResult,
+    handler: async (args, ctx) => {
+      if (!CORNERS.includes(args.corner)) {
+        throw new InvalidArgument(`Invalid corner. Use: ${CORNERS.join(', ')}`);
+      }
+
+      const layout = await readLayout(ctx);
+      const win = layout.windows[findWindow(layout, args.window, sourceCatalog(ctx))];
+      const margin = clamp(Math.round(args.margin ?? 5), 0, 50);
+
+      const left = margin;
+      const right = 100 - margin - win.width;
+      const top = margin;
+      const bottom = 100 - margin - win.height;
+
+      const [x, y] = {
+        'top-left': [left, top],
+        'top-right': [right, top],
+        'bottom-left': [left, bottom],
+        'bottom-right': [right, bottom],
+        'center': [(100 - win.width) / 2, (100 - win.height) / 2]
+      }[args.corner];
+
+      win.x = clamp(Math.round(x), 0, 100 - win.width);
+      win.y = clamp(Math.round(y), 0, 100 - win.height);
+
+      return writeLayout(ctx, layout, 'move');
+    },
+    formatVoice: () => 'Done.'
+  },
+
+  {
+    name: 'resize_window',
+    description: 'Resize a window in percent of the wall. The window stays anchored to the corner it is nearest to. Give width, height, or both (one alone keeps the aspect ratio).',
+    voiceDescription: 'Resize a window on the video wall. Use when user says "Make the camera bigger" or "Shrink the picture-in-picture". Sizes are percent of the wall.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        window: windowRef,
+        width: { type: 'number', description: 'New width 1-100%' },
+        height: { type: 'number', description: 'New height 1-100%' }
+      },
+      required: ['window']
+    },
+    outputSchema: editResult,
+    handler: async (args, ctx) => {
+      if (args.width === undefined && args.height === undefined) {
+        throw new InvalidArgument('Give width, height, or both');
+      }
+
+      const layout = await readLayout(ctx);
+      const win = layout.windows[findWindow(layout, args.window, sourceCatalog(ctx))];
+
+      let width = args.width;
+      let height = args.height;
+      if (width === undefined) width = win.width * (height / win.height);
+      if (height === undefined) height = win.height * (width / win.width);
+
+      width = clamp(Math.round(width), 1, 100);
+      height = clamp(Math.round(height), 1, 100);
+
+      // Keep the edge nearest the wall border fixed
+      const anchorRight = win.x + win.width / 2 > 50;
+      const anchorBottom = win.y + win.height / 2 > 50;
+      const x = anchorRight ? win.x + win.width - width : win.x;
+      const y = anchorBottom ? win.y + win.height - height : win.y;
+
+      win.width = width;
+      win.height = height;
+      win.x = clamp(Math.round(x), 0, 100 - width);
+      win.y = clamp(Math.round(y), 0, 100 - height);
+
+      return writeLayout(ctx, layout, 'resize');
+    },
+    formatVoice: () => 'Done.'
+  },
+
+  {
+    name: 'replace_source_in_window',
+    description: 'Show a different source in one window of the current layout, keeping its position and size',
+    voiceDescription: 'Change the source in one window. Use when user says "Put ClickShare where the laptop is" or "Change the small window to AppleTV".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        window: windowRef,
+        source: {
+          oneOf: [
+            { type: 'number', description: '{sources}' },
+            { type: 'string', description: 'Source name: {sourceNames}' }
+          ]
+        }
+      },
+      required: ['window', 'source']
+    },
+    outputSchema: editResult,
+    handler: async (args, ctx) => {
+      const catalog = sourceCatalog(ctx);
+      const sourceId = resolveSourceId(args.source, catalog);
+      if (!sourceId) throw new InvalidArgument(`Invalid source ${args.source}. Sources: ${catalog.describe()}`);
+
+      const layout = await readLayout(ctx);
+      const index = findWindow(layout, args.window, catalog);
+      const previous = layout.windows[index].source;
+
+      if (previous === sourceId) {
+        return { success: true, alreadySet: true, layout: describeLayout(layout, catalog) };
+      }
+
+      layout.windows[index].source = sourceId;
+      // Audio follows the source it was coming from
+      if (layout.audio === previous) layout.audio = sourceId;
+
+      return writeLayout(ctx, layout, 'replace');
+    },
+    formatVoice: (result) => result.alreadySet ? 'Already showing that.' : 'Done.'
+  },
+
+  {
+    name: 'remove_window',
+    description: 'Remove one window from the current layout. The last remaining window cannot be removed.',
+    voiceDescription: 'Remove a window from the video wall. Use when user says "Close the picture-in-picture" or "Remove the camera".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        window: windowRef
+      },
+      required: ['window']
+    },
+    outputSchema: editResult,
+    handler: async (args, ctx) => {
+      const layout = await readLayout(ctx);
+      const index = findWindow(layout, args.window, sourceCatalog(ctx));
+
+      if (layout.windows.length === 1) {
+        throw new Conflict('Cannot remove the only window. Use set_source to change what is shown.');
+      }
+
+      layout.windows.splice(index, 1);
+      return writeLayout(ctx, layout, 'remove');
+    },
+    formatVoice: () => 'Done.'
+  },
+
+  {
+    name: 'bring_to_front',
+    description: 'Move a window to the top of the z-order so nothing overlaps it',
+    voiceDescription: 'Bring a window to the front. Use when user says "Bring the laptop to the front" or the window is hidden behind another.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        window: windowRef
+      },
+      required: ['window']
+    },
+    outputSchema: editResult,
+    handler: async (args, ctx) => {
+      const layout = await readLayout(ctx);
+      const index = findWindow(layout, args.window, sourceCatalog(ctx));
+
+      if (index === layout.windows.length - 1) {
+        return { success: true, alreadySet: true, layout: describeLayout(layout, sourceCatalog(ctx)) };
+      }
+
+      const [win] = layout.windows.splice(index, 1);
+      layout.windows.push(win);
+      return writeLayout(ctx, layout, 'bring_to_front');
+    },
+    formatVoice: (result) => result.alreadySet ? 'Already in front.' : 'Done.'
+  }
+];
+
+export default windowTools;